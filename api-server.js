@@ -14,6 +14,12 @@ const testSuitesRoutes = require('./api/routes/testSuites');
 const versionsRoutes = require('./api/routes/versions');
 const mappingsRoutes = require('./api/routes/mappings');
 const workspacesRoutes = require('./api/routes/workspaces'); // Workspace routes
+const executionRunsRoutes = require('./api/routes/executionRuns');
+const qualityGatesRoutes = require('./api/routes/qualityGates');
+const auditLogsRoutes = require('./api/routes/auditLogs');
+const commentsRoutes = require('./api/routes/comments');
+const notificationsRoutes = require('./api/routes/notifications');
+const invitationsRoutes = require('./api/routes/invitations');
 
 const app = express();
 const PORT = process.env.API_PORT || 3002; // Different port from webhook server
@@ -102,6 +108,12 @@ app.use('/api/versions', versionsRoutes);
 app.use('/api/mappings', mappingsRoutes);
 app.use('/api/import', importRoutes);
 app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/execution-runs', executionRunsRoutes);
+app.use('/api/quality-gates', qualityGatesRoutes);
+app.use('/api/audit-logs', auditLogsRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/invitations', invitationsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -117,7 +129,13 @@ app.get('/', (req, res) => {
       versions: '/api/versions',
       mappings: '/api/mappings',
       import: '/api/import',
-      workspaces: '/api/workspaces'
+      workspaces: '/api/workspaces',
+      executionRuns: '/api/execution-runs',
+      qualityGates: '/api/quality-gates',
+      auditLogs: '/api/audit-logs',
+      comments: '/api/comments',
+      notifications: '/api/notifications',
+      invitations: '/api/invitations'
     }
   });
 });
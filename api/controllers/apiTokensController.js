@@ -0,0 +1,226 @@
+const db = require('../../database/connection');
+const apiTokensService = require('../services/apiTokensService');
+const { recordAudit } = require('../services/auditService');
+
+const { TOKEN_TYPES } = apiTokensService;
+
+const sendTokenError = (res, status, error) => res.status(status).json({ success: false, error });
+
+/**
+ * Get the current user's personal access tokens
+ */
+const getPersonalTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokensService.listTokens({ type: TOKEN_TYPES.PERSONAL, userId: req.user.id });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error fetching personal access tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch personal access tokens',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a personal access token, optionally restricted to one workspace.
+ * The token is only returned in this response.
+ */
+const createPersonalToken = async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days, workspace_id } = req.body;
+
+    const validationError = apiTokensService.validateTokenRequest({ name, scopes, expiresInDays: expires_in_days });
+    if (validationError) {
+      return sendTokenError(res, 400, validationError);
+    }
+
+    if (workspace_id) {
+      const membership = await db.query(
+        'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+        [workspace_id, req.user.id]
+      );
+      if (membership.rows.length === 0) {
+        return sendTokenError(res, 403, 'Access denied to this workspace');
+      }
+    }
+
+    const token = await apiTokensService.createToken({
+      type: TOKEN_TYPES.PERSONAL,
+      name,
+      userId: req.user.id,
+      workspaceId: workspace_id || null,
+      scopes,
+      expiresInDays: expires_in_days,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: 'Personal access token created. Store it now, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating personal access token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create personal access token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's personal access tokens
+ */
+const revokePersonalToken = async (req, res) => {
+  try {
+    const revoked = await apiTokensService.revokeToken({
+      id: req.params.id,
+      type: TOKEN_TYPES.PERSONAL,
+      userId: req.user.id
+    });
+
+    if (!revoked) {
+      return sendTokenError(res, 404, 'Personal access token not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Personal access token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking personal access token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke personal access token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a workspace's service tokens
+ */
+const getServiceTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokensService.listTokens({ type: TOKEN_TYPES.SERVICE, workspaceId: req.params.id });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error fetching service tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch service tokens',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a service token for a workspace. The token is only returned in this response;
+ * what it does is attributed to the admin who created it.
+ */
+const createServiceToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes, expires_in_days } = req.body;
+
+    const validationError = apiTokensService.validateTokenRequest({ name, scopes, expiresInDays: expires_in_days });
+    if (validationError) {
+      return sendTokenError(res, 400, validationError);
+    }
+
+    const token = await apiTokensService.createToken({
+      type: TOKEN_TYPES.SERVICE,
+      name,
+      workspaceId: id,
+      scopes,
+      expiresInDays: expires_in_days,
+      createdBy: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'create',
+      entityType: 'workspace',
+      entityId: id,
+      newValue: { api_token_id: token.id, name: token.name, scopes: token.scopes, expires_at: token.expires_at },
+      description: `Service token "${token.name}" created`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: 'Service token created. Store it now, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating service token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create service token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a workspace's service token
+ */
+const revokeServiceToken = async (req, res) => {
+  try {
+    const { id, tokenId } = req.params;
+
+    const revoked = await apiTokensService.revokeToken({
+      id: tokenId,
+      type: TOKEN_TYPES.SERVICE,
+      workspaceId: id
+    });
+
+    if (!revoked) {
+      return sendTokenError(res, 404, 'Service token not found in this workspace');
+    }
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'delete',
+      entityType: 'workspace',
+      entityId: id,
+      oldValue: { api_token_id: tokenId },
+      description: 'Service token revoked'
+    });
+
+    res.json({
+      success: true,
+      message: 'Service token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking service token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke service token',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPersonalTokens,
+  createPersonalToken,
+  revokePersonalToken,
+  getServiceTokens,
+  createServiceToken,
+  revokeServiceToken
+};
@@ -0,0 +1,119 @@
+const db = require('../../database/connection');
+
+// Values of the audit_action and audit_entity enums
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'execute', 'assign', 'comment', 'login'];
+const AUDIT_ENTITIES = ['requirement', 'test_case', 'test_suite', 'version', 'workspace', 'user', 'mapping', 'execution', 'invitation'];
+
+/**
+ * Get audit log entries for a workspace (most recent first)
+ * Filters: entity_type, entity_id, user_id, action, from, to (ISO dates)
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const { entity_type, entity_id, user_id, action, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action. Must be one of: ${AUDIT_ACTIONS.join(', ')}`
+      });
+    }
+    if (entity_type && !AUDIT_ENTITIES.includes(entity_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid entity_type. Must be one of: ${AUDIT_ENTITIES.join(', ')}`
+      });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${name} date`
+        });
+      }
+    }
+
+    const conditions = ['al.workspace_id = $1'];
+    const values = [workspaceId];
+    let paramCounter = 2;
+
+    if (entity_type) {
+      conditions.push(`al.entity_type = $${paramCounter}`);
+      values.push(entity_type);
+      paramCounter++;
+    }
+    if (entity_id) {
+      conditions.push(`al.entity_id = $${paramCounter}`);
+      values.push(entity_id);
+      paramCounter++;
+    }
+    if (user_id) {
+      conditions.push(`al.user_id::text = $${paramCounter}`);
+      values.push(user_id);
+      paramCounter++;
+    }
+    if (action) {
+      conditions.push(`al.action = $${paramCounter}`);
+      values.push(action);
+      paramCounter++;
+    }
+    if (from) {
+      conditions.push(`al.created_at >= $${paramCounter}`);
+      values.push(new Date(from));
+      paramCounter++;
+    }
+    if (to) {
+      conditions.push(`al.created_at <= $${paramCounter}`);
+      values.push(new Date(to));
+      paramCounter++;
+    }
+
+    const totalResult = await db.query(`
+      SELECT COUNT(*) FROM audit_logs al
+      WHERE ${conditions.join(' AND ')}
+    `, values);
+
+    const result = await db.query(`
+      SELECT
+        al.*,
+        u.full_name as user_name,
+        u.email as user_email
+      FROM audit_logs al
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY al.created_at DESC
+      LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+    `, [...values, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(totalResult.rows[0].count),
+      limit,
+      offset,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit logs',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
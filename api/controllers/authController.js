@@ -1,11 +1,381 @@
 const db = require('../../database/connection');
-const jwt = require('jsonwebtoken');
+const emailService = require('../services/emailService');
+const userTokensService = require('../services/userTokensService');
+const sessionsService = require('../services/sessionsService');
+const apiTokensService = require('../services/apiTokensService');
+const oidcService = require('../services/oidcService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const invitationsService = require('../services/invitationsService');
+const { recordAudit } = require('../services/auditService');
+const { resolveUserFromToken } = require('../middleware/auth');
 
-// JWT secret - in production, use environment variable
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '24h';
+const { maskEmail } = loginProtectionService;
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_VERIFICATION_TTL_HOURS = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Minimum time between two verification or reset emails for the same user
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+// Time to enter the second factor after the password, and wrong codes allowed meanwhile
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Check a new password against the password policy
+ * @returns {string|null} Error message, or null when acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+};
+
+/**
+ * Issue a verification token and email it. Delivery problems are logged, not raised,
+ * so the user can ask for another email.
+ * @returns {Promise<boolean>} Whether the email was handed to the transport
+ */
+const sendVerification = async (user) => {
+  try {
+    const { token, expiresAt } = await userTokensService.issueToken(
+      db,
+      user.id,
+      userTokensService.TOKEN_TYPES.EMAIL_VERIFICATION,
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await emailService.sendVerificationEmail(user, token, expiresAt);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Store a new password and lift any lockout. Callers revoke the sessions that must not survive the change.
+ */
+const setPassword = async (executor, userId, password) => {
+  await executor.query(`
+    UPDATE users
+    SET password_hash = crypt($1, gen_salt('bf', 10)), password_changed_at = NOW(),
+        failed_login_attempts = 0, locked_until = NULL
+    WHERE id = $2
+  `, [password, userId]);
+};
+
+const notifyPasswordChanged = async (user) => {
+  try {
+    await emailService.sendPasswordChangedEmail(user);
+  } catch (error) {
+    console.error('❌ Failed to send password changed email:', error.message);
+  }
+};
+
+/**
+ * Open a session for a user who just authenticated (password or single sign-on)
+ * @returns {Promise<Object>} Login response: tokens plus the user and their workspaces
+ */
+const openSession = async (req, user) => {
+  // Get user's workspaces and roles
+  const workspaces = await db.query(
+    `SELECT w.id, w.name, w.slug, wm.role
+     FROM workspaces w
+     JOIN workspace_members wm ON w.id = wm.workspace_id
+     WHERE wm.user_id = $1 AND w.is_active = true
+     ORDER BY wm.joined_at DESC`,
+    [user.id]
+  );
+
+  // Update last login
+  const loginResult = await db.query(
+    'UPDATE users SET last_login = NOW() WHERE id = $1 RETURNING email_verified',
+    [user.id]
+  );
+
+  // Invitations to accept (only shown for verified addresses)
+  const pendingInvitations = loginResult.rows[0]?.email_verified
+    ? await invitationsService.listPendingInvitationsForEmail(user.email)
+    : [];
+
+  // Open a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken, expiresIn } = await sessionsService.createSession(db, user, req);
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.full_name,
+      emailVerified: user.email_verified,
+      workspaces: workspaces.rows,
+      pendingInvitations: pendingInvitations.length
+    }
+  };
+};
+
+/**
+ * Finish a successful first factor (password or single sign-on): open a session, or,
+ * for users with two-factor authentication, issue the challenge for the second step
+ * @param {string} method - 'password' or 'sso', recorded in the audit log
+ * @returns {Promise<Object>} Login response, or { twoFactorRequired, twoFactorToken, expiresIn }
+ */
+const completeAuthentication = async (req, user, method) => {
+  const result = await db.query('SELECT totp_enabled_at FROM users WHERE id = $1', [user.id]);
+
+  if (!result.rows[0]?.totp_enabled_at) {
+    await loginProtectionService.recordSuccessfulLogin(req, user, method);
+    return openSession(req, user);
+  }
+
+  const { token } = await userTokensService.issueToken(
+    db,
+    user.id,
+    userTokensService.TOKEN_TYPES.TWO_FACTOR_CHALLENGE,
+    TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000
+  );
+
+  return {
+    success: true,
+    twoFactorRequired: true,
+    twoFactorToken: token,
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60
+  };
+};
 
 const authController = {
+  /**
+   * Register a new, unverified user and email a verification link.
+   * With the token of a workspace invitation sent to the same email, the address counts as
+   * verified and the user joins the workspace right away.
+   * POST /api/auth/register
+   */
+  register: async (req, res) => {
+    try {
+      const { password, full_name, invitation_token } = req.body;
+      const email = normalizeEmail(req.body.email);
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email and password are required'
+        });
+      }
+
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email address'
+        });
+      }
+
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: passwordError
+        });
+      }
+
+      const existing = await db.query(
+        'SELECT id FROM users WHERE LOWER(email) = $1',
+        [email]
+      );
+
+      if (existing.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+
+      let invitation = null;
+      if (invitation_token) {
+        invitation = await invitationsService.getInvitationByToken(db, invitation_token);
+        invitationsService.assertUsableBy(invitation, email);
+      }
+
+      const { user, membership } = await db.transaction(async (client) => {
+        // Hash with pgcrypto bcrypt, the same scheme login verifies against
+        const result = await client.query(`
+          INSERT INTO users (email, password_hash, full_name, is_active, email_verified)
+          VALUES ($1, crypt($2, gen_salt('bf', 10)), $3, true, $4)
+          RETURNING id, email, full_name, email_verified, created_at
+        `, [email, password, full_name ? String(full_name).trim() : null, Boolean(invitation)]);
+
+        const created = result.rows[0];
+
+        await recordAudit({
+          client,
+          req,
+          userId: created.id,
+          action: 'create',
+          entityType: 'user',
+          entityId: created.id,
+          newValue: created,
+          description: invitation ? 'User registered from an invitation' : 'User registered'
+        });
+
+        return {
+          user: created,
+          membership: invitation ? await invitationsService.acceptInvitation(client, req, invitation, created) : null
+        };
+      });
+
+      console.log('✅ User registered:', maskEmail(email));
+
+      const verificationSent = user.email_verified ? false : await sendVerification(user);
+
+      res.status(201).json({
+        success: true,
+        message: membership
+          ? `Account created. You joined ${membership.workspace_name} as ${membership.role}.`
+          : 'Account created. Check your email to verify your address.',
+        verificationSent,
+        invitation: membership,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.full_name,
+          emailVerified: user.email_verified
+        }
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      // Concurrent signup with the same email
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+      console.error('❌ Registration error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Registration failed',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Verify an email address with the token from the verification email
+   * POST /api/auth/verify-email
+   */
+  verifyEmail: async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Token is required'
+        });
+      }
+
+      const user = await db.transaction(async (client) => {
+        const userId = await userTokensService.consumeToken(
+          client,
+          token,
+          userTokensService.TOKEN_TYPES.EMAIL_VERIFICATION
+        );
+        const updated = await client.query(`
+          UPDATE users SET email_verified = true
+          WHERE id = $1
+          RETURNING id, email, full_name, email_verified
+        `, [userId]);
+        return updated.rows[0];
+      });
+
+      console.log('✅ Email verified for:', maskEmail(user.email));
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.full_name,
+          emailVerified: user.email_verified
+        }
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ Email verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Email verification failed',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Send a new verification email. Always answers the same way so that
+   * registered addresses cannot be discovered through this endpoint.
+   * POST /api/auth/resend-verification
+   */
+  resendVerification: async (req, res) => {
+    try {
+      const email = normalizeEmail(req.body.email);
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is required'
+        });
+      }
+
+      const result = await db.query(
+        'SELECT id, email, full_name, is_active, email_verified FROM users WHERE LOWER(email) = $1',
+        [email]
+      );
+      const user = result.rows[0];
+
+      if (user && user.is_active && !user.email_verified) {
+        const lastSent = await userTokensService.lastIssuedAt(user.id, userTokensService.TOKEN_TYPES.EMAIL_VERIFICATION);
+        if (!lastSent || Date.now() - new Date(lastSent).getTime() >= VERIFICATION_RESEND_INTERVAL_MS) {
+          await sendVerification(user);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If the account exists and is not verified yet, a verification email has been sent.'
+      });
+
+    } catch (error) {
+      console.error('❌ Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resend verification email',
+        message: error.message
+      });
+    }
+  },
+
   /**
    * Login user with email and password
    * POST /api/auth/login
@@ -22,18 +392,31 @@ const authController = {
         });
       }
 
-      console.log('🔐 Login attempt for:', email);
+      console.log('🔐 Login attempt for:', maskEmail(email));
+
+      // Throttle addresses that keep failing, whatever account they try
+      const ipRetryAfter = await loginProtectionService.getIpRetryAfter(req.ip);
+      if (ipRetryAfter > 0) {
+        console.log('⛔ Login throttled for IP:', req.ip);
+        res.set('Retry-After', String(ipRetryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many failed login attempts. Please try again later.',
+          retryAfter: ipRetryAfter
+        });
+      }
 
       // Query user from database
       const result = await db.query(
-        `SELECT id, email, full_name, password_hash, is_active, email_verified
+        `SELECT id, email, full_name, password_hash, is_active, email_verified, locked_until
          FROM users 
-         WHERE email = $1`,
+         WHERE LOWER(email) = LOWER($1)`,
         [email]
       );
 
       if (result.rows.length === 0) {
-        console.log('❌ User not found:', email);
+        console.log('❌ User not found:', maskEmail(email));
+        await loginProtectionService.recordFailedLogin(req, { email, reason: 'unknown_email' });
         return res.status(401).json({
           success: false,
           error: 'Invalid email or password'
@@ -42,9 +425,23 @@ const authController = {
 
       const user = result.rows[0];
 
+      // Locked accounts are refused before the password is even checked
+      const lockRetryAfter = loginProtectionService.getLockoutRetryAfter(user);
+      if (lockRetryAfter > 0) {
+        console.log('🔒 Login refused, account locked:', maskEmail(email));
+        await loginProtectionService.recordFailedLogin(req, { user, email, reason: 'account_locked', countFailure: false });
+        res.set('Retry-After', String(lockRetryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Account temporarily locked after too many failed login attempts. Please try again later or reset your password.',
+          retryAfter: lockRetryAfter
+        });
+      }
+
       // Check if user is active
       if (!user.is_active) {
-        console.log('❌ User account is inactive:', email);
+        console.log('❌ User account is inactive:', maskEmail(email));
+        await loginProtectionService.recordFailedLogin(req, { user, email, reason: 'inactive' });
         return res.status(401).json({
           success: false,
           error: 'Account is inactive. Please contact support.'
@@ -53,10 +450,11 @@ const authController = {
 
       // Check if password_hash exists
       if (!user.password_hash) {
-        console.log('❌ No password set for user:', email);
+        console.log('❌ No password set for user:', maskEmail(email));
+        await loginProtectionService.recordFailedLogin(req, { user, email, reason: 'no_password' });
         return res.status(401).json({
           success: false,
-          error: 'No password set for this account. Please contact support.'
+          error: 'No password set for this account. Sign in with single sign-on or reset your password.'
         });
       }
 
@@ -64,79 +462,505 @@ const authController = {
       const passwordCheck = await db.query(
         `SELECT (password_hash = crypt($1, password_hash)) AS password_match
          FROM users 
-         WHERE email = $2`,
-        [password, email]
+         WHERE id = $2`,
+        [password, user.id]
       );
 
       if (!passwordCheck.rows[0].password_match) {
-        console.log('❌ Invalid password for:', email);
+        console.log('❌ Invalid password for:', maskEmail(email));
+        await loginProtectionService.recordFailedLogin(req, { user, email, reason: 'invalid_password' });
         return res.status(401).json({
           success: false,
           error: 'Invalid email or password'
         });
       }
 
-      console.log('✅ Password verified for:', email);
+      console.log('✅ Password verified for:', maskEmail(email));
 
-      // Get user's workspaces and roles
-      const workspaces = await db.query(
-        `SELECT w.id, w.name, w.slug, wm.role
-         FROM workspaces w
-         JOIN workspace_members wm ON w.id = wm.workspace_id
-         WHERE wm.user_id = $1 AND w.is_active = true
-         ORDER BY wm.joined_at DESC`,
-        [user.id]
+      const response = await completeAuthentication(req, user, 'password');
+
+      if (response.twoFactorRequired) {
+        console.log('🔐 Two-factor code required for:', maskEmail(email));
+        return res.json(response);
+      }
+
+      console.log('✅ Login successful for:', maskEmail(email));
+
+      // Return user data and tokens
+      res.json(response);
+
+    } catch (error) {
+      console.error('❌ Login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Second login step for users with two-factor authentication: exchange the challenge
+   * from the first step and a TOTP code (or a recovery code) for a session
+   * POST /api/auth/login/2fa
+   */
+  verifyTwoFactorLogin: async (req, res) => {
+    try {
+      const { two_factor_token, code, recovery_code } = req.body;
+
+      if (!two_factor_token || (!code && !recovery_code)) {
+        return res.status(400).json({
+          success: false,
+          error: 'two_factor_token and code or recovery_code are required'
+        });
+      }
+
+      const type = userTokensService.TOKEN_TYPES.TWO_FACTOR_CHALLENGE;
+      const userId = await userTokensService.findTokenUser(db, two_factor_token, type);
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'Two-factor challenge expired, please log in again'
+        });
+      }
+
+      const result = await db.query(
+        'SELECT id, email, full_name, is_active, email_verified, locked_until FROM users WHERE id = $1',
+        [userId]
       );
+      const user = result.rows[0];
 
-      // Update last login
-      await db.query(
-        'UPDATE users SET last_login = NOW() WHERE id = $1',
-        [user.id]
+      const lockRetryAfter = loginProtectionService.getLockoutRetryAfter(user);
+      if (lockRetryAfter > 0) {
+        res.set('Retry-After', String(lockRetryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Account temporarily locked after too many failed login attempts. Please try again later or reset your password.',
+          retryAfter: lockRetryAfter
+        });
+      }
+
+      const method = await twoFactorService.verifySecondFactor(db, userId, { code, recoveryCode: recovery_code });
+
+      if (!method) {
+        const attemptsRemaining = await userTokensService.recordFailedAttempt(db, two_factor_token, type, TWO_FACTOR_MAX_ATTEMPTS);
+        console.log('❌ Invalid two-factor code for:', maskEmail(user.email));
+        await loginProtectionService.recordFailedLogin(req, { user, email: user.email, reason: 'invalid_two_factor_code' });
+        return res.status(401).json({
+          success: false,
+          error: attemptsRemaining > 0 ? 'Invalid two-factor code' : 'Too many invalid codes, please log in again',
+          attemptsRemaining
+        });
+      }
+
+      await userTokensService.consumeToken(db, two_factor_token, type);
+
+      if (!user.is_active) {
+        return res.status(401).json({
+          success: false,
+          error: 'Account is inactive. Please contact support.'
+        });
+      }
+
+      await loginProtectionService.recordSuccessfulLogin(req, user, method);
+      const response = await openSession(req, user);
+
+      if (method === 'recovery_code') {
+        response.recoveryCodesRemaining = await twoFactorService.countRecoveryCodes(user.id);
+      }
+
+      console.log('✅ Login successful for:', maskEmail(user.email));
+
+      res.json(response);
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Whether single sign-on is configured, for the login page
+   * GET /api/auth/oidc
+   */
+  getSsoConfig: async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        enabled: oidcService.isEnabled(),
+        provider: oidcService.isEnabled() ? oidcService.OIDC_PROVIDER_NAME : null,
+        loginUrl: '/api/auth/oidc/login'
+      }
+    });
+  },
+
+  /**
+   * Start a single sign-on login: redirects the browser to the identity provider,
+   * or returns the authorization URL to clients asking for JSON
+   * GET /api/auth/oidc/login?workspace_id=&redirect_to=
+   */
+  startSsoLogin: async (req, res) => {
+    try {
+      if (!oidcService.isEnabled()) {
+        return res.status(404).json({
+          success: false,
+          error: 'Single sign-on is not configured'
+        });
+      }
+
+      const authorizationUrl = await oidcService.startLogin({
+        workspaceId: req.query.workspace_id || null,
+        redirectTo: req.query.redirect_to || null
+      });
+
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.json({
+          success: true,
+          data: { authorizationUrl }
+        });
+      }
+      res.redirect(authorizationUrl);
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ SSO login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start single sign-on',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Identity provider callback. Opens a session and sends the browser back to the
+   * frontend with the tokens (or the two-factor challenge) in the URL fragment,
+   * or with sso_error on failure.
+   * GET /api/auth/oidc/callback
+   */
+  ssoCallback: async (req, res) => {
+    const { code, state, error: providerError, error_description } = req.query;
+
+    try {
+      if (providerError) {
+        throw Object.assign(new Error(error_description || `Identity provider returned ${providerError}`), { status: 401 });
+      }
+      if (!code || !state) {
+        throw Object.assign(new Error('code and state are required'), { status: 400 });
+      }
+
+      const { user, redirectTo } = await oidcService.completeLogin(req, { code, state });
+      const response = await completeAuthentication(req, user, 'sso');
+
+      console.log(response.twoFactorRequired ? '🔐 Two-factor code required for:' : '✅ SSO login successful for:', maskEmail(user.email));
+
+      const fragment = new URLSearchParams(response.twoFactorRequired
+        ? { two_factor_token: response.twoFactorToken, expires_in: String(response.expiresIn) }
+        : { token: response.token, refresh_token: response.refreshToken, expires_in: String(response.expiresIn) });
+      if (redirectTo) {
+        fragment.set('redirect_to', redirectTo);
+      }
+      res.redirect(`${emailService.APP_URL}/auth/sso/callback#${fragment}`);
+
+    } catch (error) {
+      if (!error.status) {
+        console.error('❌ SSO callback error:', error);
+      } else {
+        console.log('❌ SSO login refused:', error.message);
+      }
+      const message = error.status ? error.message : 'Single sign-on failed';
+      res.redirect(`${emailService.APP_URL}/login?sso_error=${encodeURIComponent(message)}`);
+    }
+  },
+
+  /**
+   * Finish a single sign-on login from a frontend that received the provider's callback
+   * POST /api/auth/oidc/callback
+   */
+  completeSsoLogin: async (req, res) => {
+    try {
+      const { code, state } = req.body;
+
+      if (!code || !state) {
+        return res.status(400).json({
+          success: false,
+          error: 'code and state are required'
+        });
+      }
+
+      const { user, redirectTo } = await oidcService.completeLogin(req, { code, state });
+      const response = await completeAuthentication(req, user, 'sso');
+
+      console.log(response.twoFactorRequired ? '🔐 Two-factor code required for:' : '✅ SSO login successful for:', maskEmail(user.email));
+
+      res.json({ ...response, redirectTo });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ SSO callback error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Single sign-on failed',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Email a single-use password reset link. Always answers the same way so that
+   * registered addresses cannot be discovered through this endpoint.
+   * POST /api/auth/forgot-password
+   */
+  forgotPassword: async (req, res) => {
+    try {
+      const email = normalizeEmail(req.body.email);
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is required'
+        });
+      }
+
+      const result = await db.query(
+        'SELECT id, email, full_name, is_active FROM users WHERE LOWER(email) = $1',
+        [email]
       );
+      const user = result.rows[0];
 
-      // Create JWT token
-      const token = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          name: user.full_name
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
+      if (user && user.is_active) {
+        const type = userTokensService.TOKEN_TYPES.PASSWORD_RESET;
+        const lastSent = await userTokensService.lastIssuedAt(user.id, type);
+
+        if (!lastSent || Date.now() - new Date(lastSent).getTime() >= VERIFICATION_RESEND_INTERVAL_MS) {
+          try {
+            const { token, expiresAt } = await userTokensService.issueToken(db, user.id, type, PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+            await emailService.sendPasswordResetEmail(user, token, expiresAt);
+            console.log('🔑 Password reset requested for:', maskEmail(email));
+          } catch (error) {
+            console.error('❌ Failed to send password reset email:', error.message);
+          }
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      });
+
+    } catch (error) {
+      console.error('❌ Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request password reset',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Set a new password with a reset token. Signs out all existing sessions and revokes
+   * the user's personal API tokens.
+   * POST /api/auth/reset-password
+   */
+  resetPassword: async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Token and password are required'
+        });
+      }
+
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: passwordError
+        });
+      }
+
+      const user = await db.transaction(async (client) => {
+        const userId = await userTokensService.consumeToken(client, token, userTokensService.TOKEN_TYPES.PASSWORD_RESET);
+        await setPassword(client, userId, password);
+        await sessionsService.revokeUserSessions(client, userId, { reason: 'password_change' });
+        await apiTokensService.revokeUserTokens(client, userId);
+        const updated = await client.query(
+          'SELECT id, email, full_name FROM users WHERE id = $1',
+          [userId]
+        );
+        return updated.rows[0];
+      });
+
+      console.log('✅ Password reset for:', maskEmail(user.email));
+      await notifyPasswordChanged(user);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Change the password of the logged-in user. All sessions, this one included, are signed
+   * out and personal API tokens revoked; the caller gets the tokens of a new session.
+   * POST /api/auth/change-password
+   */
+  changePassword: async (req, res) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      if (!current_password || !new_password) {
+        return res.status(400).json({
+          success: false,
+          error: 'current_password and new_password are required'
+        });
+      }
+
+      const passwordError = validatePassword(new_password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: passwordError
+        });
+      }
+
+      if (current_password === new_password) {
+        return res.status(400).json({
+          success: false,
+          error: 'New password must be different from the current password'
+        });
+      }
+
+      const passwordCheck = await db.query(
+        `SELECT id, email, full_name, (password_hash IS NOT NULL AND password_hash = crypt($1, password_hash)) AS password_match
+         FROM users 
+         WHERE id = $2`,
+        [current_password, req.user.id]
       );
 
-      console.log('✅ Login successful for:', email);
+      const user = passwordCheck.rows[0];
+      if (!user || !user.password_match) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is incorrect'
+        });
+      }
+
+      const { token, refreshToken, expiresIn } = await db.transaction(async (client) => {
+        await setPassword(client, user.id, new_password);
+        await sessionsService.revokeUserSessions(client, user.id, { reason: 'password_change' });
+        await apiTokensService.revokeUserTokens(client, user.id);
+        return sessionsService.createSession(client, user, req);
+      });
+
+      console.log('✅ Password changed for:', maskEmail(user.email));
+      await notifyPasswordChanged(user);
 
-      // Return user data and token
       res.json({
         success: true,
         token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.full_name,
-          emailVerified: user.email_verified,
-          workspaces: workspaces.rows
-        }
+        refreshToken,
+        expiresIn,
+        message: 'Password changed successfully. All sessions were signed out and personal API tokens revoked; continue with the new tokens.'
       });
 
     } catch (error) {
-      console.error('❌ Login error:', error);
+      console.error('❌ Change password error:', error);
       res.status(500).json({
         success: false,
-        error: 'Login failed',
+        error: 'Failed to change password',
         message: error.message
       });
     }
   },
 
   /**
-   * Logout user (mainly client-side, but can be used to invalidate tokens)
+   * Exchange a refresh token for a new access token; the refresh token rotates
+   * POST /api/auth/refresh
+   */
+  refresh: async (req, res) => {
+    try {
+      const refreshToken = req.body.refresh_token || req.body.refreshToken;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'refresh_token is required'
+        });
+      }
+
+      const { token, refreshToken: nextRefreshToken, expiresIn } = await sessionsService.refreshSession(refreshToken, req);
+
+      res.json({
+        success: true,
+        token,
+        refreshToken: nextRefreshToken,
+        expiresIn
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh token',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Logout user by revoking the current session; its access and refresh tokens stop working
    * POST /api/auth/logout
    */
   logout: async (req, res) => {
     try {
-      // In a real app with token blacklist, you would add the token to blacklist here
+      await sessionsService.revokeSession(req.user.sessionId, req.user.id, 'logout');
+
       res.json({
         success: true,
         message: 'Logged out successfully'
@@ -151,6 +975,83 @@ const authController = {
     }
   },
 
+  /**
+   * List the active sessions of the current user
+   * GET /api/auth/sessions
+   */
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await sessionsService.listSessions(req.user.id);
+
+      res.json({
+        success: true,
+        count: sessions.length,
+        data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sessions',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Revoke one of the current user's sessions
+   * DELETE /api/auth/sessions/:id
+   */
+  revokeSession: async (req, res) => {
+    try {
+      const revoked = await sessionsService.revokeSession(req.params.id, req.user.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke session',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Revoke all of the current user's sessions except the current one
+   * DELETE /api/auth/sessions
+   */
+  revokeOtherSessions: async (req, res) => {
+    try {
+      const count = await sessionsService.revokeUserSessions(db, req.user.id, {
+        exceptSessionId: req.user.sessionId
+      });
+
+      res.json({
+        success: true,
+        count,
+        message: 'Other sessions revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions',
+        message: error.message
+      });
+    }
+  },
+
   /**
    * Get current user info from JWT token
    * GET /api/auth/me
@@ -168,15 +1069,15 @@ const authController = {
 
       const token = authHeader.substring(7);
 
-      // Verify JWT token
-      const decoded = jwt.verify(token, JWT_SECRET);
+      // Verify JWT token (signature, expiry, account state and session)
+      const { id: userId } = await resolveUserFromToken(token);
 
       // Get fresh user data from database
       const result = await db.query(
-        `SELECT id, email, full_name, is_active, email_verified
+        `SELECT id, email, full_name, is_active, email_verified, totp_enabled_at
          FROM users 
          WHERE id = $1`,
-        [decoded.userId]
+        [userId]
       );
 
       if (result.rows.length === 0) {
@@ -212,6 +1113,7 @@ const authController = {
           email: user.email,
           name: user.full_name,
           emailVerified: user.email_verified,
+          twoFactorEnabled: Boolean(user.totp_enabled_at),
           workspaces: workspaces.rows
         }
       });
@@ -229,6 +1131,12 @@ const authController = {
           error: 'Token expired'
         });
       }
+      if (error.name === 'AuthenticationError') {
+        return res.status(401).json({
+          success: false,
+          error: error.message
+        });
+      }
 
       console.error('Get current user error:', error);
       res.status(500).json({
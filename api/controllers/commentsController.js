@@ -0,0 +1,546 @@
+const db = require('../../database/connection');
+const { hasMinimumRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+const notificationsService = require('../services/notificationsService');
+
+/**
+ * Entities that can be commented on, and how their IDs are looked up in a workspace.
+ * Requirements, test cases and versions use business IDs; suites and results use UUIDs.
+ */
+const COMMENT_ENTITIES = {
+  requirement: { table: 'requirements', column: 'id', auditEntity: 'requirement' },
+  test_case: { table: 'test_cases', column: 'id', auditEntity: 'test_case' },
+  version: { table: 'versions', column: 'id', auditEntity: 'version' },
+  test_suite: { table: 'test_suite_definitions', column: 'id::text', auditEntity: 'test_suite' },
+  test_result: { table: 'test_results', column: 'id::text', auditEntity: 'execution' }
+};
+
+const COMMENT_SELECT = `
+  SELECT
+    c.*,
+    u.full_name as author_name,
+    u.email as author_email,
+    ru.full_name as resolved_by_name
+  FROM comments c
+  JOIN users u ON c.author_id = u.id
+  LEFT JOIN users ru ON c.resolved_by = ru.id
+`;
+
+const entityExists = async (entityType, entityId, workspaceId) => {
+  const { table, column } = COMMENT_ENTITIES[entityType];
+  const result = await db.query(
+    `SELECT 1 FROM ${table} WHERE ${column} = $1 AND workspace_id = $2`,
+    [String(entityId), workspaceId]
+  );
+  return result.rows.length > 0;
+};
+
+const findComment = async (id, workspaceId) => {
+  const result = await db.query(`
+    ${COMMENT_SELECT}
+    WHERE c.id::text = $1 AND c.workspace_id = $2
+  `, [id, workspaceId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Group top-level comments with their replies (oldest first)
+ */
+const buildThreads = (rows) => {
+  const threads = new Map();
+  rows.filter(row => !row.parent_comment_id).forEach(row => threads.set(row.id, { ...row, replies: [] }));
+  rows.filter(row => row.parent_comment_id).forEach(row => {
+    const thread = threads.get(row.parent_comment_id);
+    if (thread) thread.replies.push(row);
+  });
+  return [...threads.values()];
+};
+
+const getThread = async (rootId) => {
+  const result = await db.query(`
+    ${COMMENT_SELECT}
+    WHERE c.id = $1 OR c.parent_comment_id = $1
+    ORDER BY c.created_at ASC
+  `, [rootId]);
+  return buildThreads(result.rows)[0] || null;
+};
+
+/**
+ * Notify workspace members mentioned in content, except those in alreadyMentioned
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyMentions = async (client, { comment, content, actor, alreadyMentioned = [] }) => {
+  const emails = notificationsService.extractMentions(content)
+    .filter(email => !alreadyMentioned.includes(email));
+  const members = await notificationsService.resolveMentionedMembers(client, comment.workspace_id, emails);
+
+  const created = await notificationsService.createNotifications(client, {
+    workspaceId: comment.workspace_id,
+    userIds: members.map(member => member.id),
+    type: 'mention',
+    entityType: comment.entity_type,
+    entityId: comment.entity_id,
+    commentId: comment.id,
+    actorId: actor.id,
+    message: `${actor.name || actor.email} mentioned you on ${comment.entity_type} ${comment.entity_id}`
+  });
+  return created.length;
+};
+
+/**
+ * Insert a comment or reply with its mention and reply notifications.
+ * Replies always attach to the top-level comment of the thread.
+ */
+const insertComment = async (req, { workspaceId, entityType, entityId, content, parent = null }) => {
+  return db.transaction(async (client) => {
+    const inserted = await client.query(`
+      INSERT INTO comments (workspace_id, entity_type, entity_id, content, author_id, parent_comment_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [workspaceId, entityType, String(entityId), content, req.user.id, parent?.id || null]);
+
+    const comment = inserted.rows[0];
+    let notified = await notifyMentions(client, { comment, content, actor: req.user });
+
+    if (parent) {
+      // Let the thread's participants know about the reply, unless they were just mentioned
+      const participants = await client.query(`
+        SELECT DISTINCT author_id FROM comments
+        WHERE (id = $1 OR parent_comment_id = $1) AND id != $2
+      `, [parent.id, comment.id]);
+      const mentioned = await client.query(
+        'SELECT user_id FROM notifications WHERE comment_id = $1',
+        [comment.id]
+      );
+      const alreadyNotified = new Set(mentioned.rows.map(row => row.user_id));
+
+      const replies = await notificationsService.createNotifications(client, {
+        workspaceId,
+        userIds: participants.rows.map(row => row.author_id).filter(userId => !alreadyNotified.has(userId)),
+        type: 'reply',
+        entityType,
+        entityId,
+        commentId: comment.id,
+        actorId: req.user.id,
+        message: `${req.user.name || req.user.email} replied to a comment on ${entityType} ${entityId}`
+      });
+      notified += replies.length;
+    }
+
+    await recordAudit({
+      client,
+      req,
+      workspaceId,
+      action: 'comment',
+      entityType: COMMENT_ENTITIES[entityType].auditEntity,
+      entityId,
+      newValue: { comment_id: comment.id, parent_comment_id: comment.parent_comment_id, content },
+      description: parent ? `Reply added on ${entityType} ${entityId}` : `Comment added on ${entityType} ${entityId}`
+    });
+
+    return { comment, notified };
+  });
+};
+
+/**
+ * Get comment threads, optionally for a single entity
+ * Filters: entity_type, entity_id, is_resolved
+ */
+const getComments = async (req, res) => {
+  try {
+    const { workspace_id, entity_type, entity_id, is_resolved } = req.query;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (entity_type && !COMMENT_ENTITIES[entity_type]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid entity_type. Must be one of: ${Object.keys(COMMENT_ENTITIES).join(', ')}`
+      });
+    }
+
+    // Filters apply to top-level comments; replies follow their thread
+    const conditions = ['root.workspace_id = $1', 'root.parent_comment_id IS NULL'];
+    const values = [workspace_id];
+    let paramCounter = 2;
+
+    if (entity_type) {
+      conditions.push(`root.entity_type = $${paramCounter}`);
+      values.push(entity_type);
+      paramCounter++;
+    }
+    if (entity_id) {
+      conditions.push(`root.entity_id = $${paramCounter}`);
+      values.push(entity_id);
+      paramCounter++;
+    }
+    if (is_resolved !== undefined) {
+      conditions.push(`root.is_resolved = $${paramCounter}`);
+      values.push(is_resolved === 'true');
+      paramCounter++;
+    }
+
+    const result = await db.query(`
+      ${COMMENT_SELECT}
+      WHERE COALESCE(c.parent_comment_id, c.id) IN (
+        SELECT root.id FROM comments root
+        WHERE ${conditions.join(' AND ')}
+      )
+      ORDER BY c.created_at ASC
+    `, values);
+
+    const threads = buildThreads(result.rows);
+
+    res.json({
+      success: true,
+      count: threads.length,
+      data: threads
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single comment thread (a reply ID returns its whole thread)
+ */
+const getCommentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const comment = await findComment(id, workspaceId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getThread(comment.parent_comment_id || comment.id)
+    });
+  } catch (error) {
+    console.error('Error fetching comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Comment on a requirement, test case, version, suite or test result.
+ * Passing parent_comment_id makes it a reply.
+ */
+const createComment = async (req, res) => {
+  try {
+    const { workspace_id, entity_type, entity_id, content, parent_comment_id } = req.body;
+
+    if (!workspace_id || !content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id and content are required'
+      });
+    }
+
+    if (parent_comment_id) {
+      req.params.id = parent_comment_id;
+      return replyToComment(req, res);
+    }
+
+    if (!COMMENT_ENTITIES[entity_type] || !entity_id) {
+      return res.status(400).json({
+        success: false,
+        error: `entity_id and entity_type are required. entity_type must be one of: ${Object.keys(COMMENT_ENTITIES).join(', ')}`
+      });
+    }
+
+    if (!(await entityExists(entity_type, entity_id, workspace_id))) {
+      return res.status(404).json({
+        success: false,
+        error: `${entity_type} not found in this workspace: ${entity_id}`
+      });
+    }
+
+    const { comment, notified } = await insertComment(req, {
+      workspaceId: workspace_id,
+      entityType: entity_type,
+      entityId: entity_id,
+      content
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await findComment(comment.id, workspace_id),
+      notified,
+      message: 'Comment added successfully'
+    });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reply to a comment thread
+ */
+const replyToComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workspace_id, content } = req.body;
+
+    if (!workspace_id || !content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id and content are required'
+      });
+    }
+
+    const target = await findComment(id, workspace_id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    const parent = target.parent_comment_id
+      ? await findComment(target.parent_comment_id, workspace_id)
+      : target;
+
+    const { comment, notified } = await insertComment(req, {
+      workspaceId: workspace_id,
+      entityType: parent.entity_type,
+      entityId: parent.entity_id,
+      content,
+      parent
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await findComment(comment.id, workspace_id),
+      notified,
+      message: 'Reply added successfully'
+    });
+  } catch (error) {
+    console.error('Error replying to comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reply to comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit a comment (author only). Only newly added mentions are notified.
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workspace_id, content } = req.body;
+
+    if (!workspace_id || !content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id and content are required'
+      });
+    }
+
+    const existing = await findComment(id, workspace_id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existing.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit a comment'
+      });
+    }
+
+    const notified = await db.transaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE comments
+        SET content = $1, edited_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [content, existing.id]);
+
+      return notifyMentions(client, {
+        comment: updated.rows[0],
+        content,
+        actor: req.user,
+        alreadyMentioned: notificationsService.extractMentions(existing.content)
+      });
+    });
+
+    res.json({
+      success: true,
+      data: await findComment(existing.id, workspace_id),
+      notified,
+      message: 'Comment updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a comment and its replies (author, admin or owner)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const existing = await findComment(id, workspaceId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existing.author_id !== req.user.id && !hasMinimumRole(req.workspace.userRole, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author, an admin or the owner can delete a comment'
+      });
+    }
+
+    // Replies are removed by ON DELETE CASCADE
+    await db.query('DELETE FROM comments WHERE id = $1', [existing.id]);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Resolve or reopen a thread (thread author, or editor and above)
+ */
+const setResolved = (resolved) => async (req, res) => {
+  const verb = resolved ? 'resolve' : 'reopen';
+  try {
+    const { id } = req.params;
+    const { workspace_id } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const existing = await findComment(id, workspace_id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existing.parent_comment_id) {
+      return res.status(400).json({
+        success: false,
+        error: `Only top-level comments can be ${resolved ? 'resolved' : 'reopened'}`
+      });
+    }
+
+    if (existing.author_id !== req.user.id && !hasMinimumRole(req.workspace.userRole, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        error: `Only the author or an editor can ${verb} this thread`
+      });
+    }
+
+    if (existing.is_resolved === resolved) {
+      return res.status(409).json({
+        success: false,
+        error: `Thread is already ${resolved ? 'resolved' : 'open'}`
+      });
+    }
+
+    await db.query(`
+      UPDATE comments
+      SET is_resolved = $1, resolved_by = $2, resolved_at = $3
+      WHERE id = $4
+    `, [resolved, resolved ? req.user.id : null, resolved ? new Date() : null, existing.id]);
+
+    res.json({
+      success: true,
+      data: await getThread(existing.id),
+      message: resolved ? 'Thread resolved' : 'Thread reopened'
+    });
+  } catch (error) {
+    console.error(`Error trying to ${verb} comment:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${verb} comment`,
+      message: error.message
+    });
+  }
+};
+
+const resolveComment = setResolved(true);
+const reopenComment = setResolved(false);
+
+module.exports = {
+  getComments,
+  getCommentById,
+  createComment,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  reopenComment
+};
@@ -0,0 +1,488 @@
+const db = require('../../database/connection');
+const { getRequestWorkspaceRole } = require('../middleware/auth');
+const executionRunsService = require('../services/executionRunsService');
+const executionResultsService = require('../services/executionResultsService');
+
+// Outcomes a manual tester can record for a test case and for each of its steps
+const MANUAL_RESULT_STATUSES = ['Passed', 'Failed', 'Blocked', 'Skipped'];
+const MANUAL_STEP_STATUSES = [...MANUAL_RESULT_STATUSES, 'Not Run'];
+
+// Values of the execution_trigger enum
+const TRIGGER_TYPES = ['manual', 'automated', 'scheduled', 'webhook', 'ci_cd'];
+
+/**
+ * Get execution runs for a workspace (most recent first)
+ */
+const getAllExecutionRuns = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
+
+    if (!userRole) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const { status, trigger_type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (trigger_type && !TRIGGER_TYPES.includes(trigger_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid trigger_type. Must be one of: ${TRIGGER_TYPES.join(', ')}`
+      });
+    }
+
+    const conditions = ['ter.workspace_id = $1'];
+    const values = [workspaceId];
+    let paramCounter = 2;
+
+    if (status) {
+      conditions.push(`ter.status = $${paramCounter}`);
+      values.push(status);
+      paramCounter++;
+    }
+    if (trigger_type) {
+      conditions.push(`ter.trigger_type = $${paramCounter}`);
+      values.push(trigger_type);
+      paramCounter++;
+    }
+
+    values.push(limit);
+    values.push(offset);
+
+    const result = await db.query(`
+      SELECT
+        ter.*,
+        COUNT(tr.id) as result_count,
+        u.full_name as triggered_by_name
+      FROM test_execution_runs ter
+      LEFT JOIN test_results tr ON ter.id = tr.execution_run_id
+      LEFT JOIN users u ON ter.triggered_by = u.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ter.id, u.full_name
+      ORDER BY ter.started_at DESC
+      LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+    `, values);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching execution runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch execution runs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single execution run with its test results
+ * Accepts either the run UUID or its requestId
+ */
+const getExecutionRunById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
+
+    if (!userRole) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const runResult = await db.query(`
+      SELECT ter.*, u.full_name as triggered_by_name
+      FROM test_execution_runs ter
+      LEFT JOIN users u ON ter.triggered_by = u.id
+      WHERE (ter.id::text = $1 OR ter.request_id = $1) AND ter.workspace_id = $2
+    `, [id, workspaceId]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution run not found'
+      });
+    }
+
+    const run = runResult.rows[0];
+
+    const results = await db.query(`
+      SELECT
+        tr.*,
+        tc.id as test_case_business_id,
+        tc.name as test_case_name
+      FROM test_results tr
+      JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+      WHERE tr.execution_run_id = $1
+      ORDER BY tr.created_at ASC
+    `, [run.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        progress: await executionRunsService.getRunProgress(run.id),
+        results: results.rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching execution run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch execution run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Find a run of a workspace by UUID or requestId
+ */
+const findRun = async (id, workspaceId) => {
+  const runResult = await db.query(`
+    SELECT * FROM test_execution_runs
+    WHERE (id::text = $1 OR request_id = $1) AND workspace_id = $2
+  `, [id, workspaceId]);
+  return runResult.rows[0] || null;
+};
+
+/**
+ * Start a manual run from a suite or an ad-hoc list of test cases
+ */
+const startManualRun = async (req, res) => {
+  try {
+    const { workspace_id, suite_id, test_case_ids, version_id, environment, name, notes } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (test_case_ids !== undefined && (!Array.isArray(test_case_ids) || test_case_ids.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'test_case_ids must be a non-empty array of test case IDs'
+      });
+    }
+
+    if (!suite_id && !test_case_ids) {
+      return res.status(400).json({
+        success: false,
+        error: 'suite_id or test_case_ids is required'
+      });
+    }
+
+    const run = await executionRunsService.startRun({
+      requestId: `manual-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      workspaceId: workspace_id,
+      testCaseIds: test_case_ids,
+      suiteId: suite_id,
+      suiteName: name,
+      versionId: version_id,
+      environment,
+      triggerType: 'manual',
+      triggeredBy: req.user.id,
+      metadata: notes ? { notes } : {}
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...run,
+        progress: await executionRunsService.getRunProgress(run.id)
+      },
+      message: 'Manual run started successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error starting manual run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start manual run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Validate per-step outcomes against the test case's steps
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateStepResults = (stepResults, steps) => {
+  if (!Array.isArray(stepResults)) {
+    return 'step_results must be an array';
+  }
+  const stepCount = Array.isArray(steps) ? steps.length : 0;
+  for (const stepResult of stepResults) {
+    const step = parseInt(stepResult?.step);
+    if (!Number.isInteger(step) || step < 1 || step > stepCount) {
+      return `step_results: step must be between 1 and ${stepCount}`;
+    }
+    if (!MANUAL_STEP_STATUSES.includes(stepResult.status)) {
+      return `step_results: status must be one of ${MANUAL_STEP_STATUSES.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record a manual tester's result for one test case of a manual run
+ */
+const recordManualResult = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      workspace_id,
+      test_case_id,
+      status,
+      notes,
+      step_results = [],
+      attachments = [],
+      duration,
+      failure_message
+    } = req.body;
+
+    if (!workspace_id || !test_case_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id and test_case_id are required'
+      });
+    }
+
+    if (!MANUAL_RESULT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${MANUAL_RESULT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (duration !== undefined && duration !== null && (!Number.isInteger(duration) || duration < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'duration must be a non-negative integer'
+      });
+    }
+
+    if (!Array.isArray(attachments) || attachments.some(a => !a || typeof a.url !== 'string' || !a.name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'attachments must be an array of { name, url, type }'
+      });
+    }
+
+    const run = await findRun(id, workspace_id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution run not found'
+      });
+    }
+
+    if (run.trigger_type !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        error: 'Manual results can only be recorded on manual runs'
+      });
+    }
+
+    if (run.status !== executionRunsService.RUN_STATUS.RUNNING) {
+      return res.status(409).json({
+        success: false,
+        error: `Execution run is already ${run.status}`
+      });
+    }
+
+    const planned = run.metadata?.plannedTestCases || [];
+    if (planned.length > 0 && !planned.includes(test_case_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Test case is not part of this run'
+      });
+    }
+
+    const testCaseResult = await db.query(
+      'SELECT tc_uuid, steps FROM test_cases WHERE id = $1 AND workspace_id = $2',
+      [test_case_id, workspace_id]
+    );
+
+    if (testCaseResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test case not found'
+      });
+    }
+
+    const testCase = testCaseResult.rows[0];
+
+    const stepError = validateStepResults(step_results, testCase.steps);
+    if (stepError) {
+      return res.status(400).json({
+        success: false,
+        error: stepError
+      });
+    }
+
+    const { row } = await db.transaction(async client => {
+      // The run may have been completed or cancelled since it was read; hold it until the result is in
+      const locked = await client.query(
+        'SELECT * FROM test_execution_runs WHERE id = $1 FOR UPDATE',
+        [run.id]
+      );
+      if (locked.rows[0].status !== executionRunsService.RUN_STATUS.RUNNING) {
+        throw Object.assign(new Error(`Execution run is already ${locked.rows[0].status}`), { status: 409 });
+      }
+
+      return executionResultsService.upsertTestResult(client, {
+        run: locked.rows[0],
+        testCaseUuid: testCase.tc_uuid,
+        status,
+        executedBy: req.user.id,
+        result: {
+          duration: duration ?? null,
+          failure: failure_message ? { message: failure_message, category: 'manual' } : null,
+          logs: notes || null,
+          metadata: {
+            notes: notes || null,
+            stepResults: step_results.map(stepResult => ({
+              step: parseInt(stepResult.step),
+              status: stepResult.status,
+              actualResult: stepResult.actual_result || null,
+              notes: stepResult.notes || null
+            })),
+            attachments: attachments.map(({ name, url, type }) => ({ name, url, type: type || null })),
+            executedBy: req.user.id
+          }
+        }
+      });
+    });
+
+    // The run completes once every planned test case has a result
+    const runState = await executionRunsService.completeRunIfFinished(run.id);
+
+    res.json({
+      success: true,
+      data: row,
+      runCompleted: !!runState?.completed,
+      qualityGates: runState?.qualityGates || null,
+      progress: runState?.progress || await executionRunsService.getRunProgress(run.id),
+      message: 'Result recorded successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error recording manual result:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record result',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Complete or cancel a run from the UI
+ */
+const finishExecutionRun = async (req, res, status) => {
+  try {
+    const { id } = req.params;
+    const { workspace_id, summary, reason } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const run = await findRun(id, workspace_id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution run not found'
+      });
+    }
+
+    const { run: finished, progress, qualityGates } = await executionRunsService.finishRun({
+      requestId: run.request_id,
+      workspaceId: workspace_id,
+      status,
+      summary,
+      reason,
+      finishedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: { ...finished, progress },
+      qualityGates,
+      message: `Execution run ${status}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`Error finishing execution run (${status}):`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update execution run',
+      message: error.message
+    });
+  }
+};
+
+const completeExecutionRun = (req, res) => finishExecutionRun(req, res, executionRunsService.RUN_STATUS.COMPLETED);
+
+const cancelExecutionRun = (req, res) => finishExecutionRun(req, res, executionRunsService.RUN_STATUS.CANCELLED);
+
+module.exports = {
+  getAllExecutionRuns,
+  getExecutionRunById,
+  startManualRun,
+  recordManualResult,
+  completeExecutionRun,
+  cancelExecutionRun
+};
@@ -1,4 +1,7 @@
 const db = require('../../database/connection');
+const { getRequestWorkspaceRole } = require('../middleware/auth');
+const requirementWorkflowService = require('../services/requirementWorkflowService');
+const riskScoringService = require('../services/riskScoringService');
 
 // ✅ REMOVED: const DEFAULT_WORKSPACE_ID
 // ✅ REMOVED: const DEFAULT_USER_ID
@@ -26,19 +29,14 @@ const importData = async (req, res) => {
     }
 
     // Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspace_id, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspace_id);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -112,11 +110,28 @@ const importData = async (req, res) => {
               ).join(' ');
             };
 
-            await client.query(`
+            // Checked up front: a value the table rejects would abort the whole import
+            const riskFactors = {
+              business_impact: req.business_impact ?? req.businessImpact ?? null,
+              technical_complexity: req.technical_complexity ?? req.technicalComplexity ?? null,
+              regulatory_factor: req.regulatory_factor ?? req.regulatoryFactor ?? null,
+              usage_frequency: req.usage_frequency ?? req.usageFrequency ?? null
+            };
+            const riskError = riskScoringService.validateRiskFactors(riskFactors);
+            if (riskError) {
+              summary.requirements.skipped++;
+              summary.requirements.errors.push(`Requirement ${req.id}: ${riskError}`);
+              continue;
+            }
+
+            const inserted = await client.query(`
               INSERT INTO requirements (
-                id, workspace_id, name, description, type, priority, status, tags, created_by
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                id, workspace_id, name, description, type, priority, status,
+                business_impact, technical_complexity, regulatory_factor, usage_frequency,
+                tags, created_by
+              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
               ON CONFLICT (id) DO NOTHING
+              RETURNING req_uuid
             `, [
               req.id,
               workspace_id,
@@ -124,11 +139,20 @@ const importData = async (req, res) => {
               req.description || '',
               normalizeEnumValue(req.type, 'Functional'),
               normalizeEnumValue(req.priority, 'Medium'),
-              normalizeEnumValue(req.status, 'Active'),
+              requirementWorkflowService.getImportedStatus(normalizeEnumValue(req.status, 'Active')),
+              riskFactors.business_impact,
+              riskFactors.technical_complexity,
+              riskFactors.regulatory_factor,
+              riskFactors.usage_frequency,
               JSON.stringify(tags),
               userId
             ]);
 
+            // test_depth_factor and min_test_cases are computed from the imported risk factors
+            if (inserted.rows.length > 0) {
+              await riskScoringService.applyTestDepth(client, workspace_id, inserted.rows[0].req_uuid);
+            }
+
             summary.requirements.imported++;
 
             // ✅ Import requirement-version mappings with UUID conversion
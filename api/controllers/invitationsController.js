@@ -0,0 +1,363 @@
+const db = require('../../database/connection');
+const invitationsService = require('../services/invitationsService');
+const { recordAudit } = require('../services/auditService');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sendInvitationError = (res, status, error) => res.status(status).json({ success: false, error });
+
+// Fields an invitee may see before accepting
+const toPublicInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  expires_at: invitation.expires_at,
+  workspace_id: invitation.workspace_id,
+  workspace_name: invitation.workspace_name,
+  invited_by_name: invitation.invited_by_name
+});
+
+/**
+ * Get a workspace's invitations, pending ones by default (?status=all for every invitation)
+ */
+const getWorkspaceInvitations = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (status !== 'all' && !invitationsService.INVITATION_STATUSES.includes(status)) {
+      return sendInvitationError(res, 400, `Invalid status. Must be one of: all, ${invitationsService.INVITATION_STATUSES.join(', ')}`);
+    }
+
+    const invitations = await invitationsService.listWorkspaceInvitations(req.params.id, status === 'all' ? null : status);
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Invite an email address to a workspace with a role. The address does not need an account.
+ */
+const createWorkspaceInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role = 'viewer' } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return sendInvitationError(res, 400, 'A valid email is required');
+    }
+
+    if (!invitationsService.INVITABLE_ROLES.includes(role)) {
+      return sendInvitationError(res, 400, `Invalid role. Must be one of: ${invitationsService.INVITABLE_ROLES.join(', ')}`);
+    }
+
+    const existingMember = await db.query(`
+      SELECT wm.id FROM workspace_members wm
+      JOIN users u ON u.id = wm.user_id
+      WHERE wm.workspace_id = $1 AND LOWER(u.email) = $2
+    `, [id, email]);
+
+    if (existingMember.rows.length > 0) {
+      return sendInvitationError(res, 400, 'User is already a member of this workspace');
+    }
+
+    const { invitation, emailSent } = await invitationsService.createInvitation({
+      workspaceId: id,
+      email,
+      role,
+      invitedBy: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'create',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      newValue: { email, role },
+      description: `${email} invited to the workspace as ${role}`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      emailSent,
+      message: `Invitation sent to ${email}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendInvitationError(res, error.status, error.message);
+    }
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Send a pending or expired invitation again, with a new link and expiry date
+ */
+const resendWorkspaceInvitation = async (req, res) => {
+  try {
+    const { id, invitationId } = req.params;
+
+    const { invitation, emailSent } = await invitationsService.resendInvitation(id, invitationId);
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      newValue: { email: invitation.email, expires_at: invitation.expires_at },
+      description: `Invitation to ${invitation.email} resent`
+    });
+
+    res.json({
+      success: true,
+      data: invitation,
+      emailSent,
+      message: `Invitation resent to ${invitation.email}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendInvitationError(res, error.status, error.message);
+    }
+    console.error('Error resending invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a pending invitation; its link stops working
+ */
+const revokeWorkspaceInvitation = async (req, res) => {
+  try {
+    const { id, invitationId } = req.params;
+
+    const invitation = await invitationsService.revokeInvitation(id, invitationId);
+
+    if (!invitation) {
+      return sendInvitationError(res, 404, 'Pending invitation not found in this workspace');
+    }
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'delete',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      oldValue: { email: invitation.email, role: invitation.role },
+      description: `Invitation to ${invitation.email} revoked`
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Show the invitation behind an emailed link, so the frontend can offer to sign up
+ * or log in with the invited email
+ */
+const lookupInvitation = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return sendInvitationError(res, 400, 'Token is required');
+    }
+
+    const invitation = await invitationsService.getInvitationByToken(db, token);
+
+    if (!invitation) {
+      return sendInvitationError(res, 404, 'Invitation not found');
+    }
+
+    const account = await db.query('SELECT 1 FROM users WHERE LOWER(email) = $1', [invitation.email]);
+
+    res.json({
+      success: true,
+      data: {
+        ...toPublicInvitation(invitation),
+        has_account: account.rows.length > 0
+      }
+    });
+  } catch (error) {
+    console.error('Error looking up invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the pending invitations sent to the current user's (verified) email
+ */
+const getMyInvitations = async (req, res) => {
+  try {
+    const user = await db.query('SELECT email, email_verified FROM users WHERE id = $1', [req.user.id]);
+    const { email, email_verified } = user.rows[0];
+
+    const invitations = email_verified ? await invitationsService.listPendingInvitationsForEmail(email) : [];
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(toPublicInvitation),
+      ...(email_verified ? {} : { message: 'Verify your email address to see the invitations sent to it' })
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Accept an invitation with the token from the email. Holding the token proves the
+ * address, so it also verifies the user's email.
+ */
+const acceptInvitationByToken = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return sendInvitationError(res, 400, 'Token is required');
+    }
+
+    const membership = await db.transaction(async (client) => {
+      const invitation = await invitationsService.getInvitationByToken(client, token);
+      const joined = await invitationsService.acceptInvitation(client, req, invitation, req.user);
+      await client.query('UPDATE users SET email_verified = true WHERE id = $1 AND email_verified = false', [req.user.id]);
+      return joined;
+    });
+
+    res.json({
+      success: true,
+      data: membership,
+      message: membership.already_member
+        ? `You already are a member of ${membership.workspace_name}`
+        : `You joined ${membership.workspace_name} as ${membership.role}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendInvitationError(res, error.status, error.message);
+    }
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Accept one of the invitations listed for the current user's verified email
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const user = await db.query('SELECT email, email_verified FROM users WHERE id = $1', [req.user.id]);
+
+    if (!user.rows[0].email_verified) {
+      return sendInvitationError(res, 403, 'Verify your email address, or use the link from the invitation email');
+    }
+
+    const membership = await db.transaction(async (client) => {
+      const invitation = await invitationsService.getInvitation(client, req.params.id);
+      if (!invitation) {
+        throw Object.assign(new Error('Invitation not found'), { status: 404 });
+      }
+      return invitationsService.acceptInvitation(client, req, invitation, { id: req.user.id, email: user.rows[0].email });
+    });
+
+    res.json({
+      success: true,
+      data: membership,
+      message: membership.already_member
+        ? `You already are a member of ${membership.workspace_name}`
+        : `You joined ${membership.workspace_name} as ${membership.role}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendInvitationError(res, error.status, error.message);
+    }
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Decline an invitation sent to the current user's email
+ */
+const declineInvitation = async (req, res) => {
+  try {
+    const declined = await invitationsService.declineInvitation(req.params.id, req.user.email);
+
+    if (!declined) {
+      return sendInvitationError(res, 404, 'Pending invitation not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline invitation',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWorkspaceInvitations,
+  createWorkspaceInvitation,
+  resendWorkspaceInvitation,
+  revokeWorkspaceInvitation,
+  lookupInvitation,
+  getMyInvitations,
+  acceptInvitationByToken,
+  acceptInvitation,
+  declineInvitation
+};
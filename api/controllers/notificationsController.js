@@ -0,0 +1,127 @@
+const db = require('../../database/connection');
+
+/**
+ * Get the current user's notifications (most recent first)
+ * Filters: workspace_id, unread_only
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { workspace_id, unread_only } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const conditions = ['n.user_id = $1'];
+    const values = [req.user.id];
+    let paramCounter = 2;
+
+    if (workspace_id) {
+      conditions.push(`n.workspace_id = $${paramCounter}`);
+      values.push(workspace_id);
+      paramCounter++;
+    }
+
+    const unreadResult = await db.query(`
+      SELECT COUNT(*) FROM notifications n
+      WHERE ${conditions.join(' AND ')} AND n.is_read = false
+    `, values);
+
+    if (unread_only === 'true') {
+      conditions.push('n.is_read = false');
+    }
+
+    const result = await db.query(`
+      SELECT
+        n.*,
+        u.full_name as actor_name,
+        c.content as comment_content
+      FROM notifications n
+      LEFT JOIN users u ON n.actor_id = u.id
+      LEFT JOIN comments c ON n.comment_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY n.created_at DESC
+      LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+    `, [...values, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      unread: parseInt(unreadResult.rows[0].count),
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark one of the current user's notifications as read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE notifications
+      SET is_read = true, read_at = COALESCE(read_at, NOW())
+      WHERE id::text = $1 AND user_id = $2
+      RETURNING *
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read, optionally for one workspace
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const workspaceId = req.body.workspace_id || req.query.workspace_id || null;
+
+    const result = await db.query(`
+      UPDATE notifications
+      SET is_read = true, read_at = NOW()
+      WHERE user_id = $1 AND is_read = false
+        AND ($2::uuid IS NULL OR workspace_id = $2)
+    `, [req.user.id, workspaceId]);
+
+    res.json({
+      success: true,
+      count: result.rowCount,
+      message: 'Notifications marked as read'
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
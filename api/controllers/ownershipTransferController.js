@@ -0,0 +1,205 @@
+const db = require('../../database/connection');
+const ownershipTransferService = require('../services/ownershipTransferService');
+const { recordAudit } = require('../services/auditService');
+
+const sendTransferError = (res, status, error) => res.status(status).json({ success: false, error });
+
+/**
+ * Get the workspace's pending ownership transfer, or null
+ */
+const getOwnershipTransfer = async (req, res) => {
+  try {
+    const transfer = await ownershipTransferService.getPendingTransfer(db, req.params.id);
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Error fetching ownership transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ownership transfer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Nominate an existing member (body: member_id) as the new owner. Nothing changes
+ * until the nominee accepts.
+ */
+const createOwnershipTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { member_id } = req.body;
+
+    if (!member_id) {
+      return sendTransferError(res, 400, 'member_id is required');
+    }
+
+    const { transfer, emailSent } = await ownershipTransferService.createTransfer({
+      workspaceId: id,
+      ownerId: req.user.id,
+      memberId: member_id
+    });
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'workspace',
+      entityId: id,
+      newValue: { ownership_transfer_id: transfer.id, to_user_id: transfer.to_user_id, expires_at: transfer.expires_at },
+      description: `Ownership transfer to ${transfer.to_email} proposed`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      emailSent,
+      message: `${transfer.to_email} has to accept before ownership changes`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendTransferError(res, error.status, error.message);
+    }
+    console.error('Error creating ownership transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create ownership transfer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw the pending ownership transfer
+ */
+const cancelOwnershipTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await ownershipTransferService.cancelTransfer(id);
+
+    if (!transfer) {
+      return sendTransferError(res, 404, 'No ownership transfer is pending for this workspace');
+    }
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'workspace',
+      entityId: id,
+      oldValue: { ownership_transfer_id: transfer.id, to_user_id: transfer.to_user_id },
+      description: 'Ownership transfer cancelled'
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transfer cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling ownership transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel ownership transfer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Accept the ownership transfer nominating the current user. owner_id and both
+ * members' roles change in one transaction.
+ */
+const acceptOwnershipTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await db.transaction(async (client) => {
+      const { transfer: accepted, nomineePreviousRole } = await ownershipTransferService.acceptTransfer(client, id, req.user.id);
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId: id,
+        action: 'update',
+        entityType: 'workspace',
+        entityId: id,
+        oldValue: {
+          owner_id: accepted.from_user_id,
+          roles: { [accepted.from_user_id]: 'owner', [accepted.to_user_id]: nomineePreviousRole }
+        },
+        newValue: {
+          owner_id: accepted.to_user_id,
+          roles: { [accepted.from_user_id]: ownershipTransferService.PREVIOUS_OWNER_ROLE, [accepted.to_user_id]: 'owner' },
+          ownership_transfer_id: accepted.id
+        },
+        description: `Ownership transferred from ${accepted.from_email} to ${accepted.to_email}`
+      });
+      return accepted;
+    });
+
+    res.json({
+      success: true,
+      message: `You now own ${transfer.workspace_name}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendTransferError(res, error.status, error.message);
+    }
+    console.error('Error accepting ownership transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept ownership transfer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Decline the ownership transfer nominating the current user
+ */
+const declineOwnershipTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await ownershipTransferService.declineTransfer(id, req.user.id);
+
+    if (!transfer) {
+      return sendTransferError(res, 404, 'No ownership transfer is pending for you in this workspace');
+    }
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'workspace',
+      entityId: id,
+      oldValue: { ownership_transfer_id: transfer.id, to_user_id: req.user.id },
+      description: 'Ownership transfer declined'
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transfer declined'
+    });
+  } catch (error) {
+    console.error('Error declining ownership transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline ownership transfer',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOwnershipTransfer,
+  createOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer
+};
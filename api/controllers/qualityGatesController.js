@@ -0,0 +1,431 @@
+const db = require('../../database/connection');
+const qualityGatesService = require('../services/qualityGatesService');
+
+/**
+ * Resolve a version business ID (e.g. 'v1.0') to its UUID within a workspace
+ * @returns {Promise<string|null|undefined>} UUID, null when cleared, undefined when not found
+ */
+const resolveVersionUuid = async (versionId, workspaceId) => {
+  if (versionId === null || versionId === '') return null;
+  const result = await db.query(
+    'SELECT ver_uuid FROM versions WHERE id = $1 AND workspace_id = $2',
+    [versionId, workspaceId]
+  );
+  return result.rows[0]?.ver_uuid;
+};
+
+const GATE_SELECT = `
+  SELECT
+    qg.*,
+    v.id as version_business_id,
+    v.name as version_name,
+    u.full_name as created_by_name,
+    last_eval.passed as last_evaluation_passed,
+    last_eval.evaluated_at as last_evaluated_at
+  FROM quality_gates qg
+  LEFT JOIN versions v ON qg.version_id = v.ver_uuid
+  LEFT JOIN users u ON qg.created_by = u.id
+  LEFT JOIN LATERAL (
+    SELECT passed, evaluated_at FROM quality_gate_evaluations
+    WHERE quality_gate_id = qg.id
+    ORDER BY evaluated_at DESC
+    LIMIT 1
+  ) last_eval ON true
+`;
+
+/**
+ * Get quality gates for a workspace
+ */
+const getAllQualityGates = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const conditions = ['qg.workspace_id = $1'];
+    const values = [workspaceId];
+    let paramCounter = 2;
+
+    if (req.query.version_id) {
+      conditions.push(`v.id = $${paramCounter}`);
+      values.push(req.query.version_id);
+      paramCounter++;
+    }
+    if (req.query.is_active !== undefined) {
+      conditions.push(`qg.is_active = $${paramCounter}`);
+      values.push(req.query.is_active === 'true');
+      paramCounter++;
+    }
+
+    const result = await db.query(`
+      ${GATE_SELECT}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY qg.created_at ASC
+    `, values);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching quality gates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality gates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a quality gate with its recent evaluations
+ */
+const getQualityGateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const result = await db.query(`
+      ${GATE_SELECT}
+      WHERE qg.id = $1 AND qg.workspace_id = $2
+    `, [id, workspaceId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    const evaluations = await db.query(`
+      SELECT qge.*, ter.request_id, u.full_name as evaluated_by_name
+      FROM quality_gate_evaluations qge
+      LEFT JOIN test_execution_runs ter ON qge.execution_run_id = ter.id
+      LEFT JOIN users u ON qge.evaluated_by = u.id
+      WHERE qge.quality_gate_id = $1
+      ORDER BY qge.evaluated_at DESC
+      LIMIT 20
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        evaluations: evaluations.rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a quality gate for a workspace, optionally scoped to a version
+ */
+const createQualityGate = async (req, res) => {
+  try {
+    const {
+      workspace_id,
+      version_id,
+      name,
+      description,
+      criteria,
+      is_active = true,
+      is_blocking = false
+    } = req.body;
+
+    if (!workspace_id || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id and name are required'
+      });
+    }
+
+    const criteriaError = qualityGatesService.validateCriteria(criteria);
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        error: criteriaError
+      });
+    }
+
+    let versionUuid = null;
+    if (version_id) {
+      versionUuid = await resolveVersionUuid(version_id, workspace_id);
+      if (!versionUuid) {
+        return res.status(404).json({
+          success: false,
+          error: `Version not found: ${version_id}`
+        });
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO quality_gates (workspace_id, version_id, name, description, criteria, is_active, is_blocking, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [workspace_id, versionUuid, name, description || null, JSON.stringify(criteria), is_active, is_blocking, req.user.id]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Quality gate created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a quality gate
+ */
+const updateQualityGate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workspace_id, version_id, name, description, criteria, is_active, is_blocking } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCounter = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCounter}`);
+      values.push(name);
+      paramCounter++;
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCounter}`);
+      values.push(description);
+      paramCounter++;
+    }
+    if (criteria !== undefined) {
+      const criteriaError = qualityGatesService.validateCriteria(criteria);
+      if (criteriaError) {
+        return res.status(400).json({
+          success: false,
+          error: criteriaError
+        });
+      }
+      updates.push(`criteria = $${paramCounter}`);
+      values.push(JSON.stringify(criteria));
+      paramCounter++;
+    }
+    if (is_active !== undefined) {
+      updates.push(`is_active = $${paramCounter}`);
+      values.push(is_active);
+      paramCounter++;
+    }
+    if (is_blocking !== undefined) {
+      updates.push(`is_blocking = $${paramCounter}`);
+      values.push(is_blocking);
+      paramCounter++;
+    }
+    if (version_id !== undefined) {
+      const versionUuid = await resolveVersionUuid(version_id, workspace_id);
+      if (versionUuid === undefined) {
+        return res.status(404).json({
+          success: false,
+          error: `Version not found: ${version_id}`
+        });
+      }
+      updates.push(`version_id = $${paramCounter}`);
+      values.push(versionUuid);
+      paramCounter++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    values.push(id);
+    values.push(workspace_id);
+
+    const result = await db.query(`
+      UPDATE quality_gates
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCounter} AND workspace_id = $${paramCounter + 1}
+      RETURNING *
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Quality gate updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a quality gate and its evaluation history
+ */
+const deleteQualityGate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM quality_gates WHERE id = $1 AND workspace_id = $2 RETURNING id',
+      [id, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quality gate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Evaluate gates on demand, for the workspace, a version or an execution run.
+ * POST /:id/evaluate evaluates a single gate.
+ */
+const evaluateQualityGates = async (req, res) => {
+  try {
+    const { workspace_id, version_id, execution_run_id } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    let versionUuid = null;
+    if (version_id) {
+      versionUuid = await resolveVersionUuid(version_id, workspace_id);
+      if (!versionUuid) {
+        return res.status(404).json({
+          success: false,
+          error: `Version not found: ${version_id}`
+        });
+      }
+    }
+
+    let runId = null;
+    if (execution_run_id) {
+      const runResult = await db.query(`
+        SELECT id FROM test_execution_runs
+        WHERE (id::text = $1 OR request_id = $1) AND workspace_id = $2
+      `, [execution_run_id, workspace_id]);
+
+      if (runResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Execution run not found'
+        });
+      }
+      runId = runResult.rows[0].id;
+    }
+
+    if (req.params.id) {
+      const gateCheck = await db.query(
+        'SELECT id FROM quality_gates WHERE id = $1 AND workspace_id = $2',
+        [req.params.id, workspace_id]
+      );
+      if (gateCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quality gate not found'
+        });
+      }
+    }
+
+    const evaluation = await qualityGatesService.evaluateGates({
+      workspaceId: workspace_id,
+      versionId: versionUuid,
+      runId,
+      gateIds: req.params.id ? [req.params.id] : null,
+      evaluatedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: evaluation
+    });
+  } catch (error) {
+    console.error('Error evaluating quality gates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate quality gates',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllQualityGates,
+  getQualityGateById,
+  createQualityGate,
+  updateQualityGate,
+  deleteQualityGate,
+  evaluateQualityGates
+};
@@ -1,4 +1,13 @@
 const db = require('../../database/connection');
+const { recordAudit } = require('../services/auditService');
+const { getRequestWorkspaceRole } = require('../middleware/auth');
+const requirementHierarchyService = require('../services/requirementHierarchyService');
+const riskScoringService = require('../services/riskScoringService');
+const requirementRevisionsService = require('../services/requirementRevisionsService');
+const suspectLinksService = require('../services/suspectLinksService');
+const requirementWorkflowService = require('../services/requirementWorkflowService');
+
+const { getRequirementSnapshot } = requirementRevisionsService;
 
 /**
  * Get all requirements for a workspace
@@ -16,12 +25,9 @@ const getAllRequirements = async (req, res) => {
     }
 
     // Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -84,12 +90,9 @@ const getRequirementById = async (req, res) => {
     }
 
     // Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -153,19 +156,14 @@ const createRequirement = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -184,11 +182,10 @@ const createRequirement = async (req, res) => {
       technicalComplexity = null,
       regulatoryFactor = null,
       usageFrequency = null,
-      testDepthFactor = null,
-      minTestCases = null,
       tags = [],
       custom_fields = {},
-      versions = []
+      versions = [],
+      parentId = null
     } = req.body;
 
     if (!id) {
@@ -205,22 +202,23 @@ const createRequirement = async (req, res) => {
       });
     }
 
+    requirementWorkflowService.assertInitialStatus(status);
+
     const client = await db.pool.connect();
     try {
       await client.query('BEGIN');
 
-      // Create the requirement
+      // Create the requirement (test_depth_factor and min_test_cases are computed below)
       const result = await client.query(`
         INSERT INTO requirements (
           id, workspace_id, name, description, type, priority, status, 
           business_impact, technical_complexity, regulatory_factor, usage_frequency,
-          test_depth_factor, min_test_cases, tags, custom_fields, created_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          tags, custom_fields, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING *
       `, [
         id, workspaceId, name, description, type, priority, status,
         businessImpact, technicalComplexity, regulatoryFactor, usageFrequency,
-        testDepthFactor, minTestCases,
         JSON.stringify(tags), JSON.stringify(custom_fields), req.user.id
       ]);
 
@@ -229,6 +227,12 @@ const createRequirement = async (req, res) => {
       // ✅ FIXED: Get the req_uuid that was auto-generated
       const req_uuid = newRequirement.req_uuid;
 
+      await riskScoringService.applyTestDepth(client, workspaceId, req_uuid);
+
+      if (parentId) {
+        await requirementHierarchyService.setParent(client, workspaceId, req_uuid, parentId);
+      }
+
       // ✅ FIXED: Insert version mappings using UUIDs
       if (versions && Array.isArray(versions) && versions.length > 0) {
         for (const versionId of versions) {
@@ -256,6 +260,19 @@ const createRequirement = async (req, res) => {
         }
       }
 
+      await requirementRevisionsService.recordRevision(client, { workspaceId, id, userId: req.user.id });
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'create',
+        entityType: 'requirement',
+        entityId: id,
+        newValue: await getRequirementSnapshot(client, id, workspaceId),
+        description: `Requirement ${id} created`
+      });
+
       await client.query('COMMIT');
 
       // Fetch the complete requirement with versions (using business IDs for display)
@@ -287,6 +304,9 @@ const createRequirement = async (req, res) => {
       client.release();
     }
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Error creating requirement:', error);
     res.status(500).json({
       success: false,
@@ -313,19 +333,14 @@ const updateRequirement = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -347,18 +362,17 @@ const updateRequirement = async (req, res) => {
       technicalComplexity,
       regulatoryFactor,
       usageFrequency,
-      testDepthFactor,
-      minTestCases,
-      versions
+      versions,
+      parentId
     } = req.body;
 
     const client = await db.pool.connect();
     try {
       await client.query('BEGIN');
 
-      // ✅ Get req_uuid for the requirement being updated
+      // ✅ Get req_uuid for the requirement being updated (locked against concurrent reviews)
       const reqUuidResult = await client.query(
-        'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+        'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
         [id, workspaceId]
       );
 
@@ -371,6 +385,12 @@ const updateRequirement = async (req, res) => {
       }
 
       const req_uuid = reqUuidResult.rows[0].req_uuid;
+      const before = await getRequirementSnapshot(client, id, workspaceId);
+
+      if (status !== undefined) {
+        const workflow = await requirementWorkflowService.getWorkspaceWorkflow(client, workspaceId);
+        requirementWorkflowService.assertStatusChange(workflow, before.status, status);
+      }
 
       // Build dynamic update query
       const updates = [];
@@ -442,16 +462,6 @@ const updateRequirement = async (req, res) => {
         values.push(usageFrequency);
         paramCounter++;
       }
-      if (testDepthFactor !== undefined) {
-        updates.push(`test_depth_factor = $${paramCounter}`);
-        values.push(testDepthFactor);
-        paramCounter++;
-      }
-      if (minTestCases !== undefined) {
-        updates.push(`min_test_cases = $${paramCounter}`);
-        values.push(minTestCases);
-        paramCounter++;
-      }
 
       // Update requirement fields if there are any
       if (updates.length > 0) {
@@ -466,6 +476,15 @@ const updateRequirement = async (req, res) => {
         `, values);
       }
 
+      // test_depth_factor and min_test_cases follow the risk factors
+      if ([businessImpact, technicalComplexity, regulatoryFactor, usageFrequency].some(factor => factor !== undefined)) {
+        await riskScoringService.applyTestDepth(client, workspaceId, req_uuid);
+      }
+
+      if (parentId !== undefined) {
+        await requirementHierarchyService.setParent(client, workspaceId, req_uuid, parentId);
+      }
+
       // ✅ Handle version assignments with UUID conversion
       if (versions !== undefined && Array.isArray(versions)) {
         // Delete existing version mappings using req_uuid
@@ -500,11 +519,44 @@ const updateRequirement = async (req, res) => {
         }
       }
 
+      const revision = await requirementRevisionsService.recordRevision(client, { workspaceId, id, userId: req.user.id, before });
+      const after = await getRequirementSnapshot(client, id, workspaceId);
+
+      requirementWorkflowService.assertUnlocked(before, after);
+
+      if (after.status === 'In Review' && before.status !== 'In Review') {
+        await requirementWorkflowService.recordReviewEvent(client, {
+          requirement: after,
+          action: 'submit',
+          fromStatus: before.status,
+          toStatus: after.status,
+          userId: req.user.id
+        });
+      }
+
+      // Mapped test cases may no longer verify a reworded requirement
+      const suspectLinks = revision
+        ? await suspectLinksService.flagSuspectLinks(client, { before, after, fromRevision: revision.revision_number - 1 })
+        : 0;
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'update',
+        entityType: 'requirement',
+        entityId: id,
+        oldValue: before,
+        newValue: after,
+        description: `Requirement ${id} updated`
+      });
+
       await client.query('COMMIT');
 
       res.json({
         success: true,
-        message: 'Requirement updated successfully'
+        message: 'Requirement updated successfully',
+        suspectLinks
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -513,6 +565,9 @@ const updateRequirement = async (req, res) => {
       client.release();
     }
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Error updating requirement:', error);
     res.status(500).json({
       success: false,
@@ -539,19 +594,14 @@ const deleteRequirement = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -559,11 +609,31 @@ const deleteRequirement = async (req, res) => {
       });
     }
 
-    // Delete will cascade to requirement_versions due to foreign key
-    await db.query(
-      'DELETE FROM requirements WHERE id = $1 AND workspace_id = $2',
-      [id, workspaceId]
-    );
+    const before = await getRequirementSnapshot(db, id, workspaceId);
+
+    // Delete will cascade to requirement_versions due to foreign key.
+    // Children move up to the deleted requirement's parent.
+    if (before) {
+      await db.transaction(async (client) => {
+        await requirementHierarchyService.promoteChildren(client, before.req_uuid);
+        await client.query(
+          'DELETE FROM requirements WHERE req_uuid = $1',
+          [before.req_uuid]
+        );
+      });
+    }
+
+    if (before) {
+      await recordAudit({
+        req,
+        workspaceId,
+        action: 'delete',
+        entityType: 'requirement',
+        entityId: id,
+        oldValue: before,
+        description: `Requirement ${id} deleted`
+      });
+    }
 
     res.json({
       success: true,
@@ -579,10 +649,580 @@ const deleteRequirement = async (req, res) => {
   }
 };
 
+/**
+ * Get the active requirements that have fewer mapped test cases than their min_test_cases
+ */
+const getUnderTestedRequirements = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const requirements = await riskScoringService.listUnderTested(workspaceId);
+
+    res.json({
+      success: true,
+      count: requirements.length,
+      data: requirements
+    });
+  } catch (error) {
+    console.error('Error fetching under-tested requirements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch under-tested requirements',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a workspace's requirements as a nested tree, with coverage and pass rate
+ * rolled up from children to parents
+ */
+const getRequirementTree = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const tree = await requirementHierarchyService.getWorkspaceTree(workspaceId);
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    console.error('Error fetching requirement tree:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement tree',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a requirement with all its descendants, with rolled-up metrics
+ */
+const getRequirementSubtree = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const subtree = await requirementHierarchyService.getSubtree(workspaceId, id);
+
+    if (!subtree) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subtree
+    });
+  } catch (error) {
+    console.error('Error fetching requirement subtree:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement subtree',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the ancestor breadcrumb of a requirement, from the root down to its parent
+ */
+const getRequirementAncestors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const ancestors = await requirementHierarchyService.getAncestors(workspaceId, id);
+
+    if (!ancestors) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: ancestors.length,
+      data: ancestors
+    });
+  } catch (error) {
+    console.error('Error fetching requirement ancestors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement ancestors',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set, change or clear (parentId: null) the parent of a requirement
+ */
+const setRequirementParent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+    const { parentId } = req.body;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (parentId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'parentId is required (null to make the requirement a root)'
+      });
+    }
+
+    const found = await db.transaction(async (client) => {
+      const before = await getRequirementSnapshot(client, id, workspaceId);
+      if (!before) {
+        return false;
+      }
+
+      await requirementHierarchyService.setParent(client, workspaceId, before.req_uuid, parentId);
+      await client.query(
+        'UPDATE requirements SET updated_at = NOW(), updated_by = $1 WHERE req_uuid = $2',
+        [req.user.id, before.req_uuid]
+      );
+      await requirementRevisionsService.recordRevision(client, { workspaceId, id, userId: req.user.id, before });
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'update',
+        entityType: 'requirement',
+        entityId: id,
+        oldValue: before,
+        newValue: await getRequirementSnapshot(client, id, workspaceId),
+        description: parentId ? `Requirement ${id} moved under ${parentId}` : `Requirement ${id} moved to the top level`
+      });
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Requirement parent updated successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error updating requirement parent:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update requirement parent',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Parse a revision number from the request
+ * @returns {number|null} null when it is not a positive integer
+ */
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Get the revision history of a requirement, newest first
+ */
+const getRequirementRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const revisions = await requirementRevisionsService.listRevisions(workspaceId, id);
+
+    if (!revisions) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error fetching requirement revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement revisions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get one revision of a requirement with its full snapshot
+ */
+const getRequirementRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revision must be a positive integer'
+      });
+    }
+
+    const revision = await requirementRevisionsService.getRevision(db, workspaceId, id, revisionNumber);
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching requirement revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement revision',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compare two revisions of a requirement field by field (?from=&to=)
+ */
+const diffRequirementRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+    const from = parseRevisionNumber(req.query.from);
+    const to = parseRevisionNumber(req.query.to);
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be revision numbers'
+      });
+    }
+
+    const diff = await requirementRevisionsService.diffRevisions(workspaceId, id, from, to);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error comparing requirement revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare requirement revisions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Restore the content of an earlier revision; it is recorded as a new revision
+ */
+const restoreRequirementRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revision must be a positive integer'
+      });
+    }
+
+    const revision = await db.transaction(async (client) => {
+      // Locked before the snapshot so a concurrent review cannot approve it in between
+      await client.query(
+        'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+        [id, workspaceId]
+      );
+      const before = await getRequirementSnapshot(client, id, workspaceId);
+      const restored = await requirementRevisionsService.restoreRevision(client, {
+        workspaceId,
+        id,
+        revisionNumber,
+        userId: req.user.id
+      });
+
+      if (restored) {
+        const after = await getRequirementSnapshot(client, id, workspaceId);
+        requirementWorkflowService.assertUnlocked(before, after);
+
+        restored.suspect_links = await suspectLinksService.flagSuspectLinks(client, {
+          before,
+          after,
+          fromRevision: restored.revision_number - 1
+        });
+
+        await recordAudit({
+          client,
+          req,
+          workspaceId,
+          action: 'update',
+          entityType: 'requirement',
+          entityId: id,
+          oldValue: before,
+          newValue: after,
+          description: `Requirement ${id} restored to revision ${revisionNumber}`
+        });
+      }
+      return restored;
+    });
+
+    if (!revision) {
+      return res.status(409).json({
+        success: false,
+        error: `Requirement ${id} already has the content of revision ${revisionNumber}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision,
+      message: `Requirement restored to revision ${revisionNumber} as revision ${revision.revision_number}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error restoring requirement revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore requirement revision',
+      message: error.message
+    });
+  }
+};
+
+const REVIEWED = { approve: 'approved', reject: 'rejected', reopen: 'reopened' };
+
+/**
+ * Approve, reject or reopen a requirement on behalf of a reviewer
+ */
+const applyReview = async (req, res, action) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+    const { comment } = req.body;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'comment must be a string'
+      });
+    }
+
+    const { review, before, after } = await db.transaction(async (client) => {
+      const reviewed = await requirementWorkflowService.reviewRequirement(client, {
+        workspaceId,
+        id,
+        user: req.user,
+        role: req.workspace.userRole,
+        action,
+        comment
+      });
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'update',
+        entityType: 'requirement',
+        entityId: id,
+        oldValue: reviewed.before,
+        newValue: reviewed.after,
+        description: `Requirement ${id} ${REVIEWED[action]}`
+      });
+      return reviewed;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...review,
+        requirement: { id, status: after.status, previous_status: before.status, revision: after.version_number }
+      },
+      message: `Requirement ${id} is now ${after.status}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`Error applying requirement review (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} requirement`,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve a requirement in review; its content is locked until it is reopened
+ */
+const approveRequirement = (req, res) => applyReview(req, res, 'approve');
+
+/**
+ * Send a requirement in review back to Draft, with a comment
+ */
+const rejectRequirement = (req, res) => applyReview(req, res, 'reject');
+
+/**
+ * Send an approved requirement back to Draft so it can be edited, with a comment
+ */
+const reopenRequirement = (req, res) => applyReview(req, res, 'reopen');
+
+/**
+ * Review history of a requirement: submissions, approvals, rejections and reopenings
+ */
+const getRequirementReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const reviews = await requirementWorkflowService.listReviews(workspaceId, id);
+
+    if (!reviews) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error fetching requirement reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement reviews',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllRequirements,
   getRequirementById,
   createRequirement,
   updateRequirement,
-  deleteRequirement
+  deleteRequirement,
+  getUnderTestedRequirements,
+  getRequirementTree,
+  getRequirementSubtree,
+  getRequirementAncestors,
+  setRequirementParent,
+  getRequirementRevisions,
+  getRequirementRevision,
+  diffRequirementRevisions,
+  restoreRequirementRevision,
+  approveRequirement,
+  rejectRequirement,
+  reopenRequirement,
+  getRequirementReviews
 };
\ No newline at end of file
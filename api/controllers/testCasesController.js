@@ -1,4 +1,32 @@
 const db = require('../../database/connection');
+const { recordAudit } = require('../services/auditService');
+const { getRequestWorkspaceRole } = require('../middleware/auth');
+
+/**
+ * Test case row with its version and requirement business IDs, as recorded in the audit log
+ */
+const getTestCaseSnapshot = async (executor, id, workspaceId) => {
+  const result = await executor.query(`
+    SELECT 
+      tc.*,
+      COALESCE(
+        json_agg(DISTINCT v.id) FILTER (WHERE v.id IS NOT NULL),
+        '[]'
+      ) as applicable_versions,
+      COALESCE(
+        json_agg(DISTINCT r.id) FILTER (WHERE r.id IS NOT NULL),
+        '[]'
+      ) as requirement_ids
+    FROM test_cases tc
+    LEFT JOIN test_case_versions tcv ON tc.tc_uuid = tcv.test_case_id
+    LEFT JOIN versions v ON tcv.version_id = v.ver_uuid
+    LEFT JOIN requirement_test_mappings rtm ON tc.tc_uuid = rtm.test_case_id
+    LEFT JOIN requirements r ON rtm.requirement_id = r.req_uuid
+    WHERE tc.id = $1 AND tc.workspace_id = $2
+    GROUP BY tc.tc_uuid
+  `, [id, workspaceId]);
+  return result.rows[0] || null;
+};
 
 /**
  * Get all test cases for a workspace
@@ -17,12 +45,9 @@ const getAllTestCases = async (req, res) => {
     }
 
     // ✅ Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -86,12 +111,9 @@ const getTestCaseById = async (req, res) => {
     }
 
     // Verify user has access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -159,19 +181,14 @@ const createTestCase = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -280,6 +297,17 @@ const createTestCase = async (req, res) => {
         }
       }
 
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'create',
+        entityType: 'test_case',
+        entityId: id,
+        newValue: await getTestCaseSnapshot(client, id, workspaceId),
+        description: `Test case ${id} created`
+      });
+
       await client.query('COMMIT');
 
       // Fetch the complete test case with mappings
@@ -346,19 +374,14 @@ const updateTestCase = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -405,6 +428,7 @@ const updateTestCase = async (req, res) => {
       }
 
       const tc_uuid = tcUuidResult.rows[0].tc_uuid;
+      const before = await getTestCaseSnapshot(client, id, workspaceId);
 
       // Build dynamic update query for test case fields
       const updates = [];
@@ -568,6 +592,18 @@ const updateTestCase = async (req, res) => {
         }
       }
 
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'update',
+        entityType: 'test_case',
+        entityId: id,
+        oldValue: before,
+        newValue: await getTestCaseSnapshot(client, id, workspaceId),
+        description: `Test case ${id} updated`
+      });
+
       await client.query('COMMIT');
 
       res.json({
@@ -605,19 +641,14 @@ const deleteTestCase = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -625,11 +656,25 @@ const deleteTestCase = async (req, res) => {
       });
     }
 
+    const before = await getTestCaseSnapshot(db, id, workspaceId);
+
     await db.query(
       'DELETE FROM test_cases WHERE id = $1 AND workspace_id = $2',
       [id, workspaceId]
     );
 
+    if (before) {
+      await recordAudit({
+        req,
+        workspaceId,
+        action: 'delete',
+        entityType: 'test_case',
+        entityId: id,
+        oldValue: before,
+        description: `Test case ${id} deleted`
+      });
+    }
+
     res.json({
       success: true,
       message: 'Test case deleted successfully'
@@ -1,4 +1,26 @@
 const db = require('../../database/connection');
+const { recordAudit } = require('../services/auditService');
+const { getRequestWorkspaceRole } = require('../middleware/auth');
+
+/**
+ * Test suite row with its member test case business IDs, as recorded in the audit log
+ */
+const getTestSuiteSnapshot = async (executor, id, workspaceId) => {
+  const result = await executor.query(`
+    SELECT 
+      tsd.*,
+      COALESCE(
+        json_agg(tc.id ORDER BY tsm.execution_order) FILTER (WHERE tc.id IS NOT NULL),
+        '[]'
+      ) as test_case_ids
+    FROM test_suite_definitions tsd
+    LEFT JOIN test_suite_members tsm ON tsd.id = tsm.suite_id
+    LEFT JOIN test_cases tc ON tsm.test_case_id = tc.tc_uuid
+    WHERE tsd.id = $1 AND tsd.workspace_id = $2
+    GROUP BY tsd.id
+  `, [id, workspaceId]);
+  return result.rows[0] || null;
+};
 
 /**
  * Get all test suites for a workspace
@@ -15,12 +37,9 @@ const getAllTestSuites = async (req, res) => {
     }
 
     // Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -74,12 +93,9 @@ const getTestSuiteById = async (req, res) => {
     }
 
     // Verify user has access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -137,12 +153,9 @@ const getTestSuiteMembers = async (req, res) => {
     }
 
     // Verify user has access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -216,19 +229,14 @@ const createTestSuite = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -303,6 +311,17 @@ const createTestSuite = async (req, res) => {
         }
       }
 
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'create',
+        entityType: 'test_suite',
+        entityId: newSuite.id,
+        newValue: await getTestSuiteSnapshot(client, newSuite.id, workspaceId),
+        description: `Test suite "${newSuite.name}" created`
+      });
+
       await client.query('COMMIT');
 
       // Fetch the complete suite with counts
@@ -354,19 +373,14 @@ const updateTestSuite = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -449,6 +463,8 @@ const updateTestSuite = async (req, res) => {
     values.push(workspaceId);
     values.push(req.user.id);
 
+    const before = await getTestSuiteSnapshot(db, id, workspaceId);
+
     await db.query(`
       UPDATE test_suite_definitions
       SET ${updates.join(', ')}, updated_at = NOW(), updated_by = $${paramCounter + 2}
@@ -468,6 +484,17 @@ const updateTestSuite = async (req, res) => {
       GROUP BY tsd.id
     `, [id]);
 
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'update',
+      entityType: 'test_suite',
+      entityId: id,
+      oldValue: before,
+      newValue: await getTestSuiteSnapshot(db, id, workspaceId),
+      description: `Test suite "${result.rows[0].name}" updated`
+    });
+
     res.json({
       success: true,
       data: result.rows[0]
@@ -506,19 +533,14 @@ const addTestCasesToSuite = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -540,6 +562,8 @@ const addTestCasesToSuite = async (req, res) => {
         throw new Error('Test suite not found');
       }
 
+      const before = await getTestSuiteSnapshot(client, id, workspaceId);
+
       // ✅ Verify all test cases exist and get their UUIDs
       const tcCheck = await client.query(`
         SELECT id, tc_uuid FROM test_cases
@@ -587,6 +611,18 @@ const addTestCasesToSuite = async (req, res) => {
         }
       }
 
+      await recordAudit({
+        client,
+        req,
+        workspaceId,
+        action: 'update',
+        entityType: 'test_suite',
+        entityId: id,
+        oldValue: before,
+        newValue: await getTestSuiteSnapshot(client, id, workspaceId),
+        description: `Test cases added to suite "${before.name}"`
+      });
+
       await client.query('COMMIT');
 
       res.json({
@@ -627,19 +663,14 @@ const removeTestCaseFromSuite = async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -674,6 +705,7 @@ const removeTestCaseFromSuite = async (req, res) => {
     }
 
     const tc_uuid = tcUuidResult.rows[0].tc_uuid;
+    const before = await getTestSuiteSnapshot(db, id, workspaceId);
 
     // ✅ Remove test case from suite using UUID
     const result = await db.query(`
@@ -689,6 +721,17 @@ const removeTestCaseFromSuite = async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'update',
+      entityType: 'test_suite',
+      entityId: id,
+      oldValue: before,
+      newValue: await getTestSuiteSnapshot(db, id, workspaceId),
+      description: `Test case ${testCaseId} removed from suite "${before.name}"`
+    });
+
     res.json({
       success: true,
       message: 'Test case removed from suite'
@@ -719,19 +762,14 @@ const deleteTestSuite = async (req, res) => {
     }
 
     // Verify user is admin or owner
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -752,12 +790,24 @@ const deleteTestSuite = async (req, res) => {
       });
     }
 
+    const before = await getTestSuiteSnapshot(db, id, workspaceId);
+
     // Delete suite (CASCADE will handle test_suite_members)
     await db.query(`
       DELETE FROM test_suite_definitions
       WHERE id = $1 AND workspace_id = $2
     `, [id, workspaceId]);
 
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'delete',
+      entityType: 'test_suite',
+      entityId: id,
+      oldValue: before,
+      description: `Test suite "${before.name}" deleted`
+    });
+
     res.json({
       success: true,
       message: 'Test suite deleted successfully'
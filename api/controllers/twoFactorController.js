@@ -0,0 +1,251 @@
+const db = require('../../database/connection');
+const twoFactorService = require('../services/twoFactorService');
+const { recordAudit } = require('../services/auditService');
+
+const sendTwoFactorError = (res, status, error, extra = {}) => res.status(status).json({ success: false, error, ...extra });
+
+const getTwoFactorUser = async (userId) => {
+  const result = await db.query(
+    'SELECT id, email, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Get the current user's two-factor status and the workspaces that require it
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req.user.id);
+    const requiredBy = await twoFactorService.getRequiringWorkspaces(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.totp_enabled_at),
+        enabled_at: user.totp_enabled_at,
+        recovery_codes_remaining: user.totp_enabled_at ? await twoFactorService.countRecoveryCodes(req.user.id) : 0,
+        required_by: requiredBy
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch two-factor status',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Start enrollment: generate a secret and its provisioning URI (rendered as a QR code
+ * by the frontend). 2FA is only enabled once a code is confirmed.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (user.totp_enabled_at) {
+      return sendTwoFactorError(res, 409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = twoFactorService.generateSecret();
+    await db.query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [secret, user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_url: twoFactorService.buildProvisioningUri(secret, user.email)
+      },
+      message: 'Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication.'
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app. The recovery codes are
+ * only returned in this response.
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return sendTwoFactorError(res, 400, 'code is required');
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (user.totp_enabled_at) {
+      return sendTwoFactorError(res, 409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      return sendTwoFactorError(res, 400, 'Start two-factor setup first');
+    }
+
+    const recoveryCodes = await db.transaction(async (client) => {
+      if (!await twoFactorService.verifyTotp(client, user.id, code)) {
+        return null;
+      }
+      await client.query(
+        'UPDATE users SET totp_enabled_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [user.id]
+      );
+      const codes = await twoFactorService.generateRecoveryCodes(client, user.id);
+
+      await recordAudit({
+        client,
+        req,
+        action: 'update',
+        entityType: 'user',
+        entityId: user.id,
+        newValue: { two_factor_enabled: true },
+        description: 'Two-factor authentication enabled'
+      });
+      return codes;
+    });
+
+    if (!recoveryCodes) {
+      return sendTwoFactorError(res, 400, 'Invalid code');
+    }
+
+    res.json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'Two-factor authentication enabled. Store the recovery codes now, they will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Disable 2FA with a current code or a recovery code. Not possible while a workspace
+ * the user belongs to requires it.
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    if (!code && !recovery_code) {
+      return sendTwoFactorError(res, 400, 'code or recovery_code is required');
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+    if (!user.totp_enabled_at) {
+      return sendTwoFactorError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    const requiredBy = await twoFactorService.getRequiringWorkspaces(user.id);
+    if (requiredBy.length > 0) {
+      return sendTwoFactorError(
+        res,
+        403,
+        `Two-factor authentication is required by: ${requiredBy.map(workspace => workspace.name).join(', ')}`,
+        { required_by: requiredBy }
+      );
+    }
+
+    const disabled = await db.transaction(async (client) => {
+      if (!await twoFactorService.verifySecondFactor(client, user.id, { code, recoveryCode: recovery_code })) {
+        return false;
+      }
+      await twoFactorService.disableTwoFactor(client, user.id);
+
+      await recordAudit({
+        client,
+        req,
+        action: 'update',
+        entityType: 'user',
+        entityId: user.id,
+        newValue: { two_factor_enabled: false },
+        description: 'Two-factor authentication disabled'
+      });
+      return true;
+    });
+
+    if (!disabled) {
+      return sendTwoFactorError(res, 400, 'Invalid code');
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes; needs a current code from the authenticator app
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return sendTwoFactorError(res, 400, 'code is required');
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+    if (!user.totp_enabled_at) {
+      return sendTwoFactorError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    const recoveryCodes = await db.transaction(async (client) => {
+      if (!await twoFactorService.verifyTotp(client, user.id, code)) {
+        return null;
+      }
+      return twoFactorService.generateRecoveryCodes(client, user.id);
+    });
+
+    if (!recoveryCodes) {
+      return sendTwoFactorError(res, 400, 'Invalid code');
+    }
+
+    res.json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'New recovery codes generated; the previous ones no longer work.'
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,8 +1,80 @@
 const jwt = require('jsonwebtoken');
 const db = require('../../database/connection');
+const apiTokensService = require('../services/apiTokensService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+/**
+ * Verify a JWT or API token and load the active user and session it belongs to.
+ * Shared by authenticateToken and the Socket.IO handshake on the webhook server.
+ * @param {string} token - Raw JWT or API token (without "Bearer ")
+ * @returns {Promise<Object>} { id, email, name, sessionId }, or { id, email, name, apiToken } for API tokens
+ * @throws JsonWebTokenError / TokenExpiredError, or an AuthenticationError for unknown or
+ *         inactive users and for tokens whose session was revoked or has expired
+ */
+const resolveUserFromToken = async (token) => {
+  if (apiTokensService.isApiToken(token)) {
+    try {
+      return await apiTokensService.resolveApiToken(token);
+    } catch (error) {
+      if (error.status === 401) {
+        error.name = 'AuthenticationError';
+      }
+      throw error;
+    }
+  }
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Get user and session from database
+  const result = await db.query(
+    `SELECT u.id, u.email, u.full_name, u.is_active,
+            s.id as session_id, s.revoked_at, s.expires_at
+     FROM users u
+     LEFT JOIN user_sessions s ON s.id::text = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [decoded.userId, String(decoded.sid || '')]
+  );
+
+  const authError = (message) => {
+    const error = new Error(message);
+    error.name = 'AuthenticationError';
+    return error;
+  };
+
+  if (result.rows.length === 0) {
+    throw authError('User not found');
+  }
+
+  const user = result.rows[0];
+
+  if (!user.is_active) {
+    throw authError('Account is inactive');
+  }
+
+  // Logout, session revocation and password changes end the session behind the token
+  if (!user.session_id || user.revoked_at || new Date(user.expires_at) <= new Date()) {
+    throw authError('Session expired, please log in again');
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.full_name,
+    sessionId: user.session_id
+  };
+};
+
+/**
+ * Map token verification errors to the client-facing message, or null for unexpected errors
+ */
+const authErrorMessage = (error) => {
+  if (error.name === 'JsonWebTokenError') return 'Invalid token';
+  if (error.name === 'TokenExpiredError') return 'Token expired';
+  if (error.name === 'AuthenticationError') return error.message;
+  return null;
+};
+
 /**
  * Middleware to verify JWT token
  */
@@ -19,52 +91,25 @@ const authenticateToken = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Get user from database
-    const result = await db.query(
-      `SELECT id, email, full_name, is_active 
-       FROM users 
-       WHERE id = $1`,
-      [decoded.userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    const user = result.rows[0];
+    // Attach user to request
+    req.user = await resolveUserFromToken(token);
 
-    if (!user.is_active) {
-      return res.status(401).json({
+    // Read-only API tokens never change anything, whatever the route
+    const { apiToken } = req.user;
+    if (apiToken && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && apiToken.scopes.every(scope => scope === 'read')) {
+      return res.status(403).json({
         success: false,
-        error: 'Account is inactive'
+        error: 'This API token is read-only'
       });
     }
 
-    // Attach user to request
-    req.user = {
-      id: user.id,
-      email: user.email,
-      name: user.full_name
-    };
-
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    const message = authErrorMessage(error);
+    if (message) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid token'
-      });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Token expired'
+        error: message
       });
     }
 
@@ -77,11 +122,92 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a user's membership of a workspace
+ * @returns {Promise<Object|null>} { role, twoFactorMissing, emailDomainBlocked }, or null if the user is not a member.
+ *          twoFactorMissing is true when the workspace requires 2FA and the user has not enabled it.
+ *          emailDomainBlocked is true when the workspace restricts settings.sso.allowed_email_domains and the
+ *          user has no verified email of those domains, however they signed in. The owner is never blocked.
+ */
+const getWorkspaceAccess = async (workspaceId, userId) => {
+  const result = await db.query(
+    `SELECT wm.role,
+            (w.settings->'security'->>'require_2fa' = 'true' AND u.totp_enabled_at IS NULL) AS two_factor_missing,
+            (
+              jsonb_typeof(w.settings->'sso'->'allowed_email_domains') = 'array'
+              AND jsonb_array_length(w.settings->'sso'->'allowed_email_domains') > 0
+              AND w.owner_id IS DISTINCT FROM u.id
+              AND (
+                u.email_verified IS NOT TRUE
+                OR NOT EXISTS (
+                  SELECT 1 FROM jsonb_array_elements_text(w.settings->'sso'->'allowed_email_domains') AS domain
+                  WHERE ltrim(lower(trim(domain)), '@') = lower(substring(u.email from '@([^@]*)$'))
+                )
+              )
+            ) AS email_domain_blocked
+     FROM workspace_members wm
+     JOIN workspaces w ON w.id = wm.workspace_id
+     JOIN users u ON u.id = wm.user_id
+     WHERE wm.workspace_id = $1 AND wm.user_id = $2`,
+    [workspaceId, userId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return {
+    role: result.rows[0].role,
+    twoFactorMissing: Boolean(result.rows[0].two_factor_missing),
+    emailDomainBlocked: Boolean(result.rows[0].email_domain_blocked)
+  };
+};
+
+/**
+ * Get a user's role in a workspace
+ * @returns {Promise<string|null>} Role, or null if the user is not a member, has not
+ *          enabled the two-factor authentication the workspace requires or has an email
+ *          outside its allowed domains
+ */
+const getWorkspaceRole = async (workspaceId, userId) => {
+  const access = await getWorkspaceAccess(workspaceId, userId);
+  return access && !access.twoFactorMissing && !access.emailDomainBlocked ? access.role : null;
+};
+
+/**
+ * Get the role the authenticated request acts with in a workspace, as requireWorkspaceRole
+ * grants it: API tokens only reach their own workspace and service tokens act as an editor
+ * @returns {Promise<string|null>} Role, or null when the request has no access
+ */
+const getRequestWorkspaceRole = async (req, workspaceId) => {
+  const { apiToken } = req.user;
+  if (apiToken?.workspaceId && apiToken.workspaceId !== workspaceId) {
+    return null;
+  }
+  if (apiToken?.type === apiTokensService.TOKEN_TYPES.SERVICE) {
+    return 'editor';
+  }
+  return getWorkspaceRole(workspaceId, req.user.id);
+};
+
+/**
+ * Middleware that keeps API tokens out of account and token management
+ */
+const requireUserSession = (req, res, next) => {
+  if (req.user?.apiToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action requires a user login, not an API token'
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to check workspace access and role
  * @param {Array<string>} allowedRoles - Array of allowed roles (e.g., ['owner', 'admin', 'editor'])
+ * @param {Object} [options]
+ * @param {Array<string>} [options.scopes] - API token scopes accepted by the route; without any, API tokens are refused
  */
-const requireWorkspaceRole = (allowedRoles = []) => {
+const requireWorkspaceRole = (allowedRoles = [], { scopes = [] } = {}) => {
   return async (req, res, next) => {
     try {
       // User must be authenticated first
@@ -101,22 +227,51 @@ const requireWorkspaceRole = (allowedRoles = []) => {
         });
       }
 
-      // Check user's role in the workspace
-      const result = await db.query(
-        `SELECT role 
-         FROM workspace_members 
-         WHERE workspace_id = $1 AND user_id = $2`,
-        [workspaceId, req.user.id]
-      );
+      const { apiToken } = req.user;
+      if (apiToken) {
+        if (apiToken.workspaceId && apiToken.workspaceId !== workspaceId) {
+          return res.status(403).json({
+            success: false,
+            error: 'This API token is not valid for this workspace'
+          });
+        }
+        if (!apiTokensService.hasScope(apiToken.scopes, scopes)) {
+          return res.status(403).json({
+            success: false,
+            error: scopes.length > 0
+              ? `API token is missing the required scope: ${scopes.join(' or ')}`
+              : 'This action requires a user login, not an API token'
+          });
+        }
+      }
+
+      // Check user's role in the workspace (service tokens act as an editor of their workspace)
+      const access = apiToken?.type === apiTokensService.TOKEN_TYPES.SERVICE
+        ? { role: 'editor', twoFactorMissing: false, emailDomainBlocked: false }
+        : await getWorkspaceAccess(workspaceId, req.user.id);
+      const userRole = access?.role;
 
-      if (result.rows.length === 0) {
+      if (!userRole) {
         return res.status(403).json({
           success: false,
           error: 'You do not have access to this workspace'
         });
       }
 
-      const userRole = result.rows[0].role;
+      if (access.emailDomainBlocked) {
+        return res.status(403).json({
+          success: false,
+          error: 'This workspace only admits members with a verified email of its allowed domains'
+        });
+      }
+
+      if (access.twoFactorMissing) {
+        return res.status(403).json({
+          success: false,
+          error: 'This workspace requires two-factor authentication. Enable it in your account settings to continue.',
+          twoFactorRequired: true
+        });
+      }
 
       // Check if user's role is allowed
       if (allowedRoles.length > 0 && !allowedRoles.includes(userRole)) {
@@ -163,18 +318,25 @@ const hasMinimumRole = (userRole, minimumRole) => {
 /**
  * Quick role check middlewares for common cases
  */
-const canWrite = requireWorkspaceRole(['owner', 'admin', 'editor']);
-const canExecuteTests = requireWorkspaceRole(['owner', 'admin', 'editor', 'test_executor']);
-const canRead = requireWorkspaceRole(['owner', 'admin', 'editor', 'test_executor', 'viewer']);
+const canWrite = requireWorkspaceRole(['owner', 'admin', 'editor'], { scopes: ['write'] });
+const canImport = requireWorkspaceRole(['owner', 'admin', 'editor'], { scopes: ['import', 'write'] });
+const canExecuteTests = requireWorkspaceRole(['owner', 'admin', 'editor', 'test_executor'], { scopes: ['results:write'] });
+const canRead = requireWorkspaceRole(['owner', 'admin', 'editor', 'test_executor', 'viewer'], { scopes: ['read'] });
 const isAdminOrOwner = requireWorkspaceRole(['owner', 'admin']);
 const isOwner = requireWorkspaceRole(['owner']);
 
 module.exports = {
   authenticateToken,
+  resolveUserFromToken,
+  authErrorMessage,
+  getWorkspaceRole,
+  getRequestWorkspaceRole,
   requireWorkspaceRole,
+  requireUserSession,
   hasMinimumRole,
   // Convenience exports
   canWrite,
+  canImport,
   canExecuteTests,
   canRead,
   isAdminOrOwner,
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const db = require('../../database/connection');
+const apiTokensService = require('../services/apiTokensService');
+const { getWorkspaceRole, hasMinimumRole } = require('./auth');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const WORKSPACE_HEADER = 'x-webhook-workspace';
+
+// Maximum clock skew between sender and server, in seconds
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE) || 300;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Expired signature uses are purged at most this often, in milliseconds
+const PURGE_INTERVAL_MS = 60000;
+let lastPurgeAt = 0;
+
+/**
+ * express.json / express.text `verify` hook that keeps the exact bytes that were signed
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Compute the signature a sender must put in X-Webhook-Signature: the HMAC-SHA256 of
+ * "<timestamp>.<METHOD>.<path and query>.<raw body>", e.g.
+ * "1760000000.POST./api/webhook/runs/run-42/complete." for a request without a body.
+ * Method and URL are signed so that a signature cannot be replayed against another
+ * run or endpoint, which matters for the lifecycle endpoints whose bodies are empty.
+ * @param {string} secret - Workspace webhook secret
+ * @param {Object} params
+ * @param {string|number} params.timestamp - Unix timestamp in seconds (X-Webhook-Timestamp)
+ * @param {string} params.method - HTTP method, upper case
+ * @param {string} params.url - Path and query string as requested (req.originalUrl)
+ * @param {Buffer|string} params.rawBody - Exact request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+const computeSignature = (secret, { timestamp, method, url, rawBody }) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method}.${url}.`)
+    .update(rawBody || '')
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Record a verified signature so it cannot be used again while its timestamp is valid.
+ * Uses are stored in the database, so replays are refused across restarts and instances.
+ * @returns {Promise<boolean>} false when the signature had already been used
+ */
+const recordSignatureUse = async (workspaceId, signature, timestampSeconds) => {
+  if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+    lastPurgeAt = Date.now();
+    await db.query('DELETE FROM webhook_signature_uses WHERE expires_at <= NOW()');
+  }
+
+  const result = await db.query(`
+    INSERT INTO webhook_signature_uses (signature, workspace_id, expires_at)
+    VALUES ($1, $2, to_timestamp($3)::timestamp)
+    ON CONFLICT (signature) DO NOTHING
+  `, [signature, workspaceId, timestampSeconds + TOLERANCE_SECONDS]);
+  return result.rowCount === 1;
+};
+
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const reject = (res, status, error) => res.status(status).json({ success: false, error });
+
+/**
+ * Authenticate a webhook request with an API token that has the results:write scope.
+ * The workspace comes from the token, or from X-Webhook-Workspace for personal tokens
+ * that are not restricted to one; personal tokens also need the test_executor role there.
+ */
+const verifyApiToken = async (req, res, next, token) => {
+  let user;
+  try {
+    user = await apiTokensService.resolveApiToken(token);
+  } catch (error) {
+    if (error.status) {
+      return reject(res, error.status, error.message);
+    }
+    throw error;
+  }
+
+  const { apiToken } = user;
+  if (!apiTokensService.hasScope(apiToken.scopes, ['results:write'])) {
+    return reject(res, 403, 'API token is missing the required scope: results:write');
+  }
+
+  const claimedWorkspaceId = req.get(WORKSPACE_HEADER);
+  if (apiToken.workspaceId && claimedWorkspaceId && claimedWorkspaceId !== apiToken.workspaceId) {
+    return reject(res, 403, 'This API token is not valid for this workspace');
+  }
+
+  const workspaceId = apiToken.workspaceId || claimedWorkspaceId;
+  if (!workspaceId) {
+    return reject(res, 400, 'X-Webhook-Workspace header is required for API tokens without a workspace');
+  }
+
+  if (apiToken.type === apiTokensService.TOKEN_TYPES.PERSONAL) {
+    const role = await getWorkspaceRole(workspaceId, user.id);
+    if (!role || !hasMinimumRole(role, 'test_executor')) {
+      return reject(res, 403, 'Access denied to this workspace');
+    }
+  }
+
+  req.user = user;
+  req.webhookWorkspaceId = workspaceId;
+  next();
+};
+
+/**
+ * Middleware to verify HMAC-signed webhook requests.
+ * Senders sign "<timestamp>.<METHOD>.<path and query>.<raw body>" (see computeSignature) with one
+ * of their workspace's active secrets and send X-Webhook-Workspace, X-Webhook-Timestamp and
+ * X-Webhook-Signature headers. Each signature is accepted once.
+ * On success the verified workspace is attached as req.webhookWorkspaceId.
+ * Instead of a signature, CI can send an API token with the results:write scope as
+ * "Authorization: Bearer <token>".
+ * Unsigned requests are only let through when WEBHOOK_ALLOW_UNSIGNED=true (local development).
+ */
+const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    const workspaceId = req.get(WORKSPACE_HEADER);
+
+    if (workspaceId && !UUID_PATTERN.test(workspaceId)) {
+      return reject(res, 401, 'X-Webhook-Workspace must be a workspace ID');
+    }
+
+    const authHeader = req.get('authorization');
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    if (!signature && bearerToken && apiTokensService.isApiToken(bearerToken)) {
+      return await verifyApiToken(req, res, next, bearerToken);
+    }
+
+    if (!signature) {
+      if (process.env.WEBHOOK_ALLOW_UNSIGNED === 'true') {
+        return next();
+      }
+      return reject(res, 401, 'Missing webhook signature');
+    }
+
+    if (!timestamp || !workspaceId) {
+      return reject(res, 401, 'X-Webhook-Timestamp and X-Webhook-Workspace headers are required');
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestampSeconds);
+    if (!Number.isFinite(timestampSeconds) || ageSeconds > TOLERANCE_SECONDS) {
+      return reject(res, 401, 'Webhook timestamp is outside the allowed tolerance');
+    }
+
+    const secrets = await db.query(`
+      SELECT id, secret FROM webhook_secrets
+      WHERE workspace_id = $1
+        AND is_active = true
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [workspaceId]);
+
+    const rawBody = req.rawBody || (typeof req.body === 'string' ? req.body : '');
+    const signed = { timestamp, method: req.method, url: req.originalUrl, rawBody };
+    const matched = secrets.rows.find(row =>
+      signaturesMatch(computeSignature(row.secret, signed), signature)
+    );
+
+    if (!matched) {
+      return reject(res, 401, 'Invalid webhook signature');
+    }
+
+    if (!await recordSignatureUse(workspaceId, signature, timestampSeconds)) {
+      return reject(res, 409, 'Webhook signature has already been used');
+    }
+
+    await db.query('UPDATE webhook_secrets SET last_used_at = NOW() WHERE id = $1', [matched.id]);
+
+    req.webhookWorkspaceId = workspaceId;
+    req.webhookSecretId = matched.id;
+    next();
+  } catch (error) {
+    console.error('Webhook signature verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Webhook signature verification failed'
+    });
+  }
+};
+
+module.exports = {
+  captureRawBody,
+  computeSignature,
+  verifyWebhookSignature
+};
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditLogsController = require('../controllers/auditLogsController');
+const { authenticateToken, isAdminOrOwner } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/audit-logs - Get audit log entries, filterable and paginated (owner, admin only)
+router.get('/', isAdminOrOwner, auditLogsController.getAuditLogs);
+
+module.exports = router;
@@ -1,12 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const apiTokensController = require('../controllers/apiTokensController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
 
 // POST /api/auth/login - Authenticate user
 router.post('/login', authController.login);
 
-// POST /api/auth/logout - Logout user (optional, mainly client-side)
-router.post('/logout', authController.logout);
+// POST /api/auth/login/2fa - Second login step with a TOTP or recovery code
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+
+// GET /api/auth/oidc - Single sign-on availability
+router.get('/oidc', authController.getSsoConfig);
+
+// GET /api/auth/oidc/login - Start a single sign-on login (redirects to the identity provider)
+router.get('/oidc/login', authController.startSsoLogin);
+
+// GET /api/auth/oidc/callback - Identity provider callback (redirects to the frontend with tokens)
+router.get('/oidc/callback', authController.ssoCallback);
+
+// POST /api/auth/oidc/callback - Finish a single sign-on login with the code and state
+router.post('/oidc/callback', authController.completeSsoLogin);
+
+// POST /api/auth/register - Create an unverified account and send a verification email
+router.post('/register', authController.register);
+
+// POST /api/auth/verify-email - Verify an email address with the emailed token
+router.post('/verify-email', authController.verifyEmail);
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authController.resendVerification);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', authController.forgotPassword);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', authController.resetPassword);
+
+// POST /api/auth/change-password - Change password of the logged-in user (requires auth token)
+router.post('/change-password', authenticateToken, requireUserSession, authController.changePassword);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access token
+router.post('/refresh', authController.refresh);
+
+// POST /api/auth/logout - Logout user by revoking the current session (requires auth token)
+router.post('/logout', authenticateToken, requireUserSession, authController.logout);
+
+// GET /api/auth/sessions - List active sessions of the current user (requires auth token)
+router.get('/sessions', authenticateToken, requireUserSession, authController.getSessions);
+
+// DELETE /api/auth/sessions - Revoke all other sessions (requires auth token)
+router.delete('/sessions', authenticateToken, requireUserSession, authController.revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:id - Revoke a session (requires auth token)
+router.delete('/sessions/:id', authenticateToken, requireUserSession, authController.revokeSession);
+
+// GET /api/auth/tokens - List personal access tokens (requires login)
+router.get('/tokens', authenticateToken, requireUserSession, apiTokensController.getPersonalTokens);
+
+// POST /api/auth/tokens - Create a personal access token (requires login)
+router.post('/tokens', authenticateToken, requireUserSession, apiTokensController.createPersonalToken);
+
+// DELETE /api/auth/tokens/:id - Revoke a personal access token (requires login)
+router.delete('/tokens/:id', authenticateToken, requireUserSession, apiTokensController.revokePersonalToken);
+
+// GET /api/auth/2fa - Two-factor status of the current user (requires login)
+router.get('/2fa', authenticateToken, requireUserSession, twoFactorController.getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Generate a TOTP secret and provisioning URI (requires login)
+router.post('/2fa/setup', authenticateToken, requireUserSession, twoFactorController.setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm a code, enable 2FA and get recovery codes (requires login)
+router.post('/2fa/enable', authenticateToken, requireUserSession, twoFactorController.enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Disable 2FA with a code or recovery code (requires login)
+router.post('/2fa/disable', authenticateToken, requireUserSession, twoFactorController.disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (requires login)
+router.post('/2fa/recovery-codes', authenticateToken, requireUserSession, twoFactorController.regenerateRecoveryCodes);
 
 // GET /api/auth/me - Get current user info (requires auth token)
 router.get('/me', authController.getCurrentUser);
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const commentsController = require('../controllers/commentsController');
+const { authenticateToken, canRead } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Every workspace member can take part in discussions; edit, delete, resolve
+// and reopen are further restricted to the author or higher roles in the controller
+
+// GET /api/comments - Get comment threads, filterable by entity (ALL roles can read)
+router.get('/', canRead, commentsController.getComments);
+
+// GET /api/comments/:id - Get a comment thread (ALL roles can read)
+router.get('/:id', canRead, commentsController.getCommentById);
+
+// POST /api/comments - Comment on a requirement, test case, version, suite or test result (ALL roles)
+router.post('/', canRead, commentsController.createComment);
+
+// POST /api/comments/:id/replies - Reply to a thread (ALL roles)
+router.post('/:id/replies', canRead, commentsController.replyToComment);
+
+// PUT /api/comments/:id - Edit a comment (author only)
+router.put('/:id', canRead, commentsController.updateComment);
+
+// DELETE /api/comments/:id - Delete a comment and its replies (author, admin, owner)
+router.delete('/:id', canRead, commentsController.deleteComment);
+
+// POST /api/comments/:id/resolve - Resolve a thread (thread author, owner, admin, editor)
+router.post('/:id/resolve', canRead, commentsController.resolveComment);
+
+// POST /api/comments/:id/reopen - Reopen a resolved thread (thread author, owner, admin, editor)
+router.post('/:id/reopen', canRead, commentsController.reopenComment);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const executionRunsController = require('../controllers/executionRunsController');
+const { authenticateToken, canRead, canExecuteTests } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/execution-runs - Get execution run history (ALL roles can read)
+router.get('/', canRead, executionRunsController.getAllExecutionRuns);
+
+// POST /api/execution-runs/manual - Start a manual run from a suite or test case list (owner, admin, editor, test_executor)
+router.post('/manual', canExecuteTests, executionRunsController.startManualRun);
+
+// GET /api/execution-runs/:id - Get single run with results, by UUID or requestId (ALL roles can read)
+router.get('/:id', canRead, executionRunsController.getExecutionRunById);
+
+// POST /api/execution-runs/:id/results - Record a manual result with step outcomes (owner, admin, editor, test_executor)
+router.post('/:id/results', canExecuteTests, executionRunsController.recordManualResult);
+
+// POST /api/execution-runs/:id/complete - Complete a run (owner, admin, editor, test_executor)
+router.post('/:id/complete', canExecuteTests, executionRunsController.completeExecutionRun);
+
+// POST /api/execution-runs/:id/cancel - Cancel a run (owner, admin, editor, test_executor)
+router.post('/:id/cancel', canExecuteTests, executionRunsController.cancelExecutionRun);
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const importController = require('../controllers/importController');
-const { authenticateToken, canWrite } = require('../middleware/auth');
+const { authenticateToken, canImport } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // POST /api/import - Import requirements, test cases, versions, and mappings
-// Only owner, admin, editor can import data
-router.post('/', canWrite, importController.importData);
+// Only owner, admin, editor can import data (API tokens need the import or write scope)
+router.post('/', canImport, importController.importData);
 
 module.exports = router;
\ No newline at end of file
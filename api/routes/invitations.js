@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const invitationsController = require('../controllers/invitationsController');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+
+// Workspace admins manage invitations under /api/workspaces/:id/invitations;
+// these routes are for the people who were invited
+
+// GET /api/invitations/lookup?token= - Show the invitation behind an emailed link (no login needed)
+router.get('/lookup', invitationsController.lookupInvitation);
+
+// GET /api/invitations - Pending invitations for the current user's email (requires login)
+router.get('/', authenticateToken, requireUserSession, invitationsController.getMyInvitations);
+
+// POST /api/invitations/accept - Accept an invitation with the emailed token (requires login)
+router.post('/accept', authenticateToken, requireUserSession, invitationsController.acceptInvitationByToken);
+
+// POST /api/invitations/:id/accept - Accept a pending invitation (requires login and a verified email)
+router.post('/:id/accept', authenticateToken, requireUserSession, invitationsController.acceptInvitation);
+
+// POST /api/invitations/:id/decline - Decline a pending invitation (requires login)
+router.post('/:id/decline', authenticateToken, requireUserSession, invitationsController.declineInvitation);
+
+module.exports = router;
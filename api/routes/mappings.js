@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
-const { authenticateToken, canRead, canWrite } = require('../middleware/auth');
+const { authenticateToken, canRead, canWrite, canExecuteTests, getRequestWorkspaceRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+const suspectLinksService = require('../services/suspectLinksService');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -19,12 +21,9 @@ router.get('/', canRead, async (req, res) => {
     }
 
     // Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -71,6 +70,95 @@ router.get('/', canRead, async (req, res) => {
   }
 });
 
+// GET /api/mappings/suspect - Review queue of links whose requirement changed since they were checked (ALL roles can read)
+router.get('/suspect', canRead, async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const links = await suspectLinksService.listSuspectLinks(workspaceId, req.query.requirement_id || null);
+
+    res.json({
+      success: true,
+      count: links.length,
+      data: links
+    });
+  } catch (error) {
+    console.error('Error fetching suspect mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suspect mappings',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/mappings/:requirement_id/:test_case_id/review - Clear a suspect flag: link confirmed or test case updated (owner, admin, editor, test_executor)
+router.post('/:requirement_id/:test_case_id/review', canExecuteTests, async (req, res) => {
+  try {
+    const { requirement_id, test_case_id } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+    const { resolution = 'confirmed' } = req.body;
+
+    if (!suspectLinksService.REVIEW_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution. Must be one of: ${suspectLinksService.REVIEW_RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    const cleared = await suspectLinksService.clearSuspectLink({
+      workspaceId,
+      requirementId: requirement_id,
+      testCaseId: test_case_id,
+      userId: req.user.id,
+      resolution
+    });
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suspect mapping not found'
+      });
+    }
+
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'update',
+      entityType: 'mapping',
+      entityId: `${requirement_id}:${test_case_id}`,
+      oldValue: {
+        suspect_since: cleared.suspect_since,
+        suspect_fields: cleared.suspect_fields,
+        suspect_from_revision: cleared.suspect_from_revision
+      },
+      newValue: { suspect_since: null, review_resolution: resolution },
+      description: resolution === 'test_updated'
+        ? `Test case ${test_case_id} updated for the changes to requirement ${requirement_id}`
+        : `Mapping between requirement ${requirement_id} and test case ${test_case_id} confirmed after requirement changes`
+    });
+
+    res.json({
+      success: true,
+      message: 'Suspect flag cleared'
+    });
+  } catch (error) {
+    console.error('Error reviewing mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review mapping',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/mappings - Create new mapping (owner, admin, editor only)
 router.post('/', canWrite, async (req, res) => {
   try {
@@ -91,19 +179,14 @@ router.post('/', canWrite, async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspace_id, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspace_id);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -154,6 +237,16 @@ router.post('/', canWrite, async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      workspaceId: workspace_id,
+      action: 'create',
+      entityType: 'mapping',
+      entityId: `${requirement_id}:${test_case_id}`,
+      newValue: { requirement_id, test_case_id },
+      description: `Requirement ${requirement_id} mapped to test case ${test_case_id}`
+    });
+
     res.status(201).json({
       success: true,
       message: 'Mapping created successfully',
@@ -183,19 +276,14 @@ router.delete('/:requirement_id/:test_case_id', canWrite, async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -245,6 +333,16 @@ router.delete('/:requirement_id/:test_case_id', canWrite, async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'delete',
+      entityType: 'mapping',
+      entityId: `${requirement_id}:${test_case_id}`,
+      oldValue: { requirement_id, test_case_id },
+      description: `Mapping between requirement ${requirement_id} and test case ${test_case_id} removed`
+    });
+
     res.json({
       success: true,
       message: 'Mapping deleted successfully'
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const notificationsController = require('../controllers/notificationsController');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+
+// All routes require a user login (not an API token); users only see their own notifications
+router.use(authenticateToken, requireUserSession);
+
+// GET /api/notifications - Get current user's notifications
+router.get('/', notificationsController.getNotifications);
+
+// POST /api/notifications/read-all - Mark all notifications as read
+router.post('/read-all', notificationsController.markAllNotificationsRead);
+
+// POST /api/notifications/:id/read - Mark a notification as read
+router.post('/:id/read', notificationsController.markNotificationRead);
+
+module.exports = router;
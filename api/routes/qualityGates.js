@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const qualityGatesController = require('../controllers/qualityGatesController');
+const { authenticateToken, canRead, canWrite, canExecuteTests, isAdminOrOwner } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/quality-gates - Get all quality gates (ALL roles can read)
+router.get('/', canRead, qualityGatesController.getAllQualityGates);
+
+// POST /api/quality-gates/evaluate - Evaluate active gates for a workspace, version or run (owner, admin, editor, test_executor)
+router.post('/evaluate', canExecuteTests, qualityGatesController.evaluateQualityGates);
+
+// GET /api/quality-gates/:id - Get single quality gate with recent evaluations (ALL roles can read)
+router.get('/:id', canRead, qualityGatesController.getQualityGateById);
+
+// POST /api/quality-gates - Create quality gate (owner, admin, editor only)
+router.post('/', canWrite, qualityGatesController.createQualityGate);
+
+// PUT /api/quality-gates/:id - Update quality gate (owner, admin, editor only)
+router.put('/:id', canWrite, qualityGatesController.updateQualityGate);
+
+// DELETE /api/quality-gates/:id - Delete quality gate (owner, admin only)
+router.delete('/:id', isAdminOrOwner, qualityGatesController.deleteQualityGate);
+
+// POST /api/quality-gates/:id/evaluate - Evaluate a single gate (owner, admin, editor, test_executor)
+router.post('/:id/evaluate', canExecuteTests, qualityGatesController.evaluateQualityGates);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const requirementsController = require('../controllers/requirementsController');
-const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const { authenticateToken, canRead, canWrite, isAdminOrOwner, requireWorkspaceRole } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -9,15 +9,54 @@ router.use(authenticateToken);
 // GET /api/requirements - Get all requirements (ALL roles can read)
 router.get('/', canRead, requirementsController.getAllRequirements);
 
+// GET /api/requirements/under-tested - Get requirements with fewer mapped test cases than min_test_cases (ALL roles can read)
+router.get('/under-tested', canRead, requirementsController.getUnderTestedRequirements);
+
+// GET /api/requirements/tree - Get all requirements as a nested tree with rolled-up metrics (ALL roles can read)
+router.get('/tree', canRead, requirementsController.getRequirementTree);
+
 // GET /api/requirements/:id - Get single requirement (ALL roles can read)
 router.get('/:id', canRead, requirementsController.getRequirementById);
 
+// GET /api/requirements/:id/tree - Get a requirement's subtree (ALL roles can read)
+router.get('/:id/tree', canRead, requirementsController.getRequirementSubtree);
+
+// GET /api/requirements/:id/ancestors - Get a requirement's ancestor breadcrumb (ALL roles can read)
+router.get('/:id/ancestors', canRead, requirementsController.getRequirementAncestors);
+
+// GET /api/requirements/:id/revisions - Get a requirement's revision history (ALL roles can read)
+router.get('/:id/revisions', canRead, requirementsController.getRequirementRevisions);
+
+// GET /api/requirements/:id/revisions/diff?from=&to= - Compare two revisions field by field (ALL roles can read)
+router.get('/:id/revisions/diff', canRead, requirementsController.diffRequirementRevisions);
+
+// GET /api/requirements/:id/revisions/:revision - Get one revision with its snapshot (ALL roles can read)
+router.get('/:id/revisions/:revision', canRead, requirementsController.getRequirementRevision);
+
+// GET /api/requirements/:id/reviews - Get a requirement's review history (ALL roles can read)
+router.get('/:id/reviews', canRead, requirementsController.getRequirementReviews);
+
 // POST /api/requirements - Create new requirement (owner, admin, editor only)
 router.post('/', canWrite, requirementsController.createRequirement);
 
 // PUT /api/requirements/:id - Update requirement (owner, admin, editor only)
 router.put('/:id', canWrite, requirementsController.updateRequirement);
 
+// PUT /api/requirements/:id/parent - Set, change or clear a requirement's parent (owner, admin, editor only)
+router.put('/:id/parent', canWrite, requirementsController.setRequirementParent);
+
+// POST /api/requirements/:id/revisions/:revision/restore - Restore an earlier revision (owner, admin, editor only)
+router.post('/:id/revisions/:revision/restore', canWrite, requirementsController.restoreRequirementRevision);
+
+// POST /api/requirements/:id/approve - Approve a requirement in review (reviewers from the workspace workflow settings)
+router.post('/:id/approve', requireWorkspaceRole([]), requirementsController.approveRequirement);
+
+// POST /api/requirements/:id/reject - Send a requirement in review back to Draft with a comment (reviewers)
+router.post('/:id/reject', requireWorkspaceRole([]), requirementsController.rejectRequirement);
+
+// POST /api/requirements/:id/reopen - Unlock an approved requirement, back to Draft, with a comment (reviewers)
+router.post('/:id/reopen', requireWorkspaceRole([]), requirementsController.reopenRequirement);
+
 // DELETE /api/requirements/:id - Delete requirement (owner, admin only)
 router.delete('/:id', isAdminOrOwner, requirementsController.deleteRequirement);
 
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
-const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const { authenticateToken, canRead, canWrite, isAdminOrOwner, getRequestWorkspaceRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+
+const getVersionSnapshot = async (id, workspaceId) => {
+  const result = await db.query(
+    'SELECT * FROM versions WHERE id = $1 AND workspace_id = $2',
+    [id, workspaceId]
+  );
+  return result.rows[0] || null;
+};
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -22,12 +31,9 @@ router.get('/', canRead, async (req, res) => {
     }
 
     // ✅ Verify user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -69,12 +75,9 @@ router.get('/:id', canRead, async (req, res) => {
     }
 
     // Verify user has access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -136,19 +139,14 @@ router.post('/', canWrite, async (req, res) => {
     }
 
     // ✅ Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspace_id, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspace_id);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -163,6 +161,16 @@ router.post('/', canWrite, async (req, res) => {
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     `, [id, workspace_id, name, description, status, planned_release_date, sort_order, req.user.id]);
 
+    await recordAudit({
+      req,
+      workspaceId: workspace_id,
+      action: 'create',
+      entityType: 'version',
+      entityId: id,
+      newValue: await getVersionSnapshot(id, workspace_id),
+      description: `Version "${name}" created`
+    });
+
     res.status(201).json({
       success: true,
       message: 'Version created successfully',
@@ -193,19 +201,14 @@ router.put('/:id', canWrite, async (req, res) => {
     }
 
     // Verify user has write access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin', 'editor'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -251,12 +254,26 @@ router.put('/:id', canWrite, async (req, res) => {
     updateValues.push(id);
     updateValues.push(workspaceId);
 
+    const before = await getVersionSnapshot(id, workspaceId);
+
     await db.query(`
       UPDATE versions
       SET ${updateFields.join(', ')}, updated_at = NOW()
       WHERE id = $${paramIndex} AND workspace_id = $${paramIndex + 1}
     `, updateValues);
 
+    const after = await getVersionSnapshot(id, workspaceId);
+    await recordAudit({
+      req,
+      workspaceId,
+      action: 'update',
+      entityType: 'version',
+      entityId: id,
+      oldValue: before,
+      newValue: after,
+      description: `Version "${after.name}" updated`
+    });
+
     res.json({
       success: true,
       message: 'Version updated successfully'
@@ -285,19 +302,14 @@ router.delete('/:id', isAdminOrOwner, async (req, res) => {
     }
 
     // Verify user has admin/owner access
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [workspaceId, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, workspaceId);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
       });
     }
-
-    const userRole = accessCheck.rows[0].role;
     if (!['owner', 'admin'].includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -305,11 +317,25 @@ router.delete('/:id', isAdminOrOwner, async (req, res) => {
       });
     }
 
+    const before = await getVersionSnapshot(id, workspaceId);
+
     await db.query(
       'DELETE FROM versions WHERE id = $1 AND workspace_id = $2',
       [id, workspaceId]
     );
 
+    if (before) {
+      await recordAudit({
+        req,
+        workspaceId,
+        action: 'delete',
+        entityType: 'version',
+        entityId: id,
+        oldValue: before,
+        description: `Version "${before.name}" deleted`
+      });
+    }
+
     res.json({
       success: true,
       message: 'Version deleted successfully'
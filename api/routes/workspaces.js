@@ -1,13 +1,36 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const db = require('../../database/connection');
-const { authenticateToken, isOwner, isAdminOrOwner } = require('../middleware/auth');
+const { authenticateToken, requireWorkspaceRole, canRead, isOwner, isAdminOrOwner, requireUserSession, hasMinimumRole, getRequestWorkspaceRole } = require('../middleware/auth');
+const apiTokensController = require('../controllers/apiTokensController');
+const invitationsController = require('../controllers/invitationsController');
+const ownershipTransferController = require('../controllers/ownershipTransferController');
+const { recordAudit } = require('../services/auditService');
+const oidcService = require('../services/oidcService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const riskScoringService = require('../services/riskScoringService');
+const requirementWorkflowService = require('../services/requirementWorkflowService');
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// GET /api/workspaces - Get all workspaces for current user
-router.get('/', async (req, res) => {
+// Columns of webhook_secrets that are safe to return (never the secret itself)
+const WEBHOOK_SECRET_COLUMNS = 'id, name, secret_prefix, is_active, expires_at, last_used_at, revoked_at, created_by, created_at';
+
+// Grace period during which a rotated secret keeps verifying signatures
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const generateWebhookSecret = () => {
+  const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  return { secret, secretPrefix: secret.substring(0, 14) };
+};
+
+// GET /api/workspaces - Get all workspaces for current user (user login only, not API tokens)
+router.get('/', requireUserSession, async (req, res) => {
   try {
     const result = await db.query(`
       SELECT w.*, wm.role, wm.joined_at
@@ -31,18 +54,15 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/workspaces/:id - Get single workspace details
-router.get('/:id', async (req, res) => {
+// GET /api/workspaces/:id - Get single workspace details (user login only, not API tokens)
+router.get('/:id', requireUserSession, async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [id, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, id);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -87,7 +107,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/workspaces - Create new workspace (authenticated users can create)
-router.post('/', async (req, res) => {
+router.post('/', requireUserSession, async (req, res) => {
   try {
     const { name, description, slug } = req.body;
 
@@ -113,6 +133,16 @@ router.post('/', async (req, res) => {
       VALUES ($1, $2, 'owner')
     `, [workspace.id, req.user.id]);
 
+    await recordAudit({
+      req,
+      workspaceId: workspace.id,
+      action: 'create',
+      entityType: 'workspace',
+      entityId: workspace.id,
+      newValue: workspace,
+      description: `Workspace "${workspace.name}" created`
+    });
+
     res.status(201).json({
       success: true,
       message: 'Workspace created successfully',
@@ -134,6 +164,40 @@ router.put('/:id', isAdminOrOwner, async (req, res) => {
     const { id } = req.params;
     const { name, description, slug, settings } = req.body;
 
+    const settingsError = oidcService.validateSsoSettings(settings?.sso)
+      || twoFactorService.validateSecuritySettings(settings?.security)
+      || riskScoringService.validateRiskScoringSettings(settings?.risk_scoring)
+      || requirementWorkflowService.validateWorkflowSettings(settings?.requirement_workflow);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: settingsError
+      });
+    }
+
+    // Only the owner turns the 2FA requirement on or off, and not without 2FA of their own
+    if (settings !== undefined) {
+      const current = await db.query('SELECT settings FROM workspaces WHERE id = $1', [id]);
+      const requiresTwoFactor = twoFactorService.isTwoFactorRequired(settings);
+
+      if (requiresTwoFactor !== twoFactorService.isTwoFactorRequired(current.rows[0]?.settings)) {
+        if (req.workspace.userRole !== 'owner') {
+          return res.status(403).json({
+            success: false,
+            error: 'Only the workspace owner can change the two-factor authentication requirement'
+          });
+        }
+
+        const owner = await db.query('SELECT totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+        if (requiresTwoFactor && !owner.rows[0].totp_enabled_at) {
+          return res.status(400).json({
+            success: false,
+            error: 'Enable two-factor authentication on your own account before requiring it'
+          });
+        }
+      }
+    }
+
     const updates = [];
     const values = [];
     let paramCounter = 1;
@@ -168,15 +232,39 @@ router.put('/:id', isAdminOrOwner, async (req, res) => {
 
     values.push(id);
 
-    await db.query(`
+    const before = await db.query('SELECT * FROM workspaces WHERE id = $1', [id]);
+
+    const result = await db.query(`
       UPDATE workspaces
       SET ${updates.join(', ')}, updated_at = NOW()
       WHERE id = $${paramCounter}
+      RETURNING *
     `, values);
 
+    if (result.rows.length > 0) {
+      await recordAudit({
+        req,
+        workspaceId: id,
+        action: 'update',
+        entityType: 'workspace',
+        entityId: id,
+        oldValue: before.rows[0],
+        newValue: result.rows[0],
+        description: `Workspace "${result.rows[0].name}" updated`
+      });
+    }
+
+    // New scoring settings apply to the existing requirements too
+    let recomputedRequirements;
+    if (settings !== undefined
+      && JSON.stringify(riskScoringService.getRiskScoring(settings)) !== JSON.stringify(riskScoringService.getRiskScoring(before.rows[0]?.settings))) {
+      recomputedRequirements = await db.transaction(client => riskScoringService.recomputeWorkspace(client, id));
+    }
+
     res.json({
       success: true,
-      message: 'Workspace updated successfully'
+      message: 'Workspace updated successfully',
+      ...(recomputedRequirements !== undefined && { recomputedRequirements })
     });
   } catch (error) {
     console.error('Error updating workspace:', error);
@@ -194,12 +282,25 @@ router.delete('/:id', isOwner, async (req, res) => {
     const { id } = req.params;
 
     // Soft delete (mark as inactive)
-    await db.query(`
+    const result = await db.query(`
       UPDATE workspaces
       SET is_active = false, updated_at = NOW()
       WHERE id = $1
+      RETURNING *
     `, [id]);
 
+    if (result.rows.length > 0) {
+      await recordAudit({
+        req,
+        workspaceId: id,
+        action: 'delete',
+        entityType: 'workspace',
+        entityId: id,
+        oldValue: { ...result.rows[0], is_active: true },
+        description: `Workspace "${result.rows[0].name}" deleted`
+      });
+    }
+
     res.json({
       success: true,
       message: 'Workspace deleted successfully'
@@ -214,18 +315,15 @@ router.delete('/:id', isOwner, async (req, res) => {
   }
 });
 
-// GET /api/workspaces/:id/members - Get workspace members
-router.get('/:id/members', async (req, res) => {
+// GET /api/workspaces/:id/members - Get workspace members (user login only, not API tokens)
+router.get('/:id/members', requireUserSession, async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if user has access to this workspace
-    const accessCheck = await db.query(`
-      SELECT role FROM workspace_members
-      WHERE workspace_id = $1 AND user_id = $2
-    `, [id, req.user.id]);
+    const userRole = await getRequestWorkspaceRole(req, id);
 
-    if (accessCheck.rows.length === 0) {
+    if (!userRole) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this workspace'
@@ -241,7 +339,8 @@ router.get('/:id/members', async (req, res) => {
         u.id as user_id,
         u.email,
         u.full_name,
-        u.avatar_url
+        u.avatar_url,
+        CASE WHEN u.locked_until > NOW() THEN u.locked_until END as locked_until
       FROM workspace_members wm
       JOIN users u ON wm.user_id = u.id
       WHERE wm.workspace_id = $1
@@ -262,7 +361,7 @@ router.get('/:id/members', async (req, res) => {
   }
 });
 
-// POST /api/workspaces/:id/members - Add member to workspace (admin or owner only)
+// POST /api/workspaces/:id/members - Add a member, or invite the email when it has no account yet (admin or owner only)
 router.post('/:id/members', isAdminOrOwner, async (req, res) => {
   try {
     const { id } = req.params;
@@ -277,15 +376,13 @@ router.post('/:id/members', isAdminOrOwner, async (req, res) => {
 
     // Find user by email
     const userResult = await db.query(
-      'SELECT id FROM users WHERE email = $1',
+      'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
       [email]
     );
 
+    // No account yet: send a pending invitation instead
     if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found with this email'
-      });
+      return invitationsController.createWorkspaceInvitation(req, res);
     }
 
     const userId = userResult.rows[0].id;
@@ -309,6 +406,16 @@ router.post('/:id/members', isAdminOrOwner, async (req, res) => {
       VALUES ($1, $2, $3, $4)
     `, [id, userId, role, req.user.id]);
 
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'assign',
+      entityType: 'user',
+      entityId: userId,
+      newValue: { user_id: userId, email, role },
+      description: `${email} added to the workspace as ${role}`
+    });
+
     res.status(201).json({
       success: true,
       message: 'Member added successfully'
@@ -337,10 +444,12 @@ router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
     }
 
     // Check if member exists
-    const memberCheck = await db.query(
-      'SELECT * FROM workspace_members WHERE id = $1 AND workspace_id = $2',
-      [memberId, id]
-    );
+    const memberCheck = await db.query(`
+      SELECT wm.*, w.owner_id
+      FROM workspace_members wm
+      JOIN workspaces w ON wm.workspace_id = w.id
+      WHERE wm.id = $1 AND wm.workspace_id = $2
+    `, [memberId, id]);
 
     if (memberCheck.rows.length === 0) {
       return res.status(404).json({
@@ -349,6 +458,14 @@ router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
       });
     }
 
+    // The owner's role only changes through an ownership transfer
+    if (memberCheck.rows[0].user_id === memberCheck.rows[0].owner_id && role !== 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot change the role of the workspace owner. Transfer ownership first'
+      });
+    }
+
     // Update role
     await db.query(`
       UPDATE workspace_members
@@ -356,6 +473,18 @@ router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
       WHERE id = $2 AND workspace_id = $3
     `, [role, memberId, id]);
 
+    const member = memberCheck.rows[0];
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'user',
+      entityId: member.user_id,
+      oldValue: { user_id: member.user_id, role: member.role },
+      newValue: { user_id: member.user_id, role },
+      description: `Member role changed from ${member.role} to ${role}`
+    });
+
     res.json({
       success: true,
       message: 'Member role updated successfully'
@@ -370,16 +499,129 @@ router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
   }
 });
 
+// POST /api/workspaces/:id/members/:memberId/unlock - Lift a member's login lockout (admin or owner only)
+// The lockout is account-wide, so only members with a lower role whose workspaces the caller all administers
+router.post('/:id/members/:memberId/unlock', isAdminOrOwner, async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+
+    const memberCheck = await db.query(`
+      SELECT wm.user_id, wm.role, u.email, u.locked_until, u.failed_login_attempts
+      FROM workspace_members wm
+      JOIN users u ON wm.user_id = u.id
+      WHERE wm.id = $1 AND wm.workspace_id = $2
+    `, [memberId, id]);
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found in this workspace'
+      });
+    }
+
+    const member = memberCheck.rows[0];
+
+    if (hasMinimumRole(member.role, req.workspace.userRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only unlock members with a lower role than yours'
+      });
+    }
+
+    const outsideWorkspaces = await db.query(`
+      SELECT 1 FROM workspace_members wm
+      WHERE wm.user_id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM workspace_members caller
+          WHERE caller.workspace_id = wm.workspace_id
+            AND caller.user_id = $2
+            AND caller.role IN ('owner', 'admin')
+        )
+      LIMIT 1
+    `, [member.user_id, req.user.id]);
+
+    if (outsideWorkspaces.rows.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'This member also belongs to workspaces you do not administer; the lockout ends on its own or when they reset their password'
+      });
+    }
+
+    const wasLocked = Boolean(member.locked_until && new Date(member.locked_until) > new Date());
+
+    if (!wasLocked && member.failed_login_attempts === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This member\'s account is not locked'
+      });
+    }
+
+    await loginProtectionService.unlockUser(db, member.user_id);
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'update',
+      entityType: 'user',
+      entityId: member.user_id,
+      oldValue: { locked_until: member.locked_until, failed_login_attempts: member.failed_login_attempts },
+      newValue: { locked_until: null, failed_login_attempts: 0 },
+      description: 'Account login lockout lifted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlocking member account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:id/invitations - List invitations, pending by default (admin or owner only)
+router.get('/:id/invitations', isAdminOrOwner, invitationsController.getWorkspaceInvitations);
+
+// POST /api/workspaces/:id/invitations - Invite an email with a role (admin or owner only)
+router.post('/:id/invitations', isAdminOrOwner, invitationsController.createWorkspaceInvitation);
+
+// POST /api/workspaces/:id/invitations/:invitationId/resend - Resend with a new link and expiry (admin or owner only)
+router.post('/:id/invitations/:invitationId/resend', isAdminOrOwner, invitationsController.resendWorkspaceInvitation);
+
+// DELETE /api/workspaces/:id/invitations/:invitationId - Revoke a pending invitation (admin or owner only)
+router.delete('/:id/invitations/:invitationId', isAdminOrOwner, invitationsController.revokeWorkspaceInvitation);
+
+// GET /api/workspaces/:id/ownership-transfer - Get the pending ownership transfer, if any
+router.get('/:id/ownership-transfer', canRead, ownershipTransferController.getOwnershipTransfer);
+
+// POST /api/workspaces/:id/ownership-transfer - Nominate a member as the new owner (owner only)
+router.post('/:id/ownership-transfer', isOwner, ownershipTransferController.createOwnershipTransfer);
+
+// DELETE /api/workspaces/:id/ownership-transfer - Cancel the pending transfer (owner only)
+router.delete('/:id/ownership-transfer', isOwner, ownershipTransferController.cancelOwnershipTransfer);
+
+// POST /api/workspaces/:id/ownership-transfer/accept - Become the owner (nominee only)
+router.post('/:id/ownership-transfer/accept', requireWorkspaceRole([]), ownershipTransferController.acceptOwnershipTransfer);
+
+// POST /api/workspaces/:id/ownership-transfer/decline - Decline the nomination (nominee only)
+router.post('/:id/ownership-transfer/decline', requireWorkspaceRole([]), ownershipTransferController.declineOwnershipTransfer);
+
 // DELETE /api/workspaces/:id/members/:memberId - Remove member (admin or owner only)
 router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
   try {
     const { id, memberId } = req.params;
 
     // Check if member exists
-    const memberCheck = await db.query(
-      'SELECT * FROM workspace_members WHERE id = $1 AND workspace_id = $2',
-      [memberId, id]
-    );
+    const memberCheck = await db.query(`
+      SELECT wm.*, w.owner_id
+      FROM workspace_members wm
+      JOIN workspaces w ON wm.workspace_id = w.id
+      WHERE wm.id = $1 AND wm.workspace_id = $2
+    `, [memberId, id]);
 
     if (memberCheck.rows.length === 0) {
       return res.status(404).json({
@@ -388,8 +630,15 @@ router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
       });
     }
 
-    // Don't allow removing the last owner
+    // Don't allow removing the workspace owner, or the last member with the owner role
     const member = memberCheck.rows[0];
+    if (member.user_id === member.owner_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove the workspace owner. Transfer ownership first'
+      });
+    }
+
     if (member.role === 'owner') {
       const ownerCount = await db.query(
         'SELECT COUNT(*) FROM workspace_members WHERE workspace_id = $1 AND role = $2',
@@ -410,6 +659,16 @@ router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
       [memberId, id]
     );
 
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'delete',
+      entityType: 'user',
+      entityId: member.user_id,
+      oldValue: { user_id: member.user_id, role: member.role },
+      description: 'Member removed from the workspace'
+    });
+
     res.json({
       success: true,
       message: 'Member removed successfully'
@@ -424,4 +683,218 @@ router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/workspaces/:id/webhook-secrets - List webhook secrets (admin or owner only)
+router.get('/:id/webhook-secrets', isAdminOrOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(`
+      SELECT ${WEBHOOK_SECRET_COLUMNS}
+      FROM webhook_secrets
+      WHERE workspace_id = $1
+      ORDER BY created_at DESC
+    `, [id]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching webhook secrets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook secrets',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:id/webhook-secrets - Create webhook secret (admin or owner only)
+// The secret is only returned in this response
+router.post('/:id/webhook-secrets', isAdminOrOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required'
+      });
+    }
+
+    const { secret, secretPrefix } = generateWebhookSecret();
+
+    const result = await db.query(`
+      INSERT INTO webhook_secrets (workspace_id, name, secret, secret_prefix, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${WEBHOOK_SECRET_COLUMNS}
+    `, [id, name, secret, secretPrefix, req.user.id]);
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'create',
+      entityType: 'workspace',
+      entityId: id,
+      newValue: { webhook_secret: result.rows[0] },
+      description: `Webhook secret "${name}" created`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], secret },
+      message: 'Webhook secret created. Store it now, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook secret',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:id/webhook-secrets/:secretId/rotate - Rotate webhook secret (admin or owner only)
+// The previous secret keeps working for grace_period_hours so senders can switch over
+router.post('/:id/webhook-secrets/:secretId/rotate', isAdminOrOwner, async (req, res) => {
+  try {
+    const { id, secretId } = req.params;
+    const graceHours = req.body.grace_period_hours !== undefined
+      ? parseFloat(req.body.grace_period_hours)
+      : DEFAULT_ROTATION_GRACE_HOURS;
+
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'grace_period_hours must be a non-negative number'
+      });
+    }
+
+    const rotated = UUID_PATTERN.test(secretId) && await db.transaction(async (client) => {
+      const current = await client.query(`
+        SELECT * FROM webhook_secrets
+        WHERE id = $1 AND workspace_id = $2 AND is_active = true AND revoked_at IS NULL
+        FOR UPDATE
+      `, [secretId, id]);
+
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      // Retire the old secret after the grace period (never extend an earlier expiry)
+      await client.query(`
+        UPDATE webhook_secrets
+        SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(secs => $1))
+        WHERE id = $2
+      `, [graceHours * 3600, secretId]);
+
+      const { secret, secretPrefix } = generateWebhookSecret();
+
+      const result = await client.query(`
+        INSERT INTO webhook_secrets (workspace_id, name, secret, secret_prefix, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${WEBHOOK_SECRET_COLUMNS}
+      `, [id, current.rows[0].name, secret, secretPrefix, req.user.id]);
+
+      await recordAudit({
+        client,
+        req,
+        workspaceId: id,
+        action: 'update',
+        entityType: 'workspace',
+        entityId: id,
+        oldValue: { webhook_secret_id: secretId },
+        newValue: { webhook_secret_id: result.rows[0].id, grace_period_hours: graceHours },
+        description: `Webhook secret "${current.rows[0].name}" rotated`
+      });
+
+      return { ...result.rows[0], secret };
+    });
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active webhook secret not found in this workspace'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: rotated,
+      rotatedSecretId: secretId,
+      message: `Webhook secret rotated. The previous secret stays valid for ${graceHours} hour(s).`
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:id/webhook-secrets/:secretId - Revoke webhook secret immediately (admin or owner only)
+router.delete('/:id/webhook-secrets/:secretId', isAdminOrOwner, async (req, res) => {
+  try {
+    const { id, secretId } = req.params;
+
+    if (!UUID_PATTERN.test(secretId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook secret not found in this workspace'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE webhook_secrets
+      SET is_active = false, revoked_at = NOW()
+      WHERE id = $1 AND workspace_id = $2 AND revoked_at IS NULL
+      RETURNING id, name
+    `, [secretId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook secret not found in this workspace'
+      });
+    }
+
+    await recordAudit({
+      req,
+      workspaceId: id,
+      action: 'delete',
+      entityType: 'workspace',
+      entityId: id,
+      oldValue: { webhook_secret_id: secretId },
+      description: `Webhook secret "${result.rows[0].name}" revoked`
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke webhook secret',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:id/api-tokens - List service tokens (admin or owner only)
+router.get('/:id/api-tokens', isAdminOrOwner, apiTokensController.getServiceTokens);
+
+// POST /api/workspaces/:id/api-tokens - Create service token for CI (admin or owner only)
+// The token is only returned in this response
+router.post('/:id/api-tokens', isAdminOrOwner, apiTokensController.createServiceToken);
+
+// DELETE /api/workspaces/:id/api-tokens/:tokenId - Revoke service token (admin or owner only)
+router.delete('/:id/api-tokens/:tokenId', isAdminOrOwner, apiTokensController.revokeServiceToken);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const db = require('../../database/connection');
+
+const TOKEN_TYPES = {
+  PERSONAL: 'personal',
+  SERVICE: 'service'
+};
+
+const TOKEN_PREFIXES = {
+  [TOKEN_TYPES.PERSONAL]: 'qtp_',
+  [TOKEN_TYPES.SERVICE]: 'qts_'
+};
+
+/**
+ * Scopes an API token can be granted
+ *  - read: read endpoints (canRead)
+ *  - write: create, update and delete tracker data (canWrite); implies read and results:write
+ *  - results:write: report execution results and runs, on the API and the webhook server
+ *  - import: bulk import through /api/import
+ */
+const SCOPES = ['read', 'write', 'results:write', 'import'];
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+const TOKEN_COLUMNS = 'id, type, name, token_prefix, user_id, workspace_id, scopes, expires_at, last_used_at, revoked_at, created_by, created_at';
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const tokenError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Whether a bearer token is an API token rather than a session JWT
+ */
+const isApiToken = (token) => Object.values(TOKEN_PREFIXES).some(prefix => String(token).startsWith(prefix));
+
+/**
+ * Whether granted scopes satisfy any of the accepted scopes
+ */
+const hasScope = (granted = [], accepted = []) => {
+  if (granted.includes('write')) {
+    return accepted.some(scope => ['read', 'write', 'results:write'].includes(scope));
+  }
+  return accepted.some(scope => granted.includes(scope));
+};
+
+/**
+ * Validate requested scopes and expiry
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTokenRequest = ({ name, scopes, expiresInDays }) => {
+  if (!name || !String(name).trim()) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+  if (expiresInDays !== undefined && (!Number.isFinite(Number(expiresInDays)) || Number(expiresInDays) <= 0 || Number(expiresInDays) > MAX_EXPIRY_DAYS)) {
+    return `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}`;
+  }
+  return null;
+};
+
+/**
+ * Create an API token
+ * @param {Object} params
+ * @param {string} params.type - 'personal' or 'service'
+ * @param {string} [params.userId] - Owner of a personal token
+ * @param {string} [params.workspaceId] - Workspace of a service token, or restriction of a personal one
+ * @param {Array<string>} params.scopes - Granted scopes
+ * @param {number} [params.expiresInDays] - Defaults to 90 days
+ * @param {string} params.createdBy - User UUID
+ * @returns {Promise<Object>} Token row plus the raw token, which is never stored
+ */
+const createToken = async ({ type, name, userId = null, workspaceId = null, scopes, expiresInDays, createdBy }) => {
+  const token = TOKEN_PREFIXES[type] + crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + (Number(expiresInDays) || DEFAULT_EXPIRY_DAYS) * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(`
+    INSERT INTO api_tokens (type, name, token_hash, token_prefix, user_id, workspace_id, scopes, expires_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING ${TOKEN_COLUMNS}
+  `, [type, String(name).trim(), hashToken(token), token.slice(0, 12), userId, workspaceId, [...new Set(scopes)], expiresAt, createdBy]);
+
+  return { ...result.rows[0], token };
+};
+
+/**
+ * List tokens, for a user (personal) or a workspace (service)
+ */
+const listTokens = async ({ type, userId, workspaceId }) => {
+  const result = await db.query(`
+    SELECT ${TOKEN_COLUMNS}
+    FROM api_tokens
+    WHERE type = $1
+      AND ($2::uuid IS NULL OR user_id = $2)
+      AND ($3::uuid IS NULL OR workspace_id = $3)
+    ORDER BY created_at DESC
+  `, [type, userId || null, workspaceId || null]);
+  return result.rows;
+};
+
+/**
+ * Revoke a token of a user (personal) or a workspace (service)
+ * @returns {Promise<boolean>} Whether an active token was revoked
+ */
+const revokeToken = async ({ id, type, userId, workspaceId }) => {
+  const result = await db.query(`
+    UPDATE api_tokens
+    SET revoked_at = NOW()
+    WHERE id::text = $1 AND type = $2 AND revoked_at IS NULL
+      AND ($3::uuid IS NULL OR user_id = $3)
+      AND ($4::uuid IS NULL OR workspace_id = $4)
+    RETURNING id
+  `, [id, type, userId || null, workspaceId || null]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke all personal tokens of a user, e.g. when their password changes
+ * @param {Object} executor - db or transaction client
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeUserTokens = async (executor, userId) => {
+  const result = await executor.query(`
+    UPDATE api_tokens
+    SET revoked_at = NOW()
+    WHERE type = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [TOKEN_TYPES.PERSONAL, userId]);
+  return result.rowCount;
+};
+
+/**
+ * Authenticate an API token and record its use.
+ * Personal tokens act as their (active) user; service tokens act for their workspace,
+ * attributed to the user who created them, and stop working once that user is inactive
+ * or no longer an owner or admin of the workspace.
+ * @param {string} token - Raw token
+ * @returns {Promise<Object>} { id, email, name, apiToken: { id, type, name, scopes, workspaceId } }
+ * @throws 401 when the token is unknown, revoked, expired or its user is inactive,
+ *         or a service token's creator no longer administers its workspace
+ */
+const resolveApiToken = async (token) => {
+  const result = await db.query(`
+    SELECT t.*, u.email, u.full_name, u.is_active, creator.role AS creator_role
+    FROM api_tokens t
+    LEFT JOIN users u ON u.id = COALESCE(t.user_id, t.created_by)
+    LEFT JOIN workspace_members creator
+      ON creator.workspace_id = t.workspace_id AND creator.user_id = t.created_by
+    WHERE t.token_hash = $1
+  `, [hashToken(token)]);
+
+  const row = result.rows[0];
+  if (!row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+    throw tokenError(401, 'Invalid, revoked or expired API token');
+  }
+  if (!row.is_active) {
+    throw tokenError(401, row.type === TOKEN_TYPES.PERSONAL
+      ? 'Account is inactive'
+      : 'The user who created this API token is inactive');
+  }
+  if (row.type === TOKEN_TYPES.SERVICE && !['owner', 'admin'].includes(row.creator_role)) {
+    throw tokenError(401, 'The user who created this API token no longer administers its workspace');
+  }
+
+  // One write per minute at most, not one per request
+  await db.query(`
+    UPDATE api_tokens SET last_used_at = NOW()
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+  `, [row.id]);
+
+  return {
+    id: row.type === TOKEN_TYPES.PERSONAL ? row.user_id : row.created_by,
+    email: row.type === TOKEN_TYPES.PERSONAL ? row.email : null,
+    name: row.type === TOKEN_TYPES.PERSONAL ? row.full_name : row.name,
+    apiToken: {
+      id: row.id,
+      type: row.type,
+      name: row.name,
+      scopes: row.scopes,
+      workspaceId: row.workspace_id
+    }
+  };
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  SCOPES,
+  isApiToken,
+  hasScope,
+  validateTokenRequest,
+  createToken,
+  listTokens,
+  revokeToken,
+  revokeUserTokens,
+  resolveApiToken
+};
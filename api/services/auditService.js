@@ -0,0 +1,96 @@
+const db = require('../../database/connection');
+
+// Bookkeeping columns that never show up in field diffs
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'updated_by'];
+
+// Columns that must never be written to the audit log
+const SENSITIVE_FIELDS = ['password_hash', 'secret', 'totp_secret'];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const redact = (value) => {
+  if (!value || typeof value !== 'object') return value ?? null;
+  const copy = { ...value };
+  SENSITIVE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Field-level diff between two snapshots of an entity
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+const diffFields = (oldValue = {}, newValue = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(oldValue || {}), ...Object.keys(newValue || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field) || SENSITIVE_FIELDS.includes(field)) continue;
+    if (!isEqual(oldValue?.[field], newValue?.[field])) {
+      changes[field] = { from: oldValue?.[field] ?? null, to: newValue?.[field] ?? null };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record an audit log entry for a change made through the API.
+ * Pass the transaction client to record the entry atomically with the change;
+ * without one, a failure to write the entry is logged and never fails the request.
+ * Updates without any changed field are not recorded.
+ * @param {Object} params
+ * @param {Object} [params.client] - Transaction client
+ * @param {Object} params.req - Express request (user, IP and user agent)
+ * @param {string} [params.userId] - Acting user when req has none (e.g. signup)
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.action - audit_action ('create', 'update', 'delete', 'assign', ...)
+ * @param {string} params.entityType - audit_entity ('requirement', 'test_case', ...)
+ * @param {string} params.entityId - Business ID or UUID of the entity
+ * @param {Object} [params.oldValue] - Snapshot before the change
+ * @param {Object} [params.newValue] - Snapshot after the change
+ * @param {string} [params.description] - Human-readable summary
+ * @returns {Promise<Object|null>} Inserted row, or null when nothing was recorded
+ */
+const recordAudit = async ({ client, req, userId, workspaceId, action, entityType, entityId, oldValue, newValue, description }) => {
+  const changes = oldValue && newValue ? diffFields(redact(oldValue), redact(newValue)) : null;
+  if (action === 'update' && changes && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const write = () => (client || db).query(`
+    INSERT INTO audit_logs (
+      workspace_id, user_id, action, entity_type, entity_id,
+      old_value, new_value, changes, ip_address, user_agent, description
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    workspaceId || null,
+    userId || req?.user?.id || null,
+    action,
+    entityType,
+    String(entityId),
+    oldValue ? JSON.stringify(redact(oldValue)) : null,
+    newValue ? JSON.stringify(redact(newValue)) : null,
+    changes ? JSON.stringify(changes) : null,
+    req?.ip || null,
+    req?.get ? req.get('User-Agent') || null : null,
+    description || null
+  ]);
+
+  if (client) {
+    const result = await write();
+    return result.rows[0];
+  }
+
+  try {
+    const result = await write();
+    return result.rows[0];
+  } catch (error) {
+    console.error('Failed to write audit log:', { action, entityType, entityId, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAudit
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Quality Tracker <no-reply@qualitytracker.local>';
+const EMAIL_FILE_PATH = process.env.EMAIL_FILE_PATH || path.join('logs', 'emails.log');
+
+// Base URL of the frontend, used to build links in emails
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+/**
+ * Built-in transports. A transport is an object with an async send(message) method.
+ *  - console: prints the email to stdout (local development)
+ *  - file: appends one JSON line per email to EMAIL_FILE_PATH
+ */
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  file: {
+    send: async (message) => {
+      await fs.promises.mkdir(path.dirname(EMAIL_FILE_PATH), { recursive: true });
+      await fs.promises.appendFile(EMAIL_FILE_PATH, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    }
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport under a name (e.g. an SMTP or provider API client)
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Email transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Use a transport for all emails, by name or instance.
+ * Defaults to EMAIL_TRANSPORT, or console when unset.
+ */
+const setTransport = (transport) => {
+  activeTransport = typeof transport === 'string' ? transports[transport] : transport;
+  if (!activeTransport || typeof activeTransport.send !== 'function') {
+    throw new Error(`Unknown email transport: ${transport}`);
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    setTransport(process.env.EMAIL_TRANSPORT || 'console');
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  await getTransport().send({ from: EMAIL_FROM, to, subject, text, html: html || null });
+};
+
+/**
+ * Send the link that verifies a newly registered email address
+ */
+const sendVerificationEmail = async (user, token, expiresAt) => {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your Quality Tracker email address',
+    text: [
+      `Hi ${user.full_name || user.email},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires on ${expiresAt.toISOString()}.`,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send the link that lets a user choose a new password
+ */
+const sendPasswordResetEmail = async (user, token, expiresAt) => {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your Quality Tracker password',
+    text: [
+      `Hi ${user.full_name || user.email},`,
+      '',
+      'Someone asked to reset the password of your account. Choose a new password here:',
+      link,
+      '',
+      `The link can be used once and expires on ${expiresAt.toISOString()}.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Tell a user that their password was changed
+ */
+const sendPasswordChangedEmail = async (user) => {
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Quality Tracker password was changed',
+    text: [
+      `Hi ${user.full_name || user.email},`,
+      '',
+      'The password of your account was just changed and all your sessions were signed out.',
+      `If this was not you, reset your password right away: ${APP_URL}/forgot-password`
+    ].join('\n')
+  });
+};
+
+/**
+ * Invite someone to a workspace; the link works whether or not they have an account yet
+ * @param {Object} invitation - { email, role }
+ * @param {Object} context - { workspaceName, inviterName }
+ */
+const sendWorkspaceInvitationEmail = async (invitation, { workspaceName, inviterName }, token, expiresAt) => {
+  const link = `${APP_URL}/invitations/accept?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: invitation.email,
+    subject: `You are invited to join ${workspaceName} on Quality Tracker`,
+    text: [
+      'Hi,',
+      '',
+      `${inviterName || 'A workspace admin'} invited you to join the workspace "${workspaceName}" as ${invitation.role}.`,
+      'Accept the invitation here; you can create an account or log in on the way:',
+      link,
+      '',
+      `The invitation expires on ${expiresAt.toISOString()}.`,
+      'If you were not expecting this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Tell a member they were nominated as the new owner of a workspace
+ * @param {Object} user - { email, full_name }
+ * @param {Object} context - { workspaceName, ownerName }
+ */
+const sendOwnershipTransferEmail = async (user, { workspaceName, ownerName }, expiresAt) => {
+  await sendEmail({
+    to: user.email,
+    subject: `${ownerName} wants to transfer ${workspaceName} to you`,
+    text: [
+      `Hi ${user.full_name || user.email},`,
+      '',
+      `${ownerName} proposed to make you the owner of the workspace "${workspaceName}".`,
+      'Log in to accept or decline; once you accept, they stay on as an admin:',
+      APP_URL,
+      '',
+      `The proposal expires on ${expiresAt.toISOString()}.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  APP_URL,
+  registerTransport,
+  setTransport,
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendWorkspaceInvitationEmail,
+  sendOwnershipTransferEmail
+};
@@ -0,0 +1,320 @@
+const db = require('../../database/connection');
+
+/**
+ * Map incoming status strings onto the test_status enum.
+ * Webhook senders use a few spellings ('Not Started', 'pass', 'error', ...)
+ */
+const STATUS_ALIASES = {
+  'passed': 'Passed',
+  'pass': 'Passed',
+  'success': 'Passed',
+  'failed': 'Failed',
+  'fail': 'Failed',
+  'failure': 'Failed',
+  'error': 'Failed',
+  'skipped': 'Skipped',
+  'skip': 'Skipped',
+  'blocked': 'Blocked',
+  'running': 'Running',
+  'in progress': 'Running',
+  'not run': 'Not Run',
+  'not started': 'Not Run',
+  'pending': 'Not Run',
+  'queued': 'Not Run',
+  'not found': 'Not Found'
+};
+
+const normalizeStatus = (status) => {
+  if (!status || typeof status !== 'string') return null;
+  return STATUS_ALIASES[status.trim().toLowerCase()] || null;
+};
+
+// Statuses that count as an execution of the test case
+const EXECUTED_STATUSES = ['Passed', 'Failed', 'Blocked'];
+
+// Statuses that do not settle a result yet
+const PENDING_STATUSES = ['Running', 'Not Run'];
+
+/**
+ * Roll a result up into test_cases status and execution counters.
+ * Runs in the caller's transaction. A result only counts once per run: a later
+ * status change of the same result (retry, Failed -> Passed) moves the
+ * pass/fail counters instead of adding an execution.
+ */
+const rollUpTestCaseExecution = async (client, { testCaseUuid, status, previousStatus, executedBy }) => {
+  const wasPending = !previousStatus || PENDING_STATUSES.includes(previousStatus);
+
+  // Progress updates never overwrite a settled result; 'Not Run' leaves the test case alone
+  if (PENDING_STATUSES.includes(status)) {
+    if (status === 'Running' && wasPending) {
+      await client.query(
+        'UPDATE test_cases SET status = $1, updated_at = NOW() WHERE tc_uuid = $2',
+        [status, testCaseUuid]
+      );
+    }
+    return;
+  }
+
+  if (status === previousStatus) {
+    return;
+  }
+
+  const counted = (value) => EXECUTED_STATUSES.includes(value) ? 1 : 0;
+  const delta = (value) => (status === value ? 1 : 0) - (!wasPending && previousStatus === value ? 1 : 0);
+  const executionDelta = counted(status) - (wasPending ? 0 : counted(previousStatus));
+
+  await client.query(`
+    UPDATE test_cases
+    SET status = $1,
+        execution_count = GREATEST(COALESCE(execution_count, 0) + $2, 0),
+        pass_count = GREATEST(COALESCE(pass_count, 0) + $3, 0),
+        fail_count = GREATEST(COALESCE(fail_count, 0) + $4, 0),
+        last_executed = CASE WHEN $5 THEN NOW() ELSE last_executed END,
+        last_executed_by = CASE WHEN $5 THEN $6 ELSE last_executed_by END,
+        updated_at = NOW()
+    WHERE tc_uuid = $7
+  `, [
+    status,
+    executionDelta,
+    delta('Passed'),
+    delta('Failed'),
+    EXECUTED_STATUSES.includes(status),
+    executedBy || null,
+    testCaseUuid
+  ]);
+};
+
+/**
+ * Resolve the workspace a webhook belongs to.
+ * Order: explicit workspaceId, the workspace of an existing run with this requestId,
+ * then the single workspace that owns all referenced test case IDs.
+ */
+const resolveWorkspace = async (client, { requestId, workspaceId, testCaseIds }) => {
+  if (workspaceId) return workspaceId;
+
+  const runResult = await client.query(
+    'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+    [requestId]
+  );
+  if (runResult.rows.length > 0) {
+    return runResult.rows[0].workspace_id;
+  }
+
+  const tcResult = await client.query(
+    'SELECT DISTINCT workspace_id FROM test_cases WHERE id = ANY($1)',
+    [testCaseIds]
+  );
+  if (tcResult.rows.length === 1) {
+    return tcResult.rows[0].workspace_id;
+  }
+
+  return null;
+};
+
+/**
+ * Insert the execution run for a requestId, or return the existing one
+ */
+const upsertExecutionRun = async (client, { requestId, workspaceId, triggerType = 'webhook', startedAt }) => {
+  const result = await client.query(`
+    INSERT INTO test_execution_runs (workspace_id, request_id, trigger_type, status, started_at)
+    VALUES ($1, $2, $3, 'running', $4)
+    ON CONFLICT (request_id) DO UPDATE SET request_id = EXCLUDED.request_id
+    RETURNING *
+  `, [workspaceId, requestId, triggerType, startedAt || new Date()]);
+
+  return result.rows[0];
+};
+
+/**
+ * Write one result row for a test case in a run and roll it up into test_cases.
+ * A run keeps a single row per test case: later webhooks for the same
+ * test case (Running -> Passed, enhanced failure details) update it in place.
+ * A settled row is never set back to Running or Not Run, so that a retry
+ * (Failed -> Running -> Passed) is rolled up as a change of the settled status.
+ * result.metadata is merged into the row's metadata; executedBy defaults to the run's trigger user.
+ */
+const upsertTestResult = async (client, { run, testCaseUuid, status, result, executedBy = run.triggered_by }) => {
+  const failure = result.failure || {};
+  const completedAt = status === 'Running' ? null : new Date();
+
+  const existing = await client.query(`
+    SELECT * FROM test_results
+    WHERE execution_run_id = $1 AND test_case_id = $2
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [run.id, testCaseUuid]);
+
+  const values = [
+    status,
+    result.duration ?? null,
+    failure.type || null,
+    failure.message || null,
+    failure.category || null,
+    result.failure ? JSON.stringify(result.failure) : null,
+    typeof result.logs === 'string' ? result.logs : (result.logs ? JSON.stringify(result.logs) : null),
+    result.rawOutput || null,
+    completedAt
+  ];
+
+  const previous = existing.rows[0];
+  if (previous && !PENDING_STATUSES.includes(previous.status) && PENDING_STATUSES.includes(status)) {
+    return { row: previous, previousStatus: previous.status };
+  }
+
+  if (previous) {
+    const updated = await client.query(`
+      UPDATE test_results
+      SET status = $1, duration = $2, failure_type = $3, failure_message = $4,
+          failure_category = $5, failure_details = $6, logs = $7, raw_output = $8, completed_at = $9,
+          metadata = COALESCE(metadata, '{}'::jsonb) || $10::jsonb
+      WHERE id = $11
+      RETURNING *
+    `, [...values, JSON.stringify(result.metadata || {}), previous.id]);
+
+    await rollUpTestCaseExecution(client, {
+      testCaseUuid,
+      status,
+      previousStatus: previous.status,
+      executedBy
+    });
+
+    return { row: updated.rows[0], previousStatus: previous.status };
+  }
+
+  const inserted = await client.query(`
+    INSERT INTO test_results (
+      status, duration, failure_type, failure_message, failure_category,
+      failure_details, logs, raw_output, completed_at,
+      workspace_id, execution_run_id, test_case_id, started_at, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), $13)
+    RETURNING *
+  `, [
+    ...values,
+    run.workspace_id, run.id, testCaseUuid,
+    JSON.stringify({ name: result.name || null, ...result.metadata })
+  ]);
+
+  await rollUpTestCaseExecution(client, {
+    testCaseUuid,
+    status,
+    previousStatus: null,
+    executedBy
+  });
+
+  return { row: inserted.rows[0], previousStatus: null };
+};
+
+/**
+ * Persist the results of a webhook into test_execution_runs and test_results.
+ * @param {Object} params
+ * @param {string} params.requestId - Execution request ID (unique per run)
+ * @param {string} [params.workspaceId] - Workspace UUID, if the sender knows it
+ * @param {Array<Object>} params.results - Result entries ({ id, status, duration, failure, logs, rawOutput })
+ * @returns {Promise<Object>} Run info and per-result persistence outcome
+ */
+const persistWebhookResults = async ({ requestId, workspaceId, results }) => {
+  return db.transaction(async (client) => {
+    const testCaseIds = results.map(r => r.id).filter(Boolean);
+
+    const resolvedWorkspaceId = await resolveWorkspace(client, { requestId, workspaceId, testCaseIds });
+    if (!resolvedWorkspaceId) {
+      return {
+        persisted: false,
+        reason: 'Unable to resolve workspace for request',
+        results: results.map(r => ({ id: r.id, persisted: false, reason: 'Unknown workspace' }))
+      };
+    }
+
+    const run = await upsertExecutionRun(client, { requestId, workspaceId: resolvedWorkspaceId });
+
+    if (run.workspace_id !== resolvedWorkspaceId) {
+      return {
+        persisted: false,
+        reason: 'requestId already belongs to another workspace',
+        results: results.map(r => ({ id: r.id, persisted: false, reason: 'Workspace mismatch' }))
+      };
+    }
+
+    // Completed and cancelled runs are closed for new results
+    if (run.status !== 'running') {
+      return {
+        persisted: false,
+        runId: run.id,
+        workspaceId: run.workspace_id,
+        reason: `Execution run is ${run.status}`,
+        results: results.map(r => ({ id: r.id, persisted: false, reason: `Execution run is ${run.status}` }))
+      };
+    }
+
+    // Resolve business IDs to tc_uuid within the run's workspace
+    const tcResult = await client.query(
+      'SELECT id, tc_uuid FROM test_cases WHERE id = ANY($1) AND workspace_id = $2',
+      [testCaseIds, run.workspace_id]
+    );
+    const tcIdToUuidMap = {};
+    tcResult.rows.forEach(row => {
+      tcIdToUuidMap[row.id] = row.tc_uuid;
+    });
+
+    const outcomes = [];
+    for (const result of results) {
+      const testCaseUuid = tcIdToUuidMap[result.id];
+      if (!testCaseUuid) {
+        outcomes.push({ id: result.id, persisted: false, reason: 'Test case not found in workspace' });
+        continue;
+      }
+
+      const status = normalizeStatus(result.status);
+      if (!status) {
+        outcomes.push({ id: result.id, persisted: false, reason: `Unsupported status: ${result.status}` });
+        continue;
+      }
+
+      const { row } = await upsertTestResult(client, { run, testCaseUuid, status, result });
+      outcomes.push({ id: result.id, persisted: true, resultId: row.id, status: row.status });
+    }
+
+    return {
+      persisted: true,
+      runId: run.id,
+      workspaceId: run.workspace_id,
+      results: outcomes
+    };
+  });
+};
+
+/**
+ * Load a persisted run and its results by requestId
+ * @param {string} requestId - Execution request ID
+ * @returns {Promise<Object|null>} Run row with a results array, or null
+ */
+const getRunByRequestId = async (requestId) => {
+  const runResult = await db.query(
+    'SELECT * FROM test_execution_runs WHERE request_id = $1',
+    [requestId]
+  );
+
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+
+  const run = runResult.rows[0];
+  const results = await db.query(`
+    SELECT tr.*, tc.id as test_case_business_id, tc.name as test_case_name
+    FROM test_results tr
+    JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+    WHERE tr.execution_run_id = $1
+    ORDER BY tr.created_at ASC
+  `, [run.id]);
+
+  return { ...run, results: results.rows };
+};
+
+module.exports = {
+  normalizeStatus,
+  rollUpTestCaseExecution,
+  upsertExecutionRun,
+  upsertTestResult,
+  persistWebhookResults,
+  getRunByRequestId
+};
@@ -0,0 +1,341 @@
+const db = require('../../database/connection');
+const qualityGatesService = require('./qualityGatesService');
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Result statuses that still count as "not reported yet" for a planned test case
+const PENDING_RESULT_STATUSES = ['Running', 'Not Run'];
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const runError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Open an execution run with its planned test cases.
+ * When the run already exists (results arrived first) and is still running,
+ * its plan and build details are filled in instead.
+ * @param {Object} params
+ * @param {string} params.requestId - Execution request ID (unique per run)
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {Array<string>} [params.testCaseIds] - Planned test case business IDs (defaults to the suite's members)
+ * @param {string} [params.suiteId] - test_suite_definitions.id
+ * @param {string} [params.versionId] - Version business ID or UUID
+ * @returns {Promise<Object>} Run row
+ */
+const startRun = async ({
+  requestId,
+  workspaceId,
+  testCaseIds,
+  suiteId,
+  suiteName,
+  suiteVersion,
+  versionId,
+  environment,
+  branch,
+  commitSha,
+  buildNumber,
+  ciUrl,
+  triggerType = 'ci_cd',
+  triggeredBy = null,
+  metadata = {}
+}) => {
+  return db.transaction(async (client) => {
+    let suite = null;
+    if (suiteId) {
+      const suiteResult = await client.query(
+        'SELECT id, name, version FROM test_suite_definitions WHERE id::text = $1 AND workspace_id = $2',
+        [suiteId, workspaceId]
+      );
+      if (suiteResult.rows.length === 0) {
+        throw runError(404, 'Test suite not found');
+      }
+      suite = suiteResult.rows[0];
+    }
+
+    let versionUuid = null;
+    if (versionId) {
+      const versionResult = await client.query(
+        'SELECT ver_uuid FROM versions WHERE workspace_id = $1 AND (id = $2 OR ver_uuid::text = $2)',
+        [workspaceId, versionId]
+      );
+      if (versionResult.rows.length === 0) {
+        throw runError(404, `Version not found: ${versionId}`);
+      }
+      versionUuid = versionResult.rows[0].ver_uuid;
+    }
+
+    // Planned test cases: explicit list, otherwise the suite's members in execution order
+    let planned = Array.isArray(testCaseIds) ? [...new Set(testCaseIds)] : null;
+    if (!planned && suite) {
+      const members = await client.query(`
+        SELECT tc.id FROM test_suite_members tsm
+        JOIN test_cases tc ON tsm.test_case_id = tc.tc_uuid
+        WHERE tsm.suite_id = $1
+        ORDER BY tsm.execution_order, tc.id
+      `, [suite.id]);
+      planned = members.rows.map(row => row.id);
+    }
+    planned = planned || [];
+
+    if (planned.length > 0) {
+      const known = await client.query(
+        'SELECT id FROM test_cases WHERE workspace_id = $1 AND id = ANY($2)',
+        [workspaceId, planned]
+      );
+      const knownIds = new Set(known.rows.map(row => row.id));
+      const unknown = planned.filter(id => !knownIds.has(id));
+      if (unknown.length > 0) {
+        throw runError(400, `Unknown test case IDs: ${unknown.slice(0, 20).join(', ')}`);
+      }
+    }
+
+    const existing = await client.query(
+      'SELECT * FROM test_execution_runs WHERE request_id = $1 FOR UPDATE',
+      [requestId]
+    );
+
+    const values = [
+      suite?.id || null,
+      suiteName || suite?.name || null,
+      suiteVersion || suite?.version || null,
+      versionUuid,
+      environment || null,
+      branch || null,
+      commitSha || null,
+      buildNumber || null,
+      ciUrl || null,
+      planned.length,
+      JSON.stringify({ ...metadata, plannedTestCases: planned })
+    ];
+
+    if (existing.rows.length > 0) {
+      const run = existing.rows[0];
+      if (run.workspace_id !== workspaceId) {
+        throw runError(409, 'requestId already belongs to another workspace');
+      }
+      if (run.status !== RUN_STATUS.RUNNING) {
+        throw runError(409, `Execution run is already ${run.status}`);
+      }
+
+      const updated = await client.query(`
+        UPDATE test_execution_runs
+        SET suite_definition_id = COALESCE($1, suite_definition_id),
+            suite_name = COALESCE($2, suite_name),
+            suite_version = COALESCE($3, suite_version),
+            version_id = COALESCE($4, version_id),
+            environment = COALESCE($5, environment),
+            branch = COALESCE($6, branch),
+            commit_sha = COALESCE($7, commit_sha),
+            build_number = COALESCE($8, build_number),
+            ci_cd_url = COALESCE($9, ci_cd_url),
+            total_tests = $10,
+            metadata = COALESCE(metadata, '{}'::jsonb) || $11::jsonb
+        WHERE id = $12
+        RETURNING *
+      `, [...values, run.id]);
+
+      return updated.rows[0];
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO test_execution_runs (
+        suite_definition_id, suite_name, suite_version, version_id,
+        environment, branch, commit_sha, build_number, ci_cd_url,
+        total_tests, metadata,
+        workspace_id, request_id, trigger_type, triggered_by, status, started_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+      RETURNING *
+    `, [...values, workspaceId, requestId, triggerType, triggeredBy, RUN_STATUS.RUNNING]);
+
+    return inserted.rows[0];
+  });
+};
+
+/**
+ * Count a run's results against its plan
+ */
+const computeProgress = async (client, run) => {
+  const planned = Array.isArray(run.metadata?.plannedTestCases) ? run.metadata.plannedTestCases : [];
+
+  const results = await client.query(`
+    SELECT tc.id, tr.status
+    FROM test_results tr
+    JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+    WHERE tr.execution_run_id = $1
+  `, [run.id]);
+
+  const counts = { passed: 0, failed: 0, skipped: 0, blocked: 0, running: 0 };
+  const reportedIds = new Set();
+
+  results.rows.forEach(row => {
+    if (row.status === 'Passed') counts.passed++;
+    else if (row.status === 'Failed') counts.failed++;
+    else if (row.status === 'Skipped') counts.skipped++;
+    else if (row.status === 'Blocked') counts.blocked++;
+    else if (row.status === 'Running') counts.running++;
+
+    if (!PENDING_RESULT_STATUSES.includes(row.status)) {
+      reportedIds.add(row.id);
+    }
+  });
+
+  const missing = planned.filter(id => !reportedIds.has(id));
+  const reportedPlanned = planned.length - missing.length;
+
+  return {
+    requestId: run.request_id,
+    status: run.status,
+    planned: planned.length,
+    reported: reportedIds.size,
+    remaining: missing.length,
+    percentComplete: planned.length > 0 ? Math.round((reportedPlanned / planned.length) * 100) : null,
+    ...counts,
+    totalResults: results.rows.length,
+    unplannedResults: [...reportedIds].filter(id => !planned.includes(id)).length,
+    missingTestCases: missing
+  };
+};
+
+/**
+ * Get the progress of a run against its planned test cases
+ * @param {string} runId - test_execution_runs.id
+ * @returns {Promise<Object|null>} Progress counts, or null if the run does not exist
+ */
+const getRunProgress = async (runId) => {
+  const runResult = await db.query('SELECT * FROM test_execution_runs WHERE id = $1', [runId]);
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+  return computeProgress(db, runResult.rows[0]);
+};
+
+/**
+ * Write the final counts, duration (ms) and status of a locked, running run
+ */
+const finalizeRun = async (client, run, { status, summary, metadata = {} }) => {
+  const progress = await computeProgress(client, run);
+
+  const updated = await client.query(`
+    UPDATE test_execution_runs
+    SET status = $1,
+        total_tests = $2,
+        passed_tests = $3,
+        failed_tests = $4,
+        skipped_tests = $5,
+        blocked_tests = $6,
+        completed_at = NOW(),
+        duration = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::integer,
+        summary = COALESCE($7, summary),
+        metadata = COALESCE(metadata, '{}'::jsonb) || $8::jsonb
+    WHERE id = $9
+    RETURNING *
+  `, [
+    status,
+    Math.max(progress.planned, progress.totalResults),
+    progress.passed,
+    progress.failed,
+    progress.skipped,
+    progress.blocked,
+    summary || null,
+    JSON.stringify(metadata),
+    run.id
+  ]);
+
+  const finished = updated.rows[0];
+  return { run: finished, progress: { ...progress, status: finished.status } };
+};
+
+/**
+ * Evaluate quality gates for a run that just completed.
+ * Gate problems never undo the completion; they are logged and reported as null.
+ */
+const evaluateCompletedRun = async (run, evaluatedBy = null) => {
+  if (run.status !== RUN_STATUS.COMPLETED) {
+    return null;
+  }
+  try {
+    return await qualityGatesService.evaluateGates({ workspaceId: run.workspace_id, runId: run.id, evaluatedBy });
+  } catch (error) {
+    console.error('Error evaluating quality gates for run:', run.id, error.message);
+    return null;
+  }
+};
+
+/**
+ * Complete or cancel a running run
+ * @param {Object} params
+ * @param {string} params.requestId - Execution request ID
+ * @param {string} [params.workspaceId] - Expected workspace (404 when the run belongs to another one)
+ * @param {string} params.status - 'completed' or 'cancelled'
+ * @param {string} [params.summary] - Free-text summary
+ * @param {string} [params.reason] - Cancellation reason
+ * @param {string} [params.finishedBy] - User UUID, recorded on quality gate evaluations
+ * @returns {Promise<Object>} { run, progress, qualityGates }
+ */
+const finishRun = async ({ requestId, workspaceId, status, summary, reason, finishedBy = null }) => {
+  const finished = await db.transaction(async (client) => {
+    const runResult = await client.query(
+      'SELECT * FROM test_execution_runs WHERE request_id = $1 FOR UPDATE',
+      [requestId]
+    );
+
+    const run = runResult.rows[0];
+    if (!run || (workspaceId && run.workspace_id !== workspaceId)) {
+      throw runError(404, 'Execution run not found');
+    }
+    if (run.status !== RUN_STATUS.RUNNING) {
+      throw runError(409, `Execution run is already ${run.status}`);
+    }
+
+    const metadata = status === RUN_STATUS.CANCELLED && reason ? { cancelReason: reason } : {};
+    return finalizeRun(client, run, { status, summary, metadata });
+  });
+
+  return { ...finished, qualityGates: await evaluateCompletedRun(finished.run, finishedBy) };
+};
+
+/**
+ * Complete a run once every planned test case has a final result.
+ * Runs without a plan are only completed explicitly.
+ * @param {string} runId - test_execution_runs.id
+ * @returns {Promise<Object|null>} { completed, run, progress, qualityGates }, or null for runs without a plan
+ */
+const completeRunIfFinished = async (runId) => {
+  const state = await db.transaction(async (client) => {
+    const runResult = await client.query(
+      'SELECT * FROM test_execution_runs WHERE id = $1 FOR UPDATE',
+      [runId]
+    );
+
+    const run = runResult.rows[0];
+    if (!run || run.status !== RUN_STATUS.RUNNING || !(run.metadata?.plannedTestCases?.length > 0)) {
+      return null;
+    }
+
+    const progress = await computeProgress(client, run);
+    if (progress.remaining > 0) {
+      return { completed: false, run, progress };
+    }
+
+    const finalized = await finalizeRun(client, run, { status: RUN_STATUS.COMPLETED, metadata: { autoCompleted: true } });
+    return { completed: true, ...finalized };
+  });
+
+  if (state?.completed) {
+    state.qualityGates = await evaluateCompletedRun(state.run);
+  }
+  return state;
+};
+
+module.exports = {
+  RUN_STATUS,
+  startRun,
+  getRunProgress,
+  finishRun,
+  completeRunIfFinished
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const db = require('../../database/connection');
+const emailService = require('./emailService');
+const { recordAudit } = require('./auditService');
+
+const INVITATION_TTL_DAYS = parseFloat(process.env.INVITATION_TTL_DAYS) || 7;
+// Minimum time between two emails for the same invitation
+const INVITATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Ownership is transferred, never given through an invitation
+const INVITABLE_ROLES = ['admin', 'editor', 'test_executor', 'viewer'];
+
+const INVITATION_COLUMNS = 'i.id, i.workspace_id, i.email, i.role, i.invited_by, i.expires_at, i.last_sent_at, i.accepted_at, i.accepted_by, i.declined_at, i.revoked_at, i.created_at';
+
+// Not yet accepted, declined or revoked (it may still have expired)
+const OPEN_CONDITION = 'i.accepted_at IS NULL AND i.declined_at IS NULL AND i.revoked_at IS NULL';
+
+const STATUS_SQL = `CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.declined_at IS NOT NULL THEN 'declined'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+const INVITATION_STATUSES = ['pending', 'expired', 'accepted', 'declined', 'revoked'];
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const invitationError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('hex');
+const invitationExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Invitations of a workspace, with workspace and inviter names
+ */
+const selectInvitations = (where) => `
+  SELECT ${INVITATION_COLUMNS}, ${STATUS_SQL} AS status,
+         w.name AS workspace_name, inviter.full_name AS invited_by_name
+  FROM workspace_invitations i
+  JOIN workspaces w ON w.id = i.workspace_id
+  LEFT JOIN users inviter ON inviter.id = i.invited_by
+  WHERE ${where}
+`;
+
+const listWorkspaceInvitations = async (workspaceId, status) => {
+  const result = await db.query(`
+    ${selectInvitations('i.workspace_id = $1')}
+      AND ($2::text IS NULL OR ${STATUS_SQL} = $2)
+    ORDER BY i.created_at DESC
+  `, [workspaceId, status || null]);
+  return result.rows;
+};
+
+/**
+ * Pending invitations sent to an email address, in active workspaces
+ */
+const listPendingInvitationsForEmail = async (email) => {
+  const result = await db.query(`
+    ${selectInvitations(`LOWER(i.email) = $1 AND ${OPEN_CONDITION} AND i.expires_at > NOW() AND w.is_active = true`)}
+    ORDER BY i.created_at DESC
+  `, [normalizeEmail(email)]);
+  return result.rows;
+};
+
+const getInvitation = async (executor, id) => {
+  const result = await executor.query(selectInvitations('i.id::text = $1'), [String(id)]);
+  return result.rows[0] || null;
+};
+
+const getInvitationByToken = async (executor, token) => {
+  const result = await executor.query(selectInvitations('i.token_hash = $1'), [hashToken(token)]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Email an invitation. Delivery problems are logged, not raised, so the admin can resend.
+ * @returns {Promise<boolean>} Whether the email was handed to the transport
+ */
+const sendInvitation = async (invitation, token) => {
+  try {
+    await emailService.sendWorkspaceInvitationEmail(
+      invitation,
+      { workspaceName: invitation.workspace_name, inviterName: invitation.invited_by_name },
+      token,
+      new Date(invitation.expires_at)
+    );
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to send invitation email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Create a pending invitation and email it
+ * @returns {Promise<Object>} { invitation, emailSent }
+ * @throws 409 when an invitation is already open for this email
+ */
+const createInvitation = async ({ workspaceId, email, role, invitedBy }) => {
+  const token = newToken();
+
+  let id;
+  try {
+    const result = await db.query(`
+      INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [workspaceId, normalizeEmail(email), role, hashToken(token), invitedBy, invitationExpiry()]);
+    id = result.rows[0].id;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw invitationError(409, 'An invitation is already pending for this email; resend it instead');
+    }
+    throw error;
+  }
+
+  const invitation = await getInvitation(db, id);
+  const emailSent = await sendInvitation(invitation, token);
+  return { invitation, emailSent };
+};
+
+/**
+ * Email an open invitation again with a new link (the previous one stops working)
+ * and a new expiry date
+ * @returns {Promise<Object>} { invitation, emailSent }
+ * @throws 404 when there is no open invitation, 429 when it was sent less than a minute ago
+ */
+const resendInvitation = async (workspaceId, invitationId) => {
+  const existing = await getInvitation(db, invitationId);
+  if (!existing || existing.workspace_id !== workspaceId || !['pending', 'expired'].includes(existing.status)) {
+    throw invitationError(404, 'Pending invitation not found in this workspace');
+  }
+  if (Date.now() - new Date(existing.last_sent_at).getTime() < INVITATION_RESEND_INTERVAL_MS) {
+    throw invitationError(429, 'This invitation was just sent, please wait a minute before resending it');
+  }
+
+  const token = newToken();
+  await db.query(`
+    UPDATE workspace_invitations
+    SET token_hash = $1, expires_at = $2, last_sent_at = NOW()
+    WHERE id = $3
+  `, [hashToken(token), invitationExpiry(), existing.id]);
+
+  const invitation = await getInvitation(db, existing.id);
+  const emailSent = await sendInvitation(invitation, token);
+  return { invitation, emailSent };
+};
+
+/**
+ * Revoke an open invitation
+ * @returns {Promise<Object|null>} The revoked invitation, or null when there was none open
+ */
+const revokeInvitation = async (workspaceId, invitationId) => {
+  const result = await db.query(`
+    UPDATE workspace_invitations i
+    SET revoked_at = NOW()
+    WHERE i.id::text = $1 AND i.workspace_id = $2 AND ${OPEN_CONDITION}
+    RETURNING i.id, i.email, i.role
+  `, [String(invitationId), workspaceId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Check that an invitation can still be used by a user
+ * @throws 410 when it is no longer pending, 403 when it was sent to another email
+ */
+const assertUsableBy = (invitation, email) => {
+  if (!invitation || invitation.status !== 'pending') {
+    throw invitationError(410, invitation?.status === 'expired'
+      ? 'This invitation has expired, ask a workspace admin to resend it'
+      : 'This invitation is no longer valid');
+  }
+  if (normalizeEmail(invitation.email) !== normalizeEmail(email)) {
+    throw invitationError(403, 'This invitation was sent to a different email address');
+  }
+};
+
+/**
+ * Accept an invitation: add the user to the workspace with the invited role.
+ * Users who already are members keep their current role.
+ * @param {Object} client - Transaction client
+ * @param {Object} req - Express request (for the audit entry)
+ * @param {Object} invitation - Row from getInvitation / getInvitationByToken
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} { workspace_id, workspace_name, role, already_member }
+ */
+const acceptInvitation = async (client, req, invitation, user) => {
+  assertUsableBy(invitation, user.email);
+
+  const claimed = await client.query(`
+    UPDATE workspace_invitations i
+    SET accepted_at = NOW(), accepted_by = $2
+    WHERE i.id = $1 AND ${OPEN_CONDITION}
+    RETURNING i.id
+  `, [invitation.id, user.id]);
+  if (claimed.rows.length === 0) {
+    throw invitationError(410, 'This invitation is no longer valid');
+  }
+
+  const joined = await client.query(`
+    INSERT INTO workspace_members (workspace_id, user_id, role, invited_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (workspace_id, user_id) DO NOTHING
+    RETURNING id
+  `, [invitation.workspace_id, user.id, invitation.role, invitation.invited_by]);
+
+  const alreadyMember = joined.rows.length === 0;
+  if (!alreadyMember) {
+    await recordAudit({
+      client,
+      req,
+      userId: user.id,
+      workspaceId: invitation.workspace_id,
+      action: 'assign',
+      entityType: 'user',
+      entityId: user.id,
+      newValue: { user_id: user.id, email: user.email, role: invitation.role, invitation_id: invitation.id },
+      description: `${user.email} joined the workspace as ${invitation.role} by accepting an invitation`
+    });
+  }
+
+  return {
+    workspace_id: invitation.workspace_id,
+    workspace_name: invitation.workspace_name,
+    role: invitation.role,
+    already_member: alreadyMember
+  };
+};
+
+/**
+ * Decline an invitation sent to the user's email
+ * @returns {Promise<boolean>} Whether an open invitation was declined
+ */
+const declineInvitation = async (invitationId, email) => {
+  const result = await db.query(`
+    UPDATE workspace_invitations i
+    SET declined_at = NOW()
+    WHERE i.id::text = $1 AND LOWER(i.email) = $2 AND ${OPEN_CONDITION}
+    RETURNING i.id
+  `, [String(invitationId), normalizeEmail(email)]);
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  INVITABLE_ROLES,
+  INVITATION_STATUSES,
+  listWorkspaceInvitations,
+  listPendingInvitationsForEmail,
+  getInvitation,
+  getInvitationByToken,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  assertUsableBy,
+  acceptInvitation,
+  declineInvitation
+};
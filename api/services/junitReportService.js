@@ -0,0 +1,212 @@
+const { XMLParser } = require('fast-xml-parser');
+const db = require('../../database/connection');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: '#text',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  isArray: (name) => ['testsuite', 'testcase', 'failure', 'error', 'skipped'].includes(name)
+});
+
+// Business IDs embedded in test names, e.g. "TC-001 user can log in"
+const BUSINESS_ID_PATTERN = /\b([A-Z][A-Z0-9]*-\d+)\b/;
+
+// Worst status wins when several <testcase> elements map to the same test case
+const STATUS_SEVERITY = { 'Passed': 0, 'Skipped': 1, 'Blocked': 2, 'Failed': 3 };
+
+/**
+ * Read the text content of an element that may be a string or { '#text': ... }
+ */
+const textOf = (element) => {
+  if (element === undefined || element === null) return '';
+  if (typeof element === 'string') return element;
+  return element['#text'] || '';
+};
+
+/**
+ * Collect <testcase> elements from nested <testsuites>/<testsuite> trees
+ */
+const collectTestCases = (suites, parentFile = null, collected = []) => {
+  for (const suite of suites || []) {
+    const file = suite.file || parentFile;
+
+    for (const testcase of suite.testcase || []) {
+      collected.push({ ...testcase, file: testcase.file || file, suiteName: suite.name || null });
+    }
+
+    if (suite.testsuite) {
+      collectTestCases(suite.testsuite, file, collected);
+    }
+  }
+  return collected;
+};
+
+/**
+ * Parse a JUnit XML report into a flat list of normalized test cases
+ * @param {string} xml - JUnit XML document
+ * @returns {Array<Object>} Test cases ({ name, classname, file, status, duration, failure, logs, rawOutput })
+ */
+const parseJUnitReport = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Malformed JUnit XML: ${error.message}`);
+  }
+
+  let suites = [];
+  if (document.testsuites) {
+    suites = document.testsuites.testsuite || [];
+  } else if (document.testsuite) {
+    suites = document.testsuite;
+  } else {
+    throw new Error('JUnit XML must have a <testsuites> or <testsuite> root element');
+  }
+
+  return collectTestCases(suites).map(testcase => {
+    const failureElement = testcase.failure?.[0];
+    const errorElement = testcase.error?.[0];
+    const skippedElement = testcase.skipped?.[0];
+    const problem = failureElement !== undefined ? failureElement : errorElement;
+
+    let status = 'Passed';
+    let failure = null;
+
+    if (problem !== undefined) {
+      status = 'Failed';
+      failure = {
+        type: problem.type || (failureElement !== undefined ? 'failure' : 'error'),
+        message: problem.message || textOf(problem).split('\n')[0] || null,
+        category: failureElement !== undefined ? 'failure' : 'error',
+        stackTrace: textOf(problem) || null
+      };
+    } else if (skippedElement !== undefined) {
+      status = 'Skipped';
+    }
+
+    const systemOut = textOf(testcase['system-out']);
+    const systemErr = textOf(testcase['system-err']);
+    const skipMessage = skippedElement?.message || textOf(skippedElement);
+    const seconds = parseFloat(testcase.time);
+
+    return {
+      name: testcase.name || '',
+      classname: testcase.classname || '',
+      file: testcase.file || null,
+      suiteName: testcase.suiteName,
+      status,
+      duration: Number.isFinite(seconds) ? Math.round(seconds * 1000) : null,
+      failure,
+      logs: [skipMessage ? `Skipped: ${skipMessage}` : '', systemOut].filter(Boolean).join('\n') || null,
+      rawOutput: systemErr || null
+    };
+  });
+};
+
+/**
+ * Keys that identify a single <testcase> in test_cases.automation_path
+ */
+const automationPathCandidates = ({ name, classname, file }) => {
+  const candidates = [];
+  if (classname && name) {
+    candidates.push(`${classname}.${name}`, `${classname}#${name}`, `${classname}::${name}`);
+  }
+  if (file && name) {
+    candidates.push(`${file}::${name}`, `${file}#${name}`);
+  }
+  if (name) candidates.push(name);
+  return candidates;
+};
+
+/**
+ * File- or class-level automation paths; only used when nothing more specific matched
+ */
+const coarsePathCandidates = ({ classname, file }) => [file, classname].filter(Boolean);
+
+/**
+ * Match parsed JUnit test cases to test cases of a workspace.
+ * A <testcase> matches on test_cases.automation_path first, then on the business ID
+ * (the test name itself or an ID like "TC-001" embedded in it), and finally on a
+ * file- or class-level automation_path.
+ * Several <testcase> elements matching the same test case are merged into one result.
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Array<Object>} testcases - Output of parseJUnitReport
+ * @returns {Promise<Object>} { results: webhook result entries, unmatched: [{ name, classname }] }
+ */
+const matchJUnitTestCases = async (workspaceId, testcases) => {
+  const pathKeys = new Set();
+  const idKeys = new Set();
+
+  testcases.forEach(testcase => {
+    automationPathCandidates(testcase).forEach(key => pathKeys.add(key));
+    coarsePathCandidates(testcase).forEach(key => pathKeys.add(key));
+    if (testcase.name) idKeys.add(testcase.name);
+    const embedded = testcase.name.match(BUSINESS_ID_PATTERN);
+    if (embedded) idKeys.add(embedded[1]);
+  });
+
+  const lookup = await db.query(`
+    SELECT id, automation_path FROM test_cases
+    WHERE workspace_id = $1 AND (automation_path = ANY($2) OR id = ANY($3))
+  `, [workspaceId, [...pathKeys], [...idKeys]]);
+
+  const byPath = new Map();
+  const byId = new Set();
+  lookup.rows.forEach(row => {
+    if (row.automation_path) byPath.set(row.automation_path, row.id);
+    byId.add(row.id);
+  });
+
+  const merged = new Map();
+  const unmatched = [];
+
+  for (const testcase of testcases) {
+    let testCaseId = automationPathCandidates(testcase).map(key => byPath.get(key)).find(Boolean);
+    if (!testCaseId && byId.has(testcase.name)) {
+      testCaseId = testcase.name;
+    }
+    if (!testCaseId) {
+      const embedded = testcase.name.match(BUSINESS_ID_PATTERN);
+      if (embedded && byId.has(embedded[1])) testCaseId = embedded[1];
+    }
+    if (!testCaseId) {
+      testCaseId = coarsePathCandidates(testcase).map(key => byPath.get(key)).find(Boolean);
+    }
+
+    if (!testCaseId) {
+      unmatched.push({ name: testcase.name, classname: testcase.classname });
+      continue;
+    }
+
+    const existing = merged.get(testCaseId);
+    if (!existing) {
+      merged.set(testCaseId, {
+        id: testCaseId,
+        name: testcase.classname ? `${testcase.classname}.${testcase.name}` : testcase.name,
+        status: testcase.status,
+        duration: testcase.duration,
+        failure: testcase.failure,
+        logs: testcase.logs,
+        rawOutput: testcase.rawOutput
+      });
+      continue;
+    }
+
+    if (STATUS_SEVERITY[testcase.status] > STATUS_SEVERITY[existing.status]) {
+      existing.status = testcase.status;
+      existing.failure = testcase.failure;
+    }
+    existing.duration = (existing.duration || 0) + (testcase.duration || 0);
+    existing.logs = [existing.logs, testcase.logs].filter(Boolean).join('\n') || null;
+    existing.rawOutput = [existing.rawOutput, testcase.rawOutput].filter(Boolean).join('\n') || null;
+  }
+
+  return { results: [...merged.values()], unmatched };
+};
+
+module.exports = {
+  parseJUnitReport,
+  matchJUnitTestCases
+};
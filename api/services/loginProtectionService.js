@@ -0,0 +1,139 @@
+const db = require('../../database/connection');
+const { recordAudit } = require('./auditService');
+
+// Consecutive failures after which an account is locked, and for how long
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures from one IP address, across all accounts, after which the address is throttled
+const LOGIN_IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseFloat(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+/**
+ * Email with most of the local part hidden, for logs (alice@example.com -> a***@example.com)
+ */
+const maskEmail = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!domain) {
+    return '***';
+  }
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+/**
+ * Seconds until an IP address may try to log in again, or 0 when it is not throttled.
+ * Failed attempts are counted from the login entries of the audit log.
+ */
+const getIpRetryAfter = async (ip) => {
+  if (!ip) {
+    return 0;
+  }
+
+  const result = await db.query(`
+    SELECT COUNT(*) AS failures, MIN(created_at) AS oldest
+    FROM audit_logs
+    WHERE action = 'login' AND ip_address = $1
+      AND created_at > NOW() - make_interval(secs => $2)
+      AND new_value->>'success' = 'false'
+  `, [ip, LOGIN_IP_WINDOW_MINUTES * 60]);
+
+  const { failures, oldest } = result.rows[0];
+  if (parseInt(failures) < LOGIN_IP_MAX_FAILED_ATTEMPTS) {
+    return 0;
+  }
+  const windowEnd = new Date(oldest).getTime() + LOGIN_IP_WINDOW_MINUTES * 60 * 1000;
+  return Math.max(Math.ceil((windowEnd - Date.now()) / 1000), 1);
+};
+
+/**
+ * Seconds until a locked account may try to log in again, or 0 when it is not locked
+ * @param {Object} user - Row with locked_until
+ */
+const getLockoutRetryAfter = (user) => {
+  if (!user?.locked_until) {
+    return 0;
+  }
+  return Math.max(Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Record a failed login: count it against the account (locking it once the limit is
+ * reached) and write it to the audit log, where per-IP throttling picks it up.
+ * @param {Object} req - Express request
+ * @param {Object} params
+ * @param {Object} [params.user] - Account the attempt was for, when it exists
+ * @param {string} params.email - Email that was tried
+ * @param {string} params.reason - Why the attempt failed (e.g. 'invalid_password')
+ * @param {boolean} [params.countFailure] - false for attempts on an already locked account
+ * @returns {Promise<boolean>} Whether this attempt locked the account
+ */
+const recordFailedLogin = async (req, { user = null, email, reason, countFailure = true }) => {
+  let locked = false;
+
+  if (user && countFailure) {
+    // Reaching the limit locks the account and starts a new count
+    const result = await db.query(`
+      UPDATE users
+      SET failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+          locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(secs => $3) ELSE locked_until END
+      WHERE id = $1
+      RETURNING failed_login_attempts = 0 AS locked
+    `, [user.id, LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_MINUTES * 60]);
+
+    locked = Boolean(result.rows[0]?.locked);
+    if (locked) {
+      console.warn('🔒 Account locked after repeated failed logins:', maskEmail(email));
+    }
+  }
+
+  await recordAudit({
+    req,
+    userId: user?.id || null,
+    action: 'login',
+    entityType: 'user',
+    entityId: user?.id || maskEmail(email),
+    newValue: { success: false, email: maskEmail(email), reason, locked },
+    description: locked ? `Failed login (${reason}), account locked` : `Failed login (${reason})`
+  });
+
+  return locked;
+};
+
+/**
+ * Record a successful login: reset the failure count and write it to the audit log
+ * @param {string} method - 'password', 'sso', 'totp' or 'recovery_code'
+ */
+const recordSuccessfulLogin = async (req, user, method) => {
+  await db.query(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+    [user.id]
+  );
+
+  await recordAudit({
+    req,
+    userId: user.id,
+    action: 'login',
+    entityType: 'user',
+    entityId: user.id,
+    newValue: { success: true, method },
+    description: `Login (${method})`
+  });
+};
+
+/**
+ * Lift a lockout and clear the failure count
+ */
+const unlockUser = async (executor, userId) => {
+  await executor.query(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  maskEmail,
+  getIpRetryAfter,
+  getLockoutRetryAfter,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockUser
+};
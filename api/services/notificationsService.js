@@ -0,0 +1,59 @@
+// @user@example.com style mentions
+const MENTION_PATTERN = /(?:^|[^\w@])@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Extract the mentioned email addresses from comment content
+ * @returns {Array<string>} Unique, lower-cased emails
+ */
+const extractMentions = (content = '') => {
+  const emails = new Set();
+  for (const match of String(content).matchAll(MENTION_PATTERN)) {
+    emails.add(match[1].toLowerCase());
+  }
+  return [...emails];
+};
+
+/**
+ * Resolve mentioned emails to members of the workspace.
+ * Mentions of people outside the workspace are ignored.
+ * @returns {Promise<Array<Object>>} [{ id, email, full_name }]
+ */
+const resolveMentionedMembers = async (executor, workspaceId, emails) => {
+  if (emails.length === 0) return [];
+  const result = await executor.query(`
+    SELECT u.id, u.email, u.full_name
+    FROM workspace_members wm
+    JOIN users u ON wm.user_id = u.id
+    WHERE wm.workspace_id = $1 AND LOWER(u.email) = ANY($2)
+  `, [workspaceId, emails]);
+  return result.rows;
+};
+
+/**
+ * Create one notification per recipient, skipping the actor and duplicate recipients
+ * @param {Object} executor - db or transaction client
+ * @param {Object} params
+ * @param {Array<string>} params.userIds - Recipient user UUIDs
+ * @param {string} params.type - 'mention', 'reply' or 'review'
+ * @returns {Promise<Array<Object>>} Inserted notifications
+ */
+const createNotifications = async (executor, { workspaceId, userIds, type, entityType, entityId, commentId, actorId, message }) => {
+  const recipients = [...new Set(userIds)].filter(userId => userId && userId !== actorId);
+  const created = [];
+
+  for (const userId of recipients) {
+    const result = await executor.query(`
+      INSERT INTO notifications (workspace_id, user_id, type, entity_type, entity_id, comment_id, actor_id, message)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [workspaceId, userId, type, entityType || null, entityId || null, commentId || null, actorId || null, message]);
+    created.push(result.rows[0]);
+  }
+  return created;
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentionedMembers,
+  createNotifications
+};
@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../../database/connection');
+const { recordAudit } = require('./auditService');
+
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE).
+ * Enabled when OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_REDIRECT_URI are set; OIDC_CLIENT_SECRET
+ * is only needed for confidential clients. OIDC_REDIRECT_URI must point at
+ * GET /api/auth/oidc/callback, or at a frontend page that posts the code to it.
+ * For local development, `npm run oidc:mock` runs a stand-in provider (dev/mock-oidc-provider.js).
+ */
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || '';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// Minimum time between two JWKS downloads triggered by an unknown key ID
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Roles a workspace may give to users joining through SSO
+const SSO_JOIN_ROLES = ['viewer', 'test_executor', 'editor'];
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const oidcError = (status, message) => Object.assign(new Error(message), { status });
+
+const isEnabled = () => Boolean(OIDC_ISSUER && OIDC_CLIENT_ID && OIDC_REDIRECT_URI);
+
+const normalizeDomain = (domain) => String(domain || '').trim().toLowerCase().replace(/^@/, '');
+
+const emailDomain = (email) => String(email || '').split('@').pop().toLowerCase();
+
+let metadataCache = null;
+let jwksCache = { keys: [], fetchedAt: 0 };
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+  } catch (error) {
+    throw oidcError(502, `Identity provider is unreachable: ${error.message}`);
+  }
+  const body = await response.json().catch(() => null);
+  return { ok: response.ok, status: response.status, body };
+};
+
+/**
+ * Provider metadata from the discovery document, cached for an hour
+ */
+const getProviderMetadata = async () => {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const { ok, status, body } = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (!ok || !body) {
+    throw oidcError(502, `Identity provider discovery failed (HTTP ${status})`);
+  }
+  if (String(body.issuer || '').replace(/\/+$/, '') !== OIDC_ISSUER) {
+    throw oidcError(502, 'Identity provider discovery returned a different issuer');
+  }
+
+  metadataCache = { metadata: body, fetchedAt: Date.now() };
+  return body;
+};
+
+/**
+ * Public key that signed an ID token. The JWKS is downloaded again when the provider
+ * starts using a key we have not seen (key rotation).
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache.keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let jwk = findKey();
+  if (!jwk && Date.now() - jwksCache.fetchedAt >= JWKS_REFRESH_INTERVAL_MS) {
+    const metadata = await getProviderMetadata();
+    const { ok, status, body } = await fetchJson(metadata.jwks_uri);
+    if (!ok || !Array.isArray(body?.keys)) {
+      throw oidcError(502, `Failed to fetch identity provider keys (HTTP ${status})`);
+    }
+    jwksCache = { keys: body.keys, fetchedAt: Date.now() };
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw oidcError(401, 'ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify the signature and claims of an ID token
+ * @returns {Promise<Object>} ID token claims
+ * @throws 401 when the token is invalid or was not issued for this login
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+    throw oidcError(401, 'ID token is missing or uses an unsupported algorithm');
+  }
+
+  const metadata = await getProviderMetadata();
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: metadata.issuer,
+      audience: OIDC_CLIENT_ID,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw oidcError(401, `Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError(401, 'Invalid ID token: nonce mismatch');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== OIDC_CLIENT_ID) {
+    throw oidcError(401, 'Invalid ID token: authorized party mismatch');
+  }
+  if (!claims.sub) {
+    throw oidcError(401, 'Invalid ID token: missing subject');
+  }
+  return claims;
+};
+
+/**
+ * Validate the "sso" section of workspace settings:
+ *  - allowed_email_domains: only users with a verified email of these domains may sign in to
+ *    the workspace through SSO or use it at all, whatever way they logged in; the workspace
+ *    access check enforces it for existing members, the owner excepted (empty or missing: any domain)
+ *  - auto_join_role: role given to users of an allowed domain who are not members yet
+ *    (missing: SSO users must be added to the workspace like anyone else)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSsoSettings = (sso) => {
+  if (sso === undefined || sso === null) {
+    return null;
+  }
+  if (typeof sso !== 'object' || Array.isArray(sso)) {
+    return 'settings.sso must be an object';
+  }
+  if (sso.allowed_email_domains !== undefined) {
+    if (!Array.isArray(sso.allowed_email_domains)) {
+      return 'settings.sso.allowed_email_domains must be an array of domains';
+    }
+    const invalid = sso.allowed_email_domains.filter(domain => !DOMAIN_PATTERN.test(normalizeDomain(domain)));
+    if (invalid.length > 0) {
+      return `Invalid email domains: ${invalid.join(', ')}`;
+    }
+  }
+  if (sso.auto_join_role !== undefined && sso.auto_join_role !== null && !SSO_JOIN_ROLES.includes(sso.auto_join_role)) {
+    return `settings.sso.auto_join_role must be one of: ${SSO_JOIN_ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Only same-site paths are accepted as post-login destinations
+ */
+const safeRedirectPath = (path) => (
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.includes('\\') ? path : null
+);
+
+/**
+ * Start a login: remember state, nonce and PKCE verifier, and build the provider's authorization URL
+ * @param {Object} params
+ * @param {string} [params.workspaceId] - Workspace whose SSO settings apply
+ * @param {string} [params.redirectTo] - Frontend path to return to after login
+ * @returns {Promise<string>} Authorization URL to send the browser to
+ * @throws 404 when the workspace does not exist
+ */
+const startLogin = async ({ workspaceId = null, redirectTo = null } = {}) => {
+  if (workspaceId) {
+    const workspace = await db.query(
+      'SELECT id FROM workspaces WHERE id::text = $1 AND is_active = true',
+      [workspaceId]
+    );
+    if (workspace.rows.length === 0) {
+      throw oidcError(404, 'Workspace not found');
+    }
+  }
+
+  const metadata = await getProviderMetadata();
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await db.query('DELETE FROM oidc_login_states WHERE expires_at <= NOW()');
+  await db.query(`
+    INSERT INTO oidc_login_states (state, nonce, code_verifier, workspace_id, redirect_to, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [state, nonce, codeVerifier, workspaceId, safeRedirectPath(redirectTo), new Date(Date.now() + LOGIN_STATE_TTL_MS)]);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ */
+const exchangeCode = async (metadata, code, codeVerifier) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (OIDC_CLIENT_SECRET && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', OIDC_CLIENT_ID);
+    if (OIDC_CLIENT_SECRET) {
+      params.set('client_secret', OIDC_CLIENT_SECRET);
+    }
+  }
+
+  const { ok, body } = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+  if (!ok || !body?.id_token) {
+    throw oidcError(401, `Identity provider rejected the authorization code${body?.error ? ` (${body.error})` : ''}`);
+  }
+  return body;
+};
+
+/**
+ * Claims of the signed-in user: the ID token, completed by the userinfo endpoint
+ * for providers that leave the email out of the ID token
+ */
+const getUserClaims = async (metadata, tokens, nonce) => {
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+  if (claims.email || !metadata.userinfo_endpoint || !tokens.access_token) {
+    return claims;
+  }
+
+  const { ok, body } = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+  });
+  if (!ok || !body || body.sub !== claims.sub) {
+    return claims;
+  }
+  return { ...body, ...claims, email: body.email, email_verified: body.email_verified };
+};
+
+/**
+ * Find the user of an SSO identity, linking or creating the account by email the first time.
+ * Linking to an existing account requires an email verified by the provider.
+ * @returns {Promise<Object>} User row
+ */
+const findOrProvisionUser = async (client, req, claims, email, emailVerified) => {
+  const identity = await client.query(`
+    SELECT u.id, u.email, u.full_name, u.is_active, u.email_verified
+    FROM user_identities i
+    JOIN users u ON u.id = i.user_id
+    WHERE i.issuer = $1 AND i.subject = $2
+  `, [OIDC_ISSUER, claims.sub]);
+
+  if (identity.rows.length > 0) {
+    await client.query(`
+      UPDATE user_identities SET last_login_at = NOW(), email = COALESCE($3, email)
+      WHERE issuer = $1 AND subject = $2
+    `, [OIDC_ISSUER, claims.sub, email]);
+    return identity.rows[0];
+  }
+
+  if (!email) {
+    throw oidcError(403, 'The identity provider did not share an email address');
+  }
+
+  const existing = await client.query(
+    'SELECT id, email, full_name, is_active, email_verified FROM users WHERE LOWER(email) = $1',
+    [email]
+  );
+
+  let user = existing.rows[0];
+
+  if (user) {
+    if (!emailVerified) {
+      throw oidcError(403, 'The identity provider has not verified this email address, so it cannot be linked to the existing account');
+    }
+    if (!user.email_verified) {
+      await client.query('UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1', [user.id]);
+      user = { ...user, email_verified: true };
+    }
+  } else {
+    const fullName = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null;
+    const created = await client.query(`
+      INSERT INTO users (email, password_hash, full_name, avatar_url, is_active, email_verified)
+      VALUES ($1, NULL, $2, $3, true, $4)
+      RETURNING id, email, full_name, is_active, email_verified, created_at
+    `, [email, fullName, claims.picture || null, emailVerified]);
+    user = created.rows[0];
+
+    await recordAudit({
+      client,
+      req,
+      userId: user.id,
+      action: 'create',
+      entityType: 'user',
+      entityId: user.id,
+      newValue: user,
+      description: 'User provisioned through single sign-on'
+    });
+  }
+
+  await client.query(`
+    INSERT INTO user_identities (user_id, issuer, subject, email)
+    VALUES ($1, $2, $3, $4)
+  `, [user.id, OIDC_ISSUER, claims.sub, email]);
+
+  if (existing.rows.length > 0) {
+    await recordAudit({
+      client,
+      req,
+      userId: user.id,
+      action: 'update',
+      entityType: 'user',
+      entityId: user.id,
+      newValue: { sso_issuer: OIDC_ISSUER, sso_subject: claims.sub },
+      description: 'Single sign-on identity linked'
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Apply the SSO settings of the workspace the login started from: refuse emails outside
+ * its allowed domains, and add the user with auto_join_role when set.
+ */
+const applyWorkspaceSsoSettings = async (client, req, workspaceId, user, email, emailVerified) => {
+  const result = await client.query(
+    'SELECT id, name, settings FROM workspaces WHERE id = $1 AND is_active = true',
+    [workspaceId]
+  );
+  const workspace = result.rows[0];
+  if (!workspace) {
+    throw oidcError(404, 'Workspace not found');
+  }
+
+  const sso = workspace.settings?.sso || {};
+  const allowedDomains = (sso.allowed_email_domains || []).map(normalizeDomain);
+
+  if (allowedDomains.length > 0 && (!emailVerified || !allowedDomains.includes(emailDomain(email)))) {
+    throw oidcError(403, `Your email domain is not allowed to sign in to workspace "${workspace.name}"`);
+  }
+
+  if (SSO_JOIN_ROLES.includes(sso.auto_join_role)) {
+    const joined = await client.query(`
+      INSERT INTO workspace_members (workspace_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (workspace_id, user_id) DO NOTHING
+      RETURNING id
+    `, [workspace.id, user.id, sso.auto_join_role]);
+
+    if (joined.rows.length > 0) {
+      await recordAudit({
+        client,
+        req,
+        userId: user.id,
+        workspaceId: workspace.id,
+        action: 'assign',
+        entityType: 'user',
+        entityId: user.id,
+        newValue: { user_id: user.id, role: sso.auto_join_role },
+        description: `${user.email} joined through single sign-on as ${sso.auto_join_role}`
+      });
+    }
+  }
+};
+
+/**
+ * Finish a login on the provider's callback: check the state, exchange the code, verify
+ * the ID token, then find, link or create the user.
+ * @param {Object} req - Express request (for audit entries)
+ * @param {Object} params - { code, state } from the callback
+ * @returns {Promise<Object>} { user, redirectTo }
+ * @throws 400 for an unknown or expired state, 401 for rejected codes or invalid ID tokens,
+ *         403 when the email cannot be used, 502 when the provider is unavailable
+ */
+const completeLogin = async (req, { code, state }) => {
+  const stateResult = await db.query(
+    'DELETE FROM oidc_login_states WHERE state = $1 RETURNING *',
+    [String(state)]
+  );
+  const loginState = stateResult.rows[0];
+  if (!loginState || new Date(loginState.expires_at) <= new Date()) {
+    throw oidcError(400, 'Invalid or expired login state, please start again');
+  }
+
+  const metadata = await getProviderMetadata();
+  const tokens = await exchangeCode(metadata, String(code), loginState.code_verifier);
+  const claims = await getUserClaims(metadata, tokens, loginState.nonce);
+
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  const user = await db.transaction(async (client) => {
+    const found = await findOrProvisionUser(client, req, claims, email, emailVerified);
+    if (!found.is_active) {
+      throw oidcError(401, 'Account is inactive. Please contact support.');
+    }
+    if (loginState.workspace_id) {
+      await applyWorkspaceSsoSettings(client, req, loginState.workspace_id, found, email, emailVerified);
+    }
+    return found;
+  });
+
+  return { user, redirectTo: loginState.redirect_to };
+};
+
+module.exports = {
+  OIDC_PROVIDER_NAME,
+  SSO_JOIN_ROLES,
+  isEnabled,
+  validateSsoSettings,
+  startLogin,
+  completeLogin
+};
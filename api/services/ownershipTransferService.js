@@ -0,0 +1,204 @@
+const db = require('../../database/connection');
+const emailService = require('./emailService');
+
+const OWNERSHIP_TRANSFER_TTL_DAYS = parseFloat(process.env.OWNERSHIP_TRANSFER_TTL_DAYS) || 7;
+
+// Role the previous owner keeps once the transfer is accepted
+const PREVIOUS_OWNER_ROLE = 'admin';
+
+// Not yet accepted, declined or cancelled (it may still have expired)
+const OPEN_CONDITION = 't.accepted_at IS NULL AND t.declined_at IS NULL AND t.cancelled_at IS NULL';
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const transferError = (status, message) => Object.assign(new Error(message), { status });
+
+const selectTransfers = (where) => `
+  SELECT t.id, t.workspace_id, t.from_user_id, t.to_user_id, t.expires_at, t.created_at,
+         w.name AS workspace_name,
+         from_user.email AS from_email, from_user.full_name AS from_name,
+         to_user.email AS to_email, to_user.full_name AS to_name
+  FROM workspace_ownership_transfers t
+  JOIN workspaces w ON w.id = t.workspace_id
+  JOIN users from_user ON from_user.id = t.from_user_id
+  JOIN users to_user ON to_user.id = t.to_user_id
+  WHERE ${where}
+`;
+
+/**
+ * The workspace's pending (open and unexpired) ownership transfer
+ * @param {Object} executor - db or transaction client
+ * @param {boolean} [forUpdate] - Lock the transfer row until the transaction ends
+ * @returns {Promise<Object|null>}
+ */
+const getPendingTransfer = async (executor, workspaceId, forUpdate = false) => {
+  const result = await executor.query(`
+    ${selectTransfers(`t.workspace_id = $1 AND ${OPEN_CONDITION} AND t.expires_at > NOW()`)}
+    ${forUpdate ? 'FOR UPDATE OF t' : ''}
+  `, [workspaceId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Current owner of a workspace, locked until the transaction ends
+ */
+const lockWorkspaceOwner = async (client, workspaceId) => {
+  const result = await client.query(
+    'SELECT owner_id FROM workspaces WHERE id = $1 FOR UPDATE',
+    [workspaceId]
+  );
+  return result.rows[0]?.owner_id || null;
+};
+
+/**
+ * Tell the nominee about the transfer. Delivery problems are logged, not raised:
+ * the nominee also sees the transfer in the workspace.
+ * @returns {Promise<boolean>} Whether the email was handed to the transport
+ */
+const notifyNominee = async (transfer) => {
+  try {
+    await emailService.sendOwnershipTransferEmail(
+      { email: transfer.to_email, full_name: transfer.to_name },
+      { workspaceName: transfer.workspace_name, ownerName: transfer.from_name || transfer.from_email },
+      new Date(transfer.expires_at)
+    );
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to send ownership transfer email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Nominate a member as the next owner of the workspace
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.ownerId - User proposing the transfer; must be the current owner
+ * @param {string} params.memberId - workspace_members id of the nominee
+ * @returns {Promise<Object>} { transfer, emailSent }
+ * @throws 403 when the user is not the owner, 404 when the member does not exist,
+ *         400 when nominating oneself, 409 when a transfer is already pending
+ */
+const createTransfer = async ({ workspaceId, ownerId, memberId }) => {
+  const id = await db.transaction(async (client) => {
+    if (await lockWorkspaceOwner(client, workspaceId) !== ownerId) {
+      throw transferError(403, 'Only the workspace owner can transfer ownership');
+    }
+
+    const member = await client.query(
+      'SELECT user_id FROM workspace_members WHERE id::text = $1 AND workspace_id = $2',
+      [String(memberId), workspaceId]
+    );
+    if (member.rows.length === 0) {
+      throw transferError(404, 'Member not found in this workspace');
+    }
+    const nomineeId = member.rows[0].user_id;
+    if (nomineeId === ownerId) {
+      throw transferError(400, 'You already own this workspace');
+    }
+
+    if (await getPendingTransfer(client, workspaceId)) {
+      throw transferError(409, 'An ownership transfer is already pending; cancel it first');
+    }
+
+    // Expired transfers no longer count as open
+    await client.query(`
+      UPDATE workspace_ownership_transfers t SET cancelled_at = NOW()
+      WHERE t.workspace_id = $1 AND ${OPEN_CONDITION}
+    `, [workspaceId]);
+
+    const result = await client.query(`
+      INSERT INTO workspace_ownership_transfers (workspace_id, from_user_id, to_user_id, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+      RETURNING id
+    `, [workspaceId, ownerId, nomineeId, OWNERSHIP_TRANSFER_TTL_DAYS * 24 * 60 * 60]);
+    return result.rows[0].id;
+  });
+
+  const transfer = (await db.query(selectTransfers('t.id = $1'), [id])).rows[0];
+  const emailSent = await notifyNominee(transfer);
+  return { transfer, emailSent };
+};
+
+/**
+ * Withdraw the pending transfer of a workspace
+ * @returns {Promise<Object|null>} The cancelled transfer, or null when none was pending
+ */
+const cancelTransfer = async (workspaceId) => {
+  const result = await db.query(`
+    UPDATE workspace_ownership_transfers t SET cancelled_at = NOW()
+    WHERE t.workspace_id = $1 AND ${OPEN_CONDITION} AND t.expires_at > NOW()
+    RETURNING t.id, t.to_user_id
+  `, [workspaceId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Decline the pending transfer nominating a user
+ * @returns {Promise<Object|null>} The declined transfer, or null when none was pending for the user
+ */
+const declineTransfer = async (workspaceId, userId) => {
+  const result = await db.query(`
+    UPDATE workspace_ownership_transfers t SET declined_at = NOW()
+    WHERE t.workspace_id = $1 AND t.to_user_id = $2 AND ${OPEN_CONDITION} AND t.expires_at > NOW()
+    RETURNING t.id, t.from_user_id
+  `, [workspaceId, userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Accept the pending transfer nominating a user: the nominee becomes owner
+ * (workspaces.owner_id and their member role) and the previous owner becomes admin.
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object>} { transfer, nomineePreviousRole }
+ * @throws 404 when no transfer is pending for the user, 409 when the workspace changed owner
+ *         since the nomination or the nominee is no longer a member
+ */
+const acceptTransfer = async (client, workspaceId, userId) => {
+  const ownerId = await lockWorkspaceOwner(client, workspaceId);
+  const transfer = await getPendingTransfer(client, workspaceId, true);
+
+  if (!transfer || transfer.to_user_id !== userId) {
+    throw transferError(404, 'No ownership transfer is pending for you in this workspace');
+  }
+  if (transfer.from_user_id !== ownerId) {
+    throw transferError(409, 'The workspace changed owner since this transfer was proposed');
+  }
+
+  const nominee = await client.query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2 FOR UPDATE',
+    [workspaceId, userId]
+  );
+  if (nominee.rows.length === 0) {
+    throw transferError(409, 'You are no longer a member of this workspace');
+  }
+
+  await client.query(
+    'UPDATE workspaces SET owner_id = $1, updated_at = NOW() WHERE id = $2',
+    [userId, workspaceId]
+  );
+  await client.query(
+    'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3',
+    ['owner', workspaceId, userId]
+  );
+  await client.query(
+    'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3',
+    [PREVIOUS_OWNER_ROLE, workspaceId, transfer.from_user_id]
+  );
+  await client.query(
+    'UPDATE workspace_ownership_transfers SET accepted_at = NOW() WHERE id = $1',
+    [transfer.id]
+  );
+
+  return { transfer, nomineePreviousRole: nominee.rows[0].role };
+};
+
+module.exports = {
+  PREVIOUS_OWNER_ROLE,
+  getPendingTransfer,
+  createTransfer,
+  cancelTransfer,
+  declineTransfer,
+  acceptTransfer
+};
@@ -0,0 +1,239 @@
+const db = require('../../database/connection');
+
+/**
+ * Supported gate criteria and how their values are validated
+ *  - min_pass_rate: Passed / (Passed + Failed + Blocked), in percent
+ *  - max_failed_critical: number of failed Critical test cases
+ *  - min_requirement_coverage: active requirements with at least one mapped test case, in percent
+ *  - no_blocked: no Blocked test cases
+ */
+const CRITERIA = {
+  min_pass_rate: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+  max_failed_critical: (value) => Number.isInteger(value) && value >= 0,
+  min_requirement_coverage: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+  no_blocked: (value) => typeof value === 'boolean'
+};
+
+/**
+ * Validate a criteria object
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCriteria = (criteria) => {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return 'criteria must be an object';
+  }
+  const keys = Object.keys(criteria);
+  if (keys.length === 0) {
+    return `criteria must contain at least one of: ${Object.keys(CRITERIA).join(', ')}`;
+  }
+  for (const key of keys) {
+    if (!CRITERIA[key]) {
+      return `Unknown criterion: ${key}`;
+    }
+    if (!CRITERIA[key](criteria[key])) {
+      return `Invalid value for ${key}`;
+    }
+  }
+  return null;
+};
+
+const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+/**
+ * Collect the metrics gates are evaluated against.
+ * Test outcomes come from the run's results when a run is given, otherwise from
+ * the current status of the workspace's (or version's) test cases.
+ * Requirement coverage is always taken from the current mappings.
+ */
+const computeMetrics = async ({ workspaceId, versionId = null, runId = null }) => {
+  const outcomes = runId
+    ? await db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE tr.status = 'Passed') as passed,
+          COUNT(*) FILTER (WHERE tr.status = 'Failed') as failed,
+          COUNT(*) FILTER (WHERE tr.status = 'Blocked') as blocked,
+          COUNT(*) FILTER (WHERE tr.status = 'Failed' AND tc.priority = 'Critical') as failed_critical,
+          COUNT(*) as total
+        FROM test_results tr
+        JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+        WHERE tr.execution_run_id = $1
+      `, [runId])
+    : await db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE tc.status = 'Passed') as passed,
+          COUNT(*) FILTER (WHERE tc.status = 'Failed') as failed,
+          COUNT(*) FILTER (WHERE tc.status = 'Blocked') as blocked,
+          COUNT(*) FILTER (WHERE tc.status = 'Failed' AND tc.priority = 'Critical') as failed_critical,
+          COUNT(*) as total
+        FROM test_cases tc
+        WHERE tc.workspace_id = $1
+          AND ($2::uuid IS NULL OR EXISTS (
+            SELECT 1 FROM test_case_versions tcv
+            WHERE tcv.test_case_id = tc.tc_uuid AND tcv.version_id = $2
+          ))
+      `, [workspaceId, versionId]);
+
+  const coverage = await db.query(`
+    SELECT
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM requirement_test_mappings rtm WHERE rtm.requirement_id = r.req_uuid
+      )) as covered
+    FROM requirements r
+    WHERE r.workspace_id = $1
+      AND r.status NOT IN ('Deprecated', 'Archived')
+      AND ($2::uuid IS NULL OR EXISTS (
+        SELECT 1 FROM requirement_versions rv
+        WHERE rv.requirement_id = r.req_uuid AND rv.version_id = $2
+      ))
+  `, [workspaceId, versionId]);
+
+  const row = outcomes.rows[0];
+  const passed = parseInt(row.passed);
+  const failed = parseInt(row.failed);
+  const blocked = parseInt(row.blocked);
+  const requirements = parseInt(coverage.rows[0].total);
+  const covered = parseInt(coverage.rows[0].covered);
+
+  return {
+    source: runId ? 'execution_run' : 'test_cases',
+    total: parseInt(row.total),
+    passed,
+    failed,
+    blocked,
+    failedCritical: parseInt(row.failed_critical),
+    passRate: percent(passed, passed + failed + blocked),
+    requirements,
+    coveredRequirements: covered,
+    // Nothing to cover counts as fully covered
+    requirementCoverage: requirements > 0 ? percent(covered, requirements) : 100
+  };
+};
+
+/**
+ * Check a gate's criteria against metrics
+ * @returns {Object} { passed, checks: [{ criterion, threshold, actual, passed }] }
+ */
+const evaluateCriteria = (criteria, metrics) => {
+  const checks = [];
+
+  if (criteria.min_pass_rate !== undefined) {
+    checks.push({
+      criterion: 'min_pass_rate',
+      threshold: criteria.min_pass_rate,
+      actual: metrics.passRate,
+      // No executed tests means the pass rate cannot be met
+      passed: metrics.passRate !== null && metrics.passRate >= criteria.min_pass_rate
+    });
+  }
+  if (criteria.max_failed_critical !== undefined) {
+    checks.push({
+      criterion: 'max_failed_critical',
+      threshold: criteria.max_failed_critical,
+      actual: metrics.failedCritical,
+      passed: metrics.failedCritical <= criteria.max_failed_critical
+    });
+  }
+  if (criteria.min_requirement_coverage !== undefined) {
+    checks.push({
+      criterion: 'min_requirement_coverage',
+      threshold: criteria.min_requirement_coverage,
+      actual: metrics.requirementCoverage,
+      passed: metrics.requirementCoverage >= criteria.min_requirement_coverage
+    });
+  }
+  if (criteria.no_blocked === true) {
+    checks.push({
+      criterion: 'no_blocked',
+      threshold: 0,
+      actual: metrics.blocked,
+      passed: metrics.blocked === 0
+    });
+  }
+
+  return { passed: checks.every(check => check.passed), checks };
+};
+
+/**
+ * Evaluate the active gates that apply to a workspace, version or execution run,
+ * and record one quality_gate_evaluations row per gate.
+ * Gates without a version apply everywhere; versioned gates only to that version.
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} [params.versionId] - Version UUID (defaults to the run's version)
+ * @param {string} [params.runId] - test_execution_runs.id
+ * @param {Array<string>} [params.gateIds] - Only evaluate these gates
+ * @param {string} [params.evaluatedBy] - User UUID
+ * @returns {Promise<Object>} CI-friendly summary: { passed, ciStatus, exitCode, blockingFailures, evaluations }
+ */
+const evaluateGates = async ({ workspaceId, versionId = null, runId = null, gateIds = null, evaluatedBy = null }) => {
+  if (runId && !versionId) {
+    const run = await db.query('SELECT version_id FROM test_execution_runs WHERE id = $1', [runId]);
+    versionId = run.rows[0]?.version_id || null;
+  }
+
+  const gates = await db.query(`
+    SELECT * FROM quality_gates
+    WHERE workspace_id = $1
+      AND is_active = true
+      AND (version_id IS NULL OR version_id = $2)
+      AND ($3::uuid[] IS NULL OR id = ANY($3))
+    ORDER BY created_at ASC
+  `, [workspaceId, versionId, gateIds]);
+
+  if (gates.rows.length === 0) {
+    return { passed: true, ciStatus: 'no_gates', exitCode: 0, blockingFailures: [], evaluations: [] };
+  }
+
+  const metrics = await computeMetrics({ workspaceId, versionId, runId });
+
+  const evaluations = [];
+  for (const gate of gates.rows) {
+    const { passed, checks } = evaluateCriteria(gate.criteria, metrics);
+    const results = { metrics, checks, versionId };
+
+    const inserted = await db.query(`
+      INSERT INTO quality_gate_evaluations (quality_gate_id, execution_run_id, passed, results, evaluated_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, evaluated_at
+    `, [gate.id, runId, passed, JSON.stringify(results), evaluatedBy]);
+
+    evaluations.push({
+      evaluationId: inserted.rows[0].id,
+      evaluatedAt: inserted.rows[0].evaluated_at,
+      gateId: gate.id,
+      gateName: gate.name,
+      isBlocking: gate.is_blocking,
+      passed,
+      checks
+    });
+  }
+
+  const blockingFailures = evaluations
+    .filter(evaluation => evaluation.isBlocking && !evaluation.passed)
+    .map(evaluation => ({
+      gateId: evaluation.gateId,
+      gateName: evaluation.gateName,
+      failedChecks: evaluation.checks.filter(check => !check.passed)
+    }));
+
+  const allPassed = evaluations.every(evaluation => evaluation.passed);
+
+  return {
+    passed: blockingFailures.length === 0,
+    // 'warning' = only non-blocking gates failed; CI should fail the pipeline on exitCode 1
+    ciStatus: blockingFailures.length > 0 ? 'failed' : (allPassed ? 'passed' : 'warning'),
+    exitCode: blockingFailures.length > 0 ? 1 : 0,
+    blockingFailures,
+    metrics,
+    evaluations
+  };
+};
+
+module.exports = {
+  CRITERIA,
+  validateCriteria,
+  computeMetrics,
+  evaluateCriteria,
+  evaluateGates
+};
@@ -0,0 +1,260 @@
+const db = require('../../database/connection');
+
+// Requirements that no longer need test coverage, as in quality gate coverage
+const UNCOVERED_STATUSES = ['Deprecated', 'Archived'];
+
+// Test case outcomes that count towards the pass rate
+const COUNTED_OUTCOMES = ['Passed', 'Failed', 'Blocked'];
+
+const NODE_COLUMNS = 'r.req_uuid, r.id, r.name, r.status, r.priority, r.type, r.parent_requirement_id';
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const hierarchyError = (status, message) => Object.assign(new Error(message), { status });
+
+const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+/**
+ * Serialize parent changes within a workspace, so that two concurrent moves cannot
+ * create a cycle together. Held until the transaction ends.
+ */
+const lockHierarchy = async (client, workspaceId) => {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('requirement_hierarchy:' || $1))", [workspaceId]);
+};
+
+/**
+ * Resolve a parent business ID to the requirement's UUID
+ * @param {string|null} parentId - Business ID (e.g. 'REQ-001'), or null/'' for no parent
+ * @returns {Promise<string|null>} req_uuid, or null for no parent
+ * @throws 400 when the parent does not exist in the workspace
+ */
+const resolveParent = async (executor, workspaceId, parentId) => {
+  if (parentId === null || parentId === '') {
+    return null;
+  }
+  const result = await executor.query(
+    'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+    [String(parentId), workspaceId]
+  );
+  if (result.rows.length === 0) {
+    throw hierarchyError(400, `Parent requirement ${parentId} not found in this workspace`);
+  }
+  return result.rows[0].req_uuid;
+};
+
+/**
+ * A requirement followed by its ancestors, nearest first
+ */
+const selectAncestors = async (executor, reqUuid) => {
+  // UNION (not UNION ALL) also stops on a cycle left by bad data
+  const result = await executor.query(`
+    WITH RECURSIVE chain AS (
+      SELECT ${NODE_COLUMNS} FROM requirements r WHERE r.req_uuid = $1
+      UNION
+      SELECT ${NODE_COLUMNS} FROM requirements r JOIN chain c ON r.req_uuid = c.parent_requirement_id
+    )
+    SELECT * FROM chain
+  `, [reqUuid]);
+
+  const byUuid = new Map(result.rows.map(row => [row.req_uuid, row]));
+  const ordered = [];
+  const seen = new Set();
+  for (let node = byUuid.get(reqUuid); node && !seen.has(node.req_uuid); node = byUuid.get(node.parent_requirement_id)) {
+    seen.add(node.req_uuid);
+    ordered.push(node);
+  }
+  return ordered;
+};
+
+/**
+ * Check that making parentUuid the parent of reqUuid keeps the hierarchy a tree
+ * @throws 400 when the requirement would become its own ancestor
+ */
+const assertNoCycle = async (executor, reqUuid, parentUuid) => {
+  if (!parentUuid) {
+    return;
+  }
+  if (parentUuid === reqUuid) {
+    throw hierarchyError(400, 'A requirement cannot be its own parent');
+  }
+  const ancestors = await selectAncestors(executor, parentUuid);
+  if (ancestors.some(ancestor => ancestor.req_uuid === reqUuid)) {
+    throw hierarchyError(400, 'This parent is a descendant of the requirement and would create a cycle');
+  }
+};
+
+/**
+ * Set or clear the parent of a requirement, rejecting cycles
+ * @param {Object} client - Transaction client
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} reqUuid - Requirement being moved
+ * @param {string|null} parentId - Business ID of the new parent, or null to make it a root
+ * @returns {Promise<string|null>} UUID of the new parent
+ */
+const setParent = async (client, workspaceId, reqUuid, parentId) => {
+  await lockHierarchy(client, workspaceId);
+  const parentUuid = await resolveParent(client, workspaceId, parentId);
+  await assertNoCycle(client, reqUuid, parentUuid);
+  await client.query(
+    'UPDATE requirements SET parent_requirement_id = $1 WHERE req_uuid = $2',
+    [parentUuid, reqUuid]
+  );
+  return parentUuid;
+};
+
+/**
+ * Attach the deleted requirement's children to its own parent
+ */
+const promoteChildren = async (executor, reqUuid) => {
+  await executor.query(`
+    UPDATE requirements child
+    SET parent_requirement_id = deleted.parent_requirement_id
+    FROM requirements deleted
+    WHERE deleted.req_uuid = $1 AND child.parent_requirement_id = deleted.req_uuid
+  `, [reqUuid]);
+};
+
+/**
+ * Nest requirement rows and roll their metrics up from children to parents.
+ * Every node gets:
+ *  - test_case_count / covered: its own mapped test cases
+ *  - metrics: over the node and all its descendants
+ *    - requirements, covered_requirements, coverage: active requirements with a mapped test case, in percent
+ *    - test_cases, passed, failed, blocked, pass_rate: distinct mapped test cases and
+ *      Passed / (Passed + Failed + Blocked), in percent
+ */
+const buildTree = (rows, mappings, rootUuids) => {
+  const testCasesByRequirement = new Map();
+  for (const mapping of mappings) {
+    if (!testCasesByRequirement.has(mapping.requirement_id)) {
+      testCasesByRequirement.set(mapping.requirement_id, new Map());
+    }
+    testCasesByRequirement.get(mapping.requirement_id).set(mapping.test_case_id, mapping.status);
+  }
+
+  const nodes = new Map(rows.map(row => [row.req_uuid, { ...row, children: [] }]));
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_requirement_id);
+    if (parent && !rootUuids.includes(node.req_uuid)) {
+      parent.children.push(node);
+    }
+  }
+
+  // Returns the subtree's requirement counts and test case statuses, for the parent to merge
+  const rollUp = (node) => {
+    const ownTestCases = testCasesByRequirement.get(node.req_uuid) || new Map();
+    const active = !UNCOVERED_STATUSES.includes(node.status);
+    const testCases = new Map(ownTestCases);
+    let requirements = active ? 1 : 0;
+    let covered = active && ownTestCases.size > 0 ? 1 : 0;
+
+    node.children.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    for (const child of node.children) {
+      const subtree = rollUp(child);
+      requirements += subtree.requirements;
+      covered += subtree.covered;
+      for (const [testCaseId, status] of subtree.testCases) {
+        testCases.set(testCaseId, status);
+      }
+    }
+
+    const statuses = [...testCases.values()];
+    const count = (status) => statuses.filter(value => value === status).length;
+    const passed = count('Passed');
+    const failed = count('Failed');
+    const blocked = count('Blocked');
+
+    node.test_case_count = ownTestCases.size;
+    node.covered = ownTestCases.size > 0;
+    node.metrics = {
+      requirements,
+      covered_requirements: covered,
+      coverage: requirements > 0 ? percent(covered, requirements) : null,
+      test_cases: testCases.size,
+      passed,
+      failed,
+      blocked,
+      pass_rate: percent(passed, statuses.filter(status => COUNTED_OUTCOMES.includes(status)).length)
+    };
+
+    return { requirements, covered, testCases };
+  };
+
+  const roots = rootUuids.map(uuid => nodes.get(uuid)).filter(Boolean);
+  roots.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+  roots.forEach(rollUp);
+  return roots;
+};
+
+const getMappings = async (reqUuids) => {
+  const result = await db.query(`
+    SELECT rtm.requirement_id, rtm.test_case_id, tc.status
+    FROM requirement_test_mappings rtm
+    JOIN test_cases tc ON tc.tc_uuid = rtm.test_case_id
+    WHERE rtm.requirement_id = ANY($1::uuid[])
+  `, [reqUuids]);
+  return result.rows;
+};
+
+/**
+ * All requirements of a workspace as a forest, roots first by business ID
+ */
+const getWorkspaceTree = async (workspaceId) => {
+  const result = await db.query(
+    `SELECT ${NODE_COLUMNS} FROM requirements r WHERE r.workspace_id = $1`,
+    [workspaceId]
+  );
+  const uuids = new Set(result.rows.map(row => row.req_uuid));
+  const rootUuids = result.rows
+    .filter(row => !row.parent_requirement_id || !uuids.has(row.parent_requirement_id))
+    .map(row => row.req_uuid);
+
+  return buildTree(result.rows, await getMappings([...uuids]), rootUuids);
+};
+
+/**
+ * A requirement with all its descendants
+ * @returns {Promise<Object|null>} Root node, or null when the requirement does not exist
+ */
+const getSubtree = async (workspaceId, id) => {
+  const result = await db.query(`
+    WITH RECURSIVE subtree AS (
+      SELECT ${NODE_COLUMNS} FROM requirements r WHERE r.id = $1 AND r.workspace_id = $2
+      UNION
+      SELECT ${NODE_COLUMNS} FROM requirements r JOIN subtree s ON r.parent_requirement_id = s.req_uuid
+    )
+    SELECT * FROM subtree
+  `, [id, workspaceId]);
+
+  const root = result.rows.find(row => row.id === id);
+  if (!root) {
+    return null;
+  }
+  const [tree] = buildTree(result.rows, await getMappings(result.rows.map(row => row.req_uuid)), [root.req_uuid]);
+  return tree;
+};
+
+/**
+ * Breadcrumb of a requirement: its ancestors from the root down to its parent
+ * @returns {Promise<Array|null>} Ancestors, or null when the requirement does not exist
+ */
+const getAncestors = async (workspaceId, id) => {
+  const requirement = await db.query(
+    'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+    [id, workspaceId]
+  );
+  if (requirement.rows.length === 0) {
+    return null;
+  }
+  const chain = await selectAncestors(db, requirement.rows[0].req_uuid);
+  return chain.slice(1).reverse();
+};
+
+module.exports = {
+  setParent,
+  promoteChildren,
+  getWorkspaceTree,
+  getSubtree,
+  getAncestors
+};
@@ -0,0 +1,238 @@
+const db = require('../../database/connection');
+const riskScoringService = require('./riskScoringService');
+
+/**
+ * Fields compared between revisions. Metadata (timestamps, authors, version_number)
+ * changes on every revision and is left out.
+ */
+const DIFF_FIELDS = [
+  'name', 'description', 'type', 'priority', 'status',
+  'business_impact', 'technical_complexity', 'regulatory_factor', 'usage_frequency',
+  'test_depth_factor', 'min_test_cases',
+  'owner', 'category', 'tags', 'custom_fields',
+  'parent_requirement_id', 'external_id', 'external_url', 'versions'
+];
+
+/**
+ * Fields written back when restoring a revision. test_depth_factor and min_test_cases
+ * are recomputed from the restored risk factors; the parent stays where it is now, as
+ * moving the requirement back could conflict with later changes to the hierarchy, and
+ * so does the status, which only changes through the review workflow.
+ */
+const RESTORED_COLUMNS = [
+  'name', 'description', 'type', 'priority',
+  'business_impact', 'technical_complexity', 'regulatory_factor', 'usage_frequency',
+  'owner', 'category', 'external_id', 'external_url'
+];
+const RESTORED_JSON_COLUMNS = ['tags', 'custom_fields'];
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const revisionError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Requirement row with its version business IDs, as recorded in revisions and the audit log
+ */
+const getRequirementSnapshot = async (executor, id, workspaceId) => {
+  const result = await executor.query(`
+    SELECT
+      r.*,
+      COALESCE(
+        json_agg(DISTINCT v.id) FILTER (WHERE v.id IS NOT NULL),
+        '[]'
+      ) as versions
+    FROM requirements r
+    LEFT JOIN requirement_versions rv ON r.req_uuid = rv.requirement_id
+    LEFT JOIN versions v ON rv.version_id = v.ver_uuid
+    WHERE r.id = $1 AND r.workspace_id = $2
+    GROUP BY r.req_uuid
+  `, [id, workspaceId]);
+  return result.rows[0] || null;
+};
+
+// Snapshots go through JSON (JSONB column), so compare them that way too
+const normalize = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+const diffSnapshots = (from, to) => DIFF_FIELDS
+  .filter(field => normalize(from?.[field]) !== normalize(to?.[field]))
+  .map(field => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+
+/**
+ * Record the current state of a requirement as its next revision and bump its version_number.
+ * A requirement without any revision yet (created before revisions were kept, or imported)
+ * first gets its previous state recorded as revision 1.
+ * @param {Object} client - Transaction client
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.id - Requirement business ID
+ * @param {string} params.userId - Author of the change
+ * @param {Object} [params.before] - Snapshot before the change, for the baseline revision
+ * @param {number} [params.restoredFrom] - Revision number being restored
+ * @returns {Promise<Object|null>} The new revision (without snapshot), or null when nothing changed
+ */
+const recordRevision = async (client, { workspaceId, id, userId, before = null, restoredFrom = null }) => {
+  // The caller has already updated the requirement row, which serializes concurrent changes
+  const current = await getRequirementSnapshot(client, id, workspaceId);
+
+  const latest = await client.query(`
+    SELECT revision_number, snapshot FROM requirement_revisions
+    WHERE requirement_id = $1
+    ORDER BY revision_number DESC
+    LIMIT 1
+  `, [current.req_uuid]);
+
+  let previous = latest.rows[0] || null;
+  if (!previous && before) {
+    await client.query(`
+      INSERT INTO requirement_revisions (requirement_id, workspace_id, revision_number, snapshot, created_by, created_at)
+      VALUES ($1, $2, 1, $3, $4, COALESCE($5, NOW()))
+    `, [current.req_uuid, workspaceId, JSON.stringify(before), before.updated_by || before.created_by, before.updated_at || before.created_at]);
+    previous = { revision_number: 1, snapshot: before };
+  }
+
+  const changedFields = previous
+    ? diffSnapshots(JSON.parse(JSON.stringify(previous.snapshot)), JSON.parse(JSON.stringify(current))).map(change => change.field)
+    : null;
+  if (changedFields && changedFields.length === 0) {
+    return null;
+  }
+
+  const revisionNumber = previous ? previous.revision_number + 1 : 1;
+  await client.query(
+    'UPDATE requirements SET version_number = $1 WHERE req_uuid = $2',
+    [String(revisionNumber), current.req_uuid]
+  );
+  current.version_number = String(revisionNumber);
+
+  const result = await client.query(`
+    INSERT INTO requirement_revisions (
+      requirement_id, workspace_id, revision_number, snapshot, changed_fields, restored_from, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, revision_number, changed_fields, restored_from, created_by, created_at
+  `, [
+    current.req_uuid, workspaceId, revisionNumber, JSON.stringify(current),
+    changedFields && JSON.stringify(changedFields), restoredFrom, userId
+  ]);
+  return result.rows[0];
+};
+
+const getRequirementUuid = async (executor, workspaceId, id) => {
+  const result = await executor.query(
+    'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+    [id, workspaceId]
+  );
+  return result.rows[0]?.req_uuid || null;
+};
+
+/**
+ * Revisions of a requirement, newest first, without their snapshots
+ * @returns {Promise<Array|null>} null when the requirement does not exist
+ */
+const listRevisions = async (workspaceId, id) => {
+  const reqUuid = await getRequirementUuid(db, workspaceId, id);
+  if (!reqUuid) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT rr.id, rr.revision_number, rr.changed_fields, rr.restored_from, rr.created_at,
+           rr.created_by, u.full_name AS created_by_name, u.email AS created_by_email
+    FROM requirement_revisions rr
+    LEFT JOIN users u ON u.id = rr.created_by
+    WHERE rr.requirement_id = $1
+    ORDER BY rr.revision_number DESC
+  `, [reqUuid]);
+  return result.rows;
+};
+
+/**
+ * One revision with its snapshot
+ * @throws 404 when the requirement or the revision does not exist
+ */
+const getRevision = async (executor, workspaceId, id, revisionNumber) => {
+  const reqUuid = await getRequirementUuid(executor, workspaceId, id);
+  if (!reqUuid) {
+    throw revisionError(404, 'Requirement not found');
+  }
+  const result = await executor.query(`
+    SELECT rr.id, rr.revision_number, rr.snapshot, rr.changed_fields, rr.restored_from, rr.created_at,
+           rr.created_by, u.full_name AS created_by_name, u.email AS created_by_email
+    FROM requirement_revisions rr
+    LEFT JOIN users u ON u.id = rr.created_by
+    WHERE rr.requirement_id = $1 AND rr.revision_number = $2
+  `, [reqUuid, revisionNumber]);
+  if (result.rows.length === 0) {
+    throw revisionError(404, `Revision ${revisionNumber} not found`);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Field-level differences between two revisions of a requirement
+ * @returns {Promise<Object>} { from, to, changes: [{ field, from, to }] }
+ */
+const diffRevisions = async (workspaceId, id, fromNumber, toNumber) => {
+  const from = await getRevision(db, workspaceId, id, fromNumber);
+  const to = await getRevision(db, workspaceId, id, toNumber);
+  const summary = (revision) => ({
+    revision_number: revision.revision_number,
+    created_at: revision.created_at,
+    created_by: revision.created_by,
+    created_by_name: revision.created_by_name
+  });
+  return {
+    from: summary(from),
+    to: summary(to),
+    changes: diffSnapshots(from.snapshot, to.snapshot)
+  };
+};
+
+/**
+ * Bring a requirement back to the content of an earlier revision. History is kept:
+ * the restored content becomes a new revision.
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object|null>} The new revision, or null when the requirement already matched it
+ */
+const restoreRevision = async (client, { workspaceId, id, revisionNumber, userId }) => {
+  const revision = await getRevision(client, workspaceId, id, revisionNumber);
+  const { snapshot } = revision;
+  const reqUuid = await getRequirementUuid(client, workspaceId, id);
+
+  const columns = [...RESTORED_COLUMNS, ...RESTORED_JSON_COLUMNS];
+  const values = [
+    ...RESTORED_COLUMNS.map(column => snapshot[column] ?? null),
+    ...RESTORED_JSON_COLUMNS.map(column => JSON.stringify(snapshot[column] ?? (column === 'tags' ? [] : {})))
+  ];
+  await client.query(`
+    UPDATE requirements
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+        updated_at = NOW(), updated_by = $${columns.length + 1}
+    WHERE req_uuid = $${columns.length + 2}
+  `, [...values, userId, reqUuid]);
+
+  // Versions deleted since the revision are left out
+  await client.query('DELETE FROM requirement_versions WHERE requirement_id = $1', [reqUuid]);
+  await client.query(`
+    INSERT INTO requirement_versions (requirement_id, version_id)
+    SELECT $1, ver_uuid FROM versions WHERE workspace_id = $2 AND id = ANY($3::varchar[])
+    ON CONFLICT (requirement_id, version_id) DO NOTHING
+  `, [reqUuid, workspaceId, snapshot.versions || []]);
+
+  await riskScoringService.applyTestDepth(client, workspaceId, reqUuid);
+
+  return recordRevision(client, { workspaceId, id, userId, restoredFrom: revision.revision_number });
+};
+
+module.exports = {
+  getRequirementSnapshot,
+  diffSnapshots,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -0,0 +1,310 @@
+const db = require('../../database/connection');
+const requirementRevisionsService = require('./requirementRevisionsService');
+const notificationsService = require('./notificationsService');
+
+const STATUSES = ['Draft', 'Active', 'In Review', 'Approved', 'Deprecated', 'Archived'];
+const ROLES = ['owner', 'admin', 'editor', 'test_executor', 'viewer'];
+
+/**
+ * Status changes editors may make directly. Approved is only ever reached through a
+ * reviewer's approval and only left when a reviewer reopens the requirement, so no
+ * direct change leads to or from it.
+ *
+ * Workspaces override these in settings.requirement_workflow:
+ *   {
+ *     transitions: { "Draft": ["In Review"], ... },  // replaces the whole map
+ *     reviewer_roles: ["owner", "admin"],           // roles allowed to review
+ *     reviewers: ["<user uuid>", ...]               // designated reviewers, whatever their role
+ *   }
+ */
+const DEFAULT_WORKFLOW = {
+  transitions: {
+    'Draft': ['Active', 'In Review', 'Archived'],
+    'Active': ['Draft', 'In Review', 'Deprecated', 'Archived'],
+    'In Review': ['Draft'],
+    'Approved': [],
+    'Deprecated': ['Active', 'Archived'],
+    'Archived': ['Draft', 'Active']
+  },
+  reviewer_roles: ['owner', 'admin'],
+  reviewers: []
+};
+
+// Reviewer actions: the status they apply to and the status they lead to
+const REVIEW_ACTIONS = {
+  approve: { from: 'In Review', to: 'Approved', commentRequired: false },
+  reject: { from: 'In Review', to: 'Draft', commentRequired: true },
+  reopen: { from: 'Approved', to: 'Draft', commentRequired: true }
+};
+
+/**
+ * Content an approval covers; it cannot change while the requirement is Approved.
+ * Versions and the parent stay editable; the status only changes through a reopen.
+ */
+const LOCKED_FIELDS = [
+  'name', 'description', 'type', 'priority',
+  'business_impact', 'technical_complexity', 'regulatory_factor', 'usage_frequency',
+  'owner', 'category', 'tags', 'custom_fields', 'external_id', 'external_url'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const workflowError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Validate the "requirement_workflow" section of workspace settings
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWorkflowSettings = (workflow) => {
+  if (workflow === undefined || workflow === null) {
+    return null;
+  }
+  if (typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return 'settings.requirement_workflow must be an object';
+  }
+
+  const { transitions, reviewer_roles, reviewers } = workflow;
+
+  if (transitions !== undefined) {
+    if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+      return 'settings.requirement_workflow.transitions must map a status to the statuses it may change to';
+    }
+    for (const [from, targets] of Object.entries(transitions)) {
+      if (!STATUSES.includes(from)) {
+        return `Unknown status: ${from}. Must be one of: ${STATUSES.join(', ')}`;
+      }
+      if (!Array.isArray(targets) || targets.some(target => !STATUSES.includes(target))) {
+        return `settings.requirement_workflow.transitions.${from} must be an array of: ${STATUSES.join(', ')}`;
+      }
+      if (targets.includes('Approved')) {
+        return 'Requirements only become Approved through a review; remove Approved from the transitions';
+      }
+      if (from === 'Approved' && targets.length > 0) {
+        return 'Approved requirements only change status when a reviewer reopens them; remove the transitions from Approved';
+      }
+    }
+  }
+
+  if (reviewer_roles !== undefined
+    && (!Array.isArray(reviewer_roles) || reviewer_roles.some(role => !ROLES.includes(role)))) {
+    return `settings.requirement_workflow.reviewer_roles must be an array of: ${ROLES.join(', ')}`;
+  }
+
+  if (reviewers !== undefined
+    && (!Array.isArray(reviewers) || reviewers.some(userId => typeof userId !== 'string' || !UUID_PATTERN.test(userId)))) {
+    return 'settings.requirement_workflow.reviewers must be an array of user IDs';
+  }
+
+  return null;
+};
+
+/**
+ * Effective workflow of a workspace: its settings over the defaults. Approved never has
+ * direct exits, whatever settings were stored before that rule was validated.
+ */
+const getWorkflow = (settings) => {
+  const workflow = { ...DEFAULT_WORKFLOW, ...(settings?.requirement_workflow || {}) };
+  return { ...workflow, transitions: { ...workflow.transitions, 'Approved': [] } };
+};
+
+const getWorkspaceWorkflow = async (executor, workspaceId) => {
+  const result = await executor.query('SELECT settings FROM workspaces WHERE id = $1', [workspaceId]);
+  return getWorkflow(result.rows[0]?.settings);
+};
+
+/**
+ * Check a status for a new requirement
+ * @throws 400 for Approved, which needs a review, and for In Review, which is only reached
+ *         by submitting an existing requirement so that the submission is recorded
+ */
+const assertInitialStatus = (status) => {
+  if (status === 'Approved') {
+    throw workflowError(400, 'Requirements become Approved through a review; create it as Draft and submit it for review');
+  }
+  if (status === 'In Review') {
+    throw workflowError(400, 'Requirements are submitted for review once created; create it as Draft and then change its status to In Review');
+  }
+};
+
+/**
+ * Status an imported requirement starts in: approvals and pending reviews do not carry
+ * over from the file, such requirements come in as Draft to go through review again
+ */
+const getImportedStatus = (status) => (
+  ['Approved', 'In Review'].includes(status) ? 'Draft' : status
+);
+
+/**
+ * Check that an editor may change a requirement's status directly
+ * @throws 400 when the workflow does not allow the change, 409 when the requirement is Approved
+ */
+const assertStatusChange = (workflow, from, to) => {
+  if (from === to) {
+    return;
+  }
+  if (to === 'Approved') {
+    throw workflowError(400, 'Requirements become Approved through a review; submit it for review instead');
+  }
+  if (from === 'Approved') {
+    throw workflowError(409, 'Approved requirements are locked; a reviewer has to reopen it before its status can change');
+  }
+  const allowed = workflow.transitions[from] || [];
+  if (!allowed.includes(to)) {
+    throw workflowError(400, `Cannot change status from ${from} to ${to}. Allowed: ${allowed.join(', ') || 'none'}`);
+  }
+};
+
+/**
+ * Check that a change leaves the content of an approved requirement alone
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @throws 409 when locked fields changed
+ */
+const assertUnlocked = (before, after) => {
+  if (before.status !== 'Approved') {
+    return;
+  }
+  const changed = requirementRevisionsService.diffSnapshots(before, after)
+    .map(change => change.field)
+    .filter(field => LOCKED_FIELDS.includes(field));
+  if (changed.length > 0) {
+    throw workflowError(409, `Requirement ${before.id} is approved and locked (${changed.join(', ')}); reopen it to make changes`);
+  }
+};
+
+const canReview = (workflow, userId, role) => (
+  workflow.reviewer_roles.includes(role) || workflow.reviewers.includes(userId)
+);
+
+/**
+ * Record a workflow event
+ * @param {Object} client - Transaction client
+ */
+const recordReviewEvent = async (client, { requirement, action, fromStatus, toStatus, comment = null, userId }) => {
+  const result = await client.query(`
+    INSERT INTO requirement_reviews (
+      requirement_id, workspace_id, action, from_status, to_status, comment, revision_number, user_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    requirement.req_uuid, requirement.workspace_id, action, fromStatus, toStatus, comment,
+    parseInt(requirement.version_number) || null, userId
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Approve, reject or reopen a requirement
+ * @param {Object} client - Transaction client
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.id - Requirement business ID
+ * @param {Object} params.user - Reviewer ({ id, name, email })
+ * @param {string} params.role - Reviewer's role in the workspace
+ * @param {string} params.action - 'approve', 'reject' or 'reopen'
+ * @param {string} [params.comment] - Required to reject or reopen
+ * @returns {Promise<Object>} { review, before, after }
+ * @throws 403 when the user is not a reviewer, 404 when the requirement does not exist,
+ *         400 when a comment is missing, 409 when the requirement is not in the right status
+ */
+const reviewRequirement = async (client, { workspaceId, id, user, role, action, comment }) => {
+  const { from, to, commentRequired } = REVIEW_ACTIONS[action];
+  const text = typeof comment === 'string' ? comment.trim() : '';
+
+  const workflow = await getWorkspaceWorkflow(client, workspaceId);
+  if (!canReview(workflow, user.id, role)) {
+    throw workflowError(403, 'Only designated reviewers can approve, reject or reopen requirements');
+  }
+  if (commentRequired && !text) {
+    throw workflowError(400, `A comment is required to ${action} a requirement`);
+  }
+
+  const locked = await client.query(
+    'SELECT status FROM requirements WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+    [id, workspaceId]
+  );
+  if (locked.rows.length === 0) {
+    throw workflowError(404, 'Requirement not found');
+  }
+  if (locked.rows[0].status !== from) {
+    throw workflowError(409, `Only requirements in status ${from} can be ${action === 'reopen' ? 'reopened' : `${action}d`}; this one is ${locked.rows[0].status}`);
+  }
+
+  const before = await requirementRevisionsService.getRequirementSnapshot(client, id, workspaceId);
+  await client.query(
+    'UPDATE requirements SET status = $1, updated_at = NOW(), updated_by = $2 WHERE req_uuid = $3',
+    [to, user.id, before.req_uuid]
+  );
+  await requirementRevisionsService.recordRevision(client, { workspaceId, id, userId: user.id, before });
+  const after = await requirementRevisionsService.getRequirementSnapshot(client, id, workspaceId);
+
+  const review = await recordReviewEvent(client, {
+    requirement: after,
+    action,
+    fromStatus: from,
+    toStatus: to,
+    comment: text || null,
+    userId: user.id
+  });
+
+  // Tell whoever submitted the requirement for review
+  if (action !== 'reopen') {
+    const submitted = await client.query(`
+      SELECT user_id FROM requirement_reviews
+      WHERE requirement_id = $1 AND action = 'submit'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [before.req_uuid]);
+
+    await notificationsService.createNotifications(client, {
+      workspaceId,
+      userIds: submitted.rows.map(row => row.user_id),
+      type: 'review',
+      entityType: 'requirement',
+      entityId: id,
+      actorId: user.id,
+      message: `${user.name || user.email} ${action === 'approve' ? 'approved' : 'rejected'} requirement ${id}${text ? `: ${text}` : ''}`
+    });
+  }
+
+  return { review, before, after };
+};
+
+/**
+ * Workflow events of a requirement, newest first
+ * @returns {Promise<Array|null>} null when the requirement does not exist
+ */
+const listReviews = async (workspaceId, id) => {
+  const requirement = await db.query(
+    'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+    [id, workspaceId]
+  );
+  if (requirement.rows.length === 0) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT rr.id, rr.action, rr.from_status, rr.to_status, rr.comment, rr.revision_number, rr.created_at,
+           rr.user_id, u.full_name AS user_name, u.email AS user_email
+    FROM requirement_reviews rr
+    LEFT JOIN users u ON u.id = rr.user_id
+    WHERE rr.requirement_id = $1
+    ORDER BY rr.created_at DESC
+  `, [requirement.rows[0].req_uuid]);
+  return result.rows;
+};
+
+module.exports = {
+  REVIEW_ACTIONS,
+  validateWorkflowSettings,
+  getWorkspaceWorkflow,
+  assertInitialStatus,
+  getImportedStatus,
+  assertStatusChange,
+  assertUnlocked,
+  recordReviewEvent,
+  reviewRequirement,
+  listReviews
+};
@@ -0,0 +1,224 @@
+const db = require('../../database/connection');
+
+/**
+ * Risk-based test depth of a requirement, computed from its four risk factors (1-5):
+ *  - test_depth_factor: weighted sum of the factors, rounded to one decimal
+ *    (the default weights add up to 1, so it stays between 1 and 5)
+ *  - min_test_cases: from the first threshold whose min_test_depth the factor reaches,
+ *    thresholds being ordered from the highest min_test_depth down
+ * Both stay null while a factor with a non-zero weight is missing.
+ *
+ * Workspaces override the defaults in settings.risk_scoring:
+ *   { weights: { business_impact: 0.4, ... }, thresholds: [{ min_test_depth: 4.1, min_test_cases: 8 }, ...] }
+ */
+const RISK_FACTORS = ['business_impact', 'technical_complexity', 'regulatory_factor', 'usage_frequency'];
+
+const DEFAULT_RISK_SCORING = {
+  weights: {
+    business_impact: 0.4,
+    technical_complexity: 0.3,
+    regulatory_factor: 0.2,
+    usage_frequency: 0.1
+  },
+  thresholds: [
+    { min_test_depth: 4.1, min_test_cases: 8 },
+    { min_test_depth: 3.1, min_test_cases: 5 },
+    { min_test_depth: 2.1, min_test_cases: 3 },
+    { min_test_depth: 0, min_test_cases: 1 }
+  ]
+};
+
+// Largest value requirements.test_depth_factor (DECIMAL(3,1)) can hold
+const MAX_TEST_DEPTH = 99.9;
+
+// Requirements that no longer need tests
+const RETIRED_STATUSES = ['Deprecated', 'Archived'];
+
+/**
+ * Validate the "risk_scoring" section of workspace settings
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRiskScoringSettings = (riskScoring) => {
+  if (riskScoring === undefined || riskScoring === null) {
+    return null;
+  }
+  if (typeof riskScoring !== 'object' || Array.isArray(riskScoring)) {
+    return 'settings.risk_scoring must be an object';
+  }
+
+  const { weights, thresholds } = riskScoring;
+
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return 'settings.risk_scoring.weights must be an object';
+    }
+    for (const [factor, weight] of Object.entries(weights)) {
+      if (!RISK_FACTORS.includes(factor)) {
+        return `Unknown risk factor: ${factor}. Must be one of: ${RISK_FACTORS.join(', ')}`;
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        return `settings.risk_scoring.weights.${factor} must be a number of 0 or more`;
+      }
+    }
+    const merged = { ...DEFAULT_RISK_SCORING.weights, ...weights };
+    if (RISK_FACTORS.every(factor => merged[factor] === 0)) {
+      return 'settings.risk_scoring.weights must give at least one factor a non-zero weight';
+    }
+    if (RISK_FACTORS.reduce((sum, factor) => sum + merged[factor] * 5, 0) > MAX_TEST_DEPTH) {
+      return `settings.risk_scoring.weights are too large: the test depth factor cannot exceed ${MAX_TEST_DEPTH}`;
+    }
+  }
+
+  if (thresholds !== undefined) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0) {
+      return 'settings.risk_scoring.thresholds must be a non-empty array';
+    }
+    for (const threshold of thresholds) {
+      if (!threshold || typeof threshold.min_test_depth !== 'number' || threshold.min_test_depth < 0) {
+        return 'Each threshold needs a min_test_depth number of 0 or more';
+      }
+      if (!Number.isInteger(threshold.min_test_cases) || threshold.min_test_cases < 0) {
+        return 'Each threshold needs a min_test_cases integer of 0 or more';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Effective scoring configuration of a workspace: its settings over the defaults
+ */
+const getRiskScoring = (settings) => {
+  const riskScoring = settings?.risk_scoring || {};
+  const weights = { ...DEFAULT_RISK_SCORING.weights, ...(riskScoring.weights || {}) };
+  // Rebuilt with a fixed key order, so that two configurations compare as JSON
+  return {
+    weights: Object.fromEntries(RISK_FACTORS.map(factor => [factor, weights[factor]])),
+    thresholds: (riskScoring.thresholds || DEFAULT_RISK_SCORING.thresholds)
+      .map(({ min_test_depth, min_test_cases }) => ({ min_test_depth, min_test_cases }))
+      .sort((a, b) => b.min_test_depth - a.min_test_depth)
+  };
+};
+
+/**
+ * Validate the risk factors of a requirement
+ * @param {Object} factors - Values by factor name; each may be missing or null
+ * @returns {string|null} Error message, or null when every present factor is an integer from 1 to 5
+ */
+const validateRiskFactors = (factors) => {
+  for (const factor of RISK_FACTORS) {
+    const value = factors[factor];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+      return `${factor} must be an integer from 1 to 5 or empty, got ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Compute the test depth of a requirement
+ * @param {Object} factors - Row with business_impact, technical_complexity, regulatory_factor, usage_frequency
+ * @param {Object} riskScoring - From getRiskScoring
+ * @returns {Object} { test_depth_factor, min_test_cases }, both null when a weighted factor is missing
+ */
+const computeTestDepth = (factors, riskScoring) => {
+  const weighted = RISK_FACTORS.filter(factor => riskScoring.weights[factor] > 0);
+  if (weighted.some(factor => factors[factor] === null || factors[factor] === undefined)) {
+    return { test_depth_factor: null, min_test_cases: null };
+  }
+
+  const depth = weighted.reduce((sum, factor) => sum + Number(factors[factor]) * riskScoring.weights[factor], 0);
+  const testDepthFactor = Math.min(Math.round(depth * 10) / 10, MAX_TEST_DEPTH);
+  const threshold = riskScoring.thresholds.find(candidate => testDepthFactor >= candidate.min_test_depth);
+
+  return {
+    test_depth_factor: testDepthFactor,
+    min_test_cases: threshold ? threshold.min_test_cases : 0
+  };
+};
+
+const getWorkspaceRiskScoring = async (executor, workspaceId) => {
+  const result = await executor.query('SELECT settings FROM workspaces WHERE id = $1', [workspaceId]);
+  return getRiskScoring(result.rows[0]?.settings);
+};
+
+/**
+ * Recompute and store the test depth of one requirement
+ * @param {Object} executor - db or transaction client
+ * @returns {Promise<Object>} { test_depth_factor, min_test_cases }
+ */
+const applyTestDepth = async (executor, workspaceId, reqUuid) => {
+  const riskScoring = await getWorkspaceRiskScoring(executor, workspaceId);
+  const requirement = await executor.query(
+    `SELECT ${RISK_FACTORS.join(', ')} FROM requirements WHERE req_uuid = $1`,
+    [reqUuid]
+  );
+  const depth = computeTestDepth(requirement.rows[0], riskScoring);
+
+  await executor.query(
+    'UPDATE requirements SET test_depth_factor = $1, min_test_cases = $2 WHERE req_uuid = $3',
+    [depth.test_depth_factor, depth.min_test_cases, reqUuid]
+  );
+  return depth;
+};
+
+/**
+ * Recompute the test depth of every requirement of a workspace, after its scoring settings changed
+ * @returns {Promise<number>} Number of requirements whose values changed
+ */
+const recomputeWorkspace = async (executor, workspaceId) => {
+  const riskScoring = await getWorkspaceRiskScoring(executor, workspaceId);
+  const requirements = await executor.query(
+    `SELECT req_uuid, test_depth_factor, min_test_cases, ${RISK_FACTORS.join(', ')} FROM requirements WHERE workspace_id = $1`,
+    [workspaceId]
+  );
+
+  let changed = 0;
+  for (const requirement of requirements.rows) {
+    const depth = computeTestDepth(requirement, riskScoring);
+    const current = requirement.test_depth_factor === null ? null : Number(requirement.test_depth_factor);
+    if (current === depth.test_depth_factor && requirement.min_test_cases === depth.min_test_cases) {
+      continue;
+    }
+    await executor.query(
+      'UPDATE requirements SET test_depth_factor = $1, min_test_cases = $2 WHERE req_uuid = $3',
+      [depth.test_depth_factor, depth.min_test_cases, requirement.req_uuid]
+    );
+    changed++;
+  }
+  return changed;
+};
+
+/**
+ * Active requirements with fewer mapped test cases than their min_test_cases,
+ * largest shortfall first
+ */
+const listUnderTested = async (workspaceId) => {
+  const result = await db.query(`
+    SELECT r.req_uuid, r.id, r.name, r.status, r.priority, r.test_depth_factor, r.min_test_cases,
+           COUNT(rtm.test_case_id)::int AS test_case_count,
+           (r.min_test_cases - COUNT(rtm.test_case_id))::int AS missing_test_cases
+    FROM requirements r
+    LEFT JOIN requirement_test_mappings rtm ON rtm.requirement_id = r.req_uuid
+    WHERE r.workspace_id = $1
+      AND r.min_test_cases IS NOT NULL
+      AND r.status <> ALL($2::requirement_status[])
+    GROUP BY r.req_uuid
+    HAVING COUNT(rtm.test_case_id) < r.min_test_cases
+    ORDER BY missing_test_cases DESC, r.test_depth_factor DESC, r.id
+  `, [workspaceId, RETIRED_STATUSES]);
+  return result.rows;
+};
+
+module.exports = {
+  RISK_FACTORS,
+  DEFAULT_RISK_SCORING,
+  validateRiskScoringSettings,
+  validateRiskFactors,
+  getRiskScoring,
+  computeTestDepth,
+  applyTestDepth,
+  recomputeWorkspace,
+  listUnderTested
+};
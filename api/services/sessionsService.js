@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../../database/connection');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Access tokens are short-lived; clients renew them with the refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const SESSION_COLUMNS = 'id, ip_address, user_agent, created_at, last_used_at, expires_at';
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const sessionError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a session
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    email: user.email,
+    name: user.full_name ?? user.name,
+    sid: sessionId
+  },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+const tokenResponse = (user, session, refreshToken) => {
+  const accessToken = signAccessToken(user, session.id);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session.id
+  };
+};
+
+/**
+ * Open a session for a user that just authenticated
+ * @param {Object} executor - db or transaction client
+ * @param {Object} user - { id, email, full_name }
+ * @param {Object} [req] - Express request, for IP and user agent
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+ */
+const createSession = async (executor, user, req) => {
+  const refreshToken = newRefreshToken();
+  const result = await executor.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [user.id, hashToken(refreshToken), req?.ip || null, req?.get ? req.get('User-Agent') || null : null, refreshExpiry()]);
+
+  return tokenResponse(user, result.rows[0], refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting an already rotated refresh token revokes the whole session, since
+ * it means the token was copied.
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+ * @throws 401 when the token is unknown, revoked, expired or reused
+ */
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const tokens = await db.transaction(async (client) => {
+    const result = await client.query(`
+      SELECT s.*, u.email, u.full_name, u.is_active
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.refresh_token_hash = $1
+      FOR UPDATE OF s
+    `, [tokenHash]);
+
+    const session = result.rows[0];
+
+    if (!session) {
+      const reused = await client.query(`
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+        WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+        RETURNING id
+      `, [tokenHash]);
+      if (reused.rows.length > 0) {
+        console.warn('⚠️ Refresh token reuse detected, session revoked:', reused.rows[0].id);
+      }
+      return null;
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date() || !session.is_active) {
+      return null;
+    }
+
+    const nextToken = newRefreshToken();
+    await client.query(`
+      UPDATE user_sessions
+      SET refresh_token_hash = $1,
+          previous_refresh_token_hash = $2,
+          last_used_at = NOW(),
+          ip_address = COALESCE($3, ip_address),
+          user_agent = COALESCE($4, user_agent)
+      WHERE id = $5
+    `, [hashToken(nextToken), tokenHash, req?.ip || null, req?.get ? req.get('User-Agent') || null : null, session.id]);
+
+    return tokenResponse({ id: session.user_id, email: session.email, full_name: session.full_name }, session, nextToken);
+  });
+
+  // Raised after the transaction so a detected reuse stays revoked
+  if (!tokens) {
+    throw sessionError(401, 'Invalid or expired refresh token');
+  }
+  return tokens;
+};
+
+/**
+ * Active sessions of a user (most recently used first)
+ */
+const listSessions = async (userId) => {
+  const result = await db.query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+};
+
+/**
+ * Revoke one session of a user
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $3
+    WHERE id::text = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, userId, reason]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke all sessions of a user, optionally keeping one (the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (executor, userId, { exceptSessionId = null, reason = 'revoked' } = {}) => {
+  const result = await executor.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $3
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND ($2::uuid IS NULL OR id != $2)
+  `, [userId, exceptSessionId, reason]);
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions
+};
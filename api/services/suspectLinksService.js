@@ -0,0 +1,118 @@
+const db = require('../../database/connection');
+
+/**
+ * Requirement fields whose change may invalidate the test cases mapped to it.
+ * Acceptance criteria live in custom_fields.
+ */
+const SUSPECT_FIELDS = ['name', 'description'];
+const SUSPECT_CUSTOM_FIELDS = ['acceptance_criteria'];
+
+// How a reviewer cleared a suspect link
+const REVIEW_RESOLUTIONS = ['confirmed', 'test_updated'];
+
+const normalizeText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Substantive differences between two snapshots of a requirement
+ * @returns {Array<string>} Changed fields, e.g. ['description', 'custom_fields.acceptance_criteria']
+ */
+const getSubstantiveChanges = (before, after) => [
+  ...SUSPECT_FIELDS.filter(field => normalizeText(before?.[field]) !== normalizeText(after?.[field])),
+  ...SUSPECT_CUSTOM_FIELDS
+    .filter(field => normalizeText(before?.custom_fields?.[field]) !== normalizeText(after?.custom_fields?.[field]))
+    .map(field => `custom_fields.${field}`)
+];
+
+/**
+ * Mark the test case links of a requirement as suspect after a substantive change.
+ * Links that already are suspect keep their original date and baseline revision and
+ * accumulate the changed fields.
+ * @param {Object} client - Transaction client
+ * @param {Object} params
+ * @param {Object} params.before - Requirement snapshot before the change
+ * @param {Object} params.after - Requirement snapshot after the change
+ * @param {number|null} params.fromRevision - Revision the links were last known good against
+ * @returns {Promise<number>} Number of links flagged
+ */
+const flagSuspectLinks = async (client, { before, after, fromRevision }) => {
+  const changes = getSubstantiveChanges(before, after);
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const result = await client.query(`
+    UPDATE requirement_test_mappings
+    SET suspect_since = COALESCE(suspect_since, NOW()),
+        suspect_from_revision = CASE WHEN suspect_since IS NULL THEN $3 ELSE suspect_from_revision END,
+        suspect_fields = (
+          SELECT jsonb_agg(DISTINCT field ORDER BY field)
+          FROM jsonb_array_elements_text(
+            CASE WHEN suspect_since IS NULL THEN '[]'::jsonb ELSE COALESCE(suspect_fields, '[]'::jsonb) END || $2::jsonb
+          ) AS field
+        )
+    WHERE requirement_id = $1
+  `, [after.req_uuid, JSON.stringify(changes), fromRevision]);
+  return result.rowCount;
+};
+
+/**
+ * Review queue: suspect links of a workspace, oldest first
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} [requirementId] - Only the links of this requirement (business ID)
+ */
+const listSuspectLinks = async (workspaceId, requirementId = null) => {
+  const result = await db.query(`
+    SELECT
+      r.id AS requirement_id,
+      r.name AS requirement_name,
+      tc.id AS test_case_id,
+      tc.name AS test_case_name,
+      tc.status AS test_case_status,
+      rtm.suspect_since,
+      rtm.suspect_fields,
+      rtm.suspect_from_revision,
+      r.version_number AS current_revision
+    FROM requirement_test_mappings rtm
+    JOIN requirements r ON rtm.requirement_id = r.req_uuid
+    JOIN test_cases tc ON rtm.test_case_id = tc.tc_uuid
+    WHERE r.workspace_id = $1
+      AND rtm.suspect_since IS NOT NULL
+      AND ($2::text IS NULL OR r.id = $2)
+    ORDER BY rtm.suspect_since ASC, r.id, tc.id
+  `, [workspaceId, requirementId]);
+  return result.rows;
+};
+
+/**
+ * Clear the suspect flag of a link after review
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.requirementId - Requirement business ID
+ * @param {string} params.testCaseId - Test case business ID
+ * @param {string} params.userId - Reviewer
+ * @param {string} params.resolution - One of REVIEW_RESOLUTIONS
+ * @returns {Promise<Object|null>} The cleared link (with its previous suspect details), or null when it was not suspect
+ */
+const clearSuspectLink = async ({ workspaceId, requirementId, testCaseId, userId, resolution }) => {
+  const result = await db.query(`
+    UPDATE requirement_test_mappings rtm
+    SET suspect_since = NULL, suspect_fields = NULL, suspect_from_revision = NULL,
+        reviewed_at = NOW(), reviewed_by = $4, review_resolution = $5
+    FROM requirement_test_mappings previous, requirements r, test_cases tc
+    WHERE previous.id = rtm.id
+      AND rtm.requirement_id = r.req_uuid AND rtm.test_case_id = tc.tc_uuid
+      AND r.workspace_id = $1 AND r.id = $2
+      AND tc.workspace_id = $1 AND tc.id = $3
+      AND rtm.suspect_since IS NOT NULL
+    RETURNING previous.suspect_since, previous.suspect_fields, previous.suspect_from_revision, rtm.reviewed_at
+  `, [workspaceId, requirementId, testCaseId, userId, resolution]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  REVIEW_RESOLUTIONS,
+  getSubstantiveChanges,
+  flagSuspectLinks,
+  listSuspectLinks,
+  clearSuspectLink
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const db = require('../../database/connection');
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Quality Tracker';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes of the previous and next time step are accepted too, for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of String(input).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * HOTP value (RFC 4226) of a counter
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step (RFC 6238) whose code matches, or null
+ */
+const findMatchingStep = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * New random TOTP secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Check a TOTP code against the user's secret. An accepted code's time step is
+ * recorded so that the same code cannot be used twice.
+ * @param {Object} executor - db or transaction client
+ * @param {string} userId - User UUID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>}
+ */
+const verifyTotp = async (executor, userId, code) => {
+  const result = await executor.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.totp_secret) {
+    return false;
+  }
+
+  const step = findMatchingStep(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const accepted = await executor.query(`
+    UPDATE users SET totp_last_step = $1
+    WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+    RETURNING id
+  `, [step, userId]);
+  return accepted.rows.length > 0;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @returns {Promise<Array<string>>} Raw codes, shown to the user once
+ */
+const generateRecoveryCodes = async (executor, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await executor.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await executor.query(`
+    INSERT INTO user_recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::varchar[])
+  `, [userId, codes.map(code => hashCode(normalizeRecoveryCode(code)))]);
+
+  return codes;
+};
+
+/**
+ * Use up one of a user's recovery codes
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+const consumeRecoveryCode = async (executor, userId, code) => {
+  const result = await executor.query(`
+    UPDATE user_recovery_codes SET used_at = NOW()
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING id
+  `, [userId, hashCode(normalizeRecoveryCode(code))]);
+  return result.rows.length > 0;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Check the second factor of a user with 2FA enabled: a TOTP code, or a recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', or null when neither is valid
+ */
+const verifySecondFactor = async (executor, userId, { code, recoveryCode }) => {
+  if (code && await verifyTotp(executor, userId, code)) {
+    return 'totp';
+  }
+  if (recoveryCode && await consumeRecoveryCode(executor, userId, recoveryCode)) {
+    return 'recovery_code';
+  }
+  return null;
+};
+
+/**
+ * Disable 2FA: forget the secret and the recovery codes
+ */
+const disableTwoFactor = async (executor, userId) => {
+  await executor.query(`
+    UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [userId]);
+  await executor.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Validate the "security" section of workspace settings:
+ *  - require_2fa: members must enable two-factor authentication to access the workspace
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSecuritySettings = (security) => {
+  if (security === undefined || security === null) {
+    return null;
+  }
+  if (typeof security !== 'object' || Array.isArray(security)) {
+    return 'settings.security must be an object';
+  }
+  if (security.require_2fa !== undefined && typeof security.require_2fa !== 'boolean') {
+    return 'settings.security.require_2fa must be a boolean';
+  }
+  return null;
+};
+
+const isTwoFactorRequired = (settings) => settings?.security?.require_2fa === true;
+
+/**
+ * Active workspaces of a user that require two-factor authentication
+ */
+const getRequiringWorkspaces = async (userId) => {
+  const result = await db.query(`
+    SELECT w.id, w.name
+    FROM workspaces w
+    JOIN workspace_members wm ON w.id = wm.workspace_id
+    WHERE wm.user_id = $1 AND w.is_active = true
+      AND w.settings->'security'->>'require_2fa' = 'true'
+    ORDER BY w.name
+  `, [userId]);
+  return result.rows;
+};
+
+module.exports = {
+  generateSecret,
+  buildProvisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  validateSecuritySettings,
+  isTwoFactorRequired,
+  getRequiringWorkspaces
+};
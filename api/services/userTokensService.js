@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const db = require('../../database/connection');
+
+const TOKEN_TYPES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  // Issued after a correct password when a second factor is still needed
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge'
+};
+
+/**
+ * Error carrying the HTTP status the caller should answer with
+ */
+const tokenError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a single-use token for a user. Earlier unused tokens of the same type stop working.
+ * @param {Object} executor - db or transaction client
+ * @param {string} userId - User UUID
+ * @param {string} type - One of TOKEN_TYPES
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<Object>} { token, expiresAt } - the raw token is never stored
+ */
+const issueToken = async (executor, userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await executor.query(`
+    UPDATE user_tokens SET used_at = NOW()
+    WHERE user_id = $1 AND type = $2 AND used_at IS NULL
+  `, [userId, type]);
+
+  await executor.query(`
+    INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+    VALUES ($1, $2, $3, $4)
+  `, [userId, type, hashToken(token), expiresAt]);
+
+  return { token, expiresAt };
+};
+
+/**
+ * Mark a token as used and return its user
+ * @param {Object} executor - db or transaction client
+ * @param {string} token - Raw token from the email
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {Promise<string>} User UUID
+ * @throws 400 when the token is unknown, used or expired
+ */
+const consumeToken = async (executor, token, type) => {
+  const result = await executor.query(`
+    UPDATE user_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token), type]);
+
+  if (result.rows.length === 0) {
+    throw tokenError(400, 'Invalid or expired token');
+  }
+  return result.rows[0].user_id;
+};
+
+/**
+ * Look up the user of an active token without using it up
+ * @returns {Promise<string|null>} User UUID, or null when the token is unknown, used or expired
+ */
+const findTokenUser = async (executor, token, type) => {
+  const result = await executor.query(`
+    SELECT user_id FROM user_tokens
+    WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+  `, [hashToken(token), type]);
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+/**
+ * Count a wrong code entered against a token; the token stops working after maxAttempts
+ * @returns {Promise<number>} Attempts left
+ */
+const recordFailedAttempt = async (executor, token, type, maxAttempts) => {
+  const result = await executor.query(`
+    UPDATE user_tokens
+    SET failed_attempts = failed_attempts + 1,
+        used_at = CASE WHEN failed_attempts + 1 >= $3 THEN NOW() ELSE used_at END
+    WHERE token_hash = $1 AND type = $2 AND used_at IS NULL
+    RETURNING failed_attempts
+  `, [hashToken(token), type, maxAttempts]);
+  return result.rows.length > 0 ? Math.max(maxAttempts - result.rows[0].failed_attempts, 0) : 0;
+};
+
+/**
+ * Time of the most recent token of a type issued to a user, or null
+ */
+const lastIssuedAt = async (userId, type) => {
+  const result = await db.query(
+    'SELECT MAX(created_at) as created_at FROM user_tokens WHERE user_id = $1 AND type = $2',
+    [userId, type]
+  );
+  return result.rows[0].created_at;
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  hashToken,
+  issueToken,
+  consumeToken,
+  findTokenUser,
+  recordFailedAttempt,
+  lastIssuedAt
+};
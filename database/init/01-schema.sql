@@ -19,6 +19,12 @@ CREATE TABLE users (
   is_active BOOLEAN DEFAULT true,
   email_verified BOOLEAN DEFAULT false,
   last_login TIMESTAMP,
+  password_changed_at TIMESTAMP,
+  failed_login_attempts INTEGER NOT NULL DEFAULT 0, -- Consecutive failed logins, reset on success
+  locked_until TIMESTAMP, -- Login refused until then after too many failures
+  totp_secret VARCHAR(64), -- Base32 TOTP secret; set at enrollment, active once totp_enabled_at is set
+  totp_enabled_at TIMESTAMP,
+  totp_last_step BIGINT, -- Time step of the last accepted code, so a code cannot be replayed
   preferences JSONB DEFAULT '{}', -- User preferences (theme, notifications, etc.)
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
@@ -27,6 +33,79 @@ CREATE TABLE users (
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_active ON users(is_active);
 
+-- Single-use tokens (email verification, password reset, two-factor login challenge); only the SHA-256 hash is stored
+CREATE TABLE user_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL, -- email_verification, password_reset, two_factor_challenge
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  failed_attempts INTEGER NOT NULL DEFAULT 0, -- Wrong codes entered against a two-factor challenge
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_tokens_user ON user_tokens(user_id, type);
+
+-- Single-use two-factor recovery codes; only the SHA-256 hash is stored
+CREATE TABLE user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+-- Login sessions. Access tokens carry the session ID (sid); refresh tokens rotate on every use
+CREATE TABLE user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_refresh_token_hash VARCHAR(64), -- Reuse of a rotated token revokes the session
+  
+  ip_address INET,
+  user_agent TEXT,
+  
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50), -- logout, revoked, password_change, refresh_token_reuse
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_token ON user_sessions(previous_refresh_token_hash);
+
+-- Single sign-on identities (OpenID Connect issuer + subject) linked to users
+CREATE TABLE user_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  issuer VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255), -- Email claimed by the provider at the last login
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_login_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(issuer, subject)
+);
+
+CREATE INDEX idx_user_identities_user ON user_identities(user_id);
+
+-- Single sign-on logins in progress: state, nonce and PKCE verifier kept between the
+-- redirect to the identity provider and its callback
+CREATE TABLE oidc_login_states (
+  state VARCHAR(64) PRIMARY KEY,
+  nonce VARCHAR(64) NOT NULL,
+  code_verifier VARCHAR(128) NOT NULL,
+  workspace_id UUID, -- Workspace whose SSO settings apply, if the login started from one
+  redirect_to TEXT, -- Frontend path to return to after login
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- ============================================
 -- WORKSPACE MANAGEMENT
 -- ============================================
@@ -68,6 +147,48 @@ CREATE INDEX idx_workspace_members_workspace ON workspace_members(workspace_id);
 CREATE INDEX idx_workspace_members_user ON workspace_members(user_id);
 CREATE INDEX idx_workspace_members_role ON workspace_members(role);
 
+-- Invitations to join a workspace, sent by email to addresses that may not have an account yet.
+-- Only the SHA-256 hash of the emailed token is stored.
+CREATE TABLE workspace_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL, -- Stored lowercase
+  role user_role NOT NULL DEFAULT 'viewer',
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  last_sent_at TIMESTAMP DEFAULT NOW(),
+  accepted_at TIMESTAMP,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  declined_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_workspace_invitations_workspace ON workspace_invitations(workspace_id);
+CREATE INDEX idx_workspace_invitations_email ON workspace_invitations(email);
+-- One open invitation per email and workspace
+CREATE UNIQUE INDEX idx_workspace_invitations_pending ON workspace_invitations(workspace_id, email)
+  WHERE accepted_at IS NULL AND declined_at IS NULL AND revoked_at IS NULL;
+
+-- Ownership transfers: the owner nominates an existing member, who becomes owner on accepting
+CREATE TABLE workspace_ownership_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  from_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  to_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  declined_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_ownership_transfers_workspace ON workspace_ownership_transfers(workspace_id);
+-- One open transfer per workspace
+CREATE UNIQUE INDEX idx_ownership_transfers_pending ON workspace_ownership_transfers(workspace_id)
+  WHERE accepted_at IS NULL AND declined_at IS NULL AND cancelled_at IS NULL;
+
 -- ============================================
 -- VERSIONS/RELEASES
 -- ============================================
@@ -188,6 +309,43 @@ CREATE TABLE requirement_versions (
 CREATE INDEX idx_requirement_versions_requirement ON requirement_versions(requirement_id);
 CREATE INDEX idx_requirement_versions_version ON requirement_versions(version_id);
 
+-- ============================================
+-- REQUIREMENT REVISIONS
+-- ============================================
+
+-- Full snapshot of a requirement after each change; requirements.version_number holds
+-- the latest revision_number
+CREATE TABLE requirement_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  requirement_id UUID NOT NULL REFERENCES requirements(req_uuid) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  changed_fields JSONB, -- Fields changed since the previous revision (null for the first one)
+  restored_from INTEGER, -- Revision this one restored, if any
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (requirement_id, revision_number)
+);
+
+CREATE INDEX idx_requirement_revisions_requirement ON requirement_revisions(requirement_id);
+
+-- Review workflow events of requirements: submitted for review, approved, rejected, reopened
+CREATE TABLE requirement_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  requirement_id UUID NOT NULL REFERENCES requirements(req_uuid) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL, -- submit, approve, reject, reopen
+  from_status requirement_status NOT NULL,
+  to_status requirement_status NOT NULL,
+  comment TEXT,
+  revision_number INTEGER, -- Requirement revision the event applies to
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_requirement_reviews_requirement ON requirement_reviews(requirement_id);
+
 -- ============================================
 -- TEST CASES
 -- ============================================
@@ -284,11 +442,21 @@ CREATE TABLE requirement_test_mappings (
   coverage_type VARCHAR(50),
   created_at TIMESTAMP DEFAULT NOW(),
   created_by UUID REFERENCES users(id),
+
+  -- Suspect link: the requirement changed substantively since the link was last reviewed
+  suspect_since TIMESTAMP, -- NULL when the link is not suspect
+  suspect_fields JSONB, -- Requirement fields changed since then
+  suspect_from_revision INTEGER, -- Requirement revision the link was last known good against
+  reviewed_at TIMESTAMP,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  review_resolution VARCHAR(20), -- 'confirmed' or 'test_updated'
+
   UNIQUE(requirement_id, test_case_id)
 );
 
 CREATE INDEX idx_req_test_mapping_requirement ON requirement_test_mappings(requirement_id);
 CREATE INDEX idx_req_test_mapping_test ON requirement_test_mappings(test_case_id);
+CREATE INDEX idx_req_test_mapping_suspect ON requirement_test_mappings(requirement_id) WHERE suspect_since IS NOT NULL;
 
 -- ============================================
 -- TEST SUITE DEFINITIONS
@@ -442,8 +610,8 @@ CREATE INDEX idx_test_results_failure_category ON test_results(failure_category)
 -- AUDIT LOG
 -- ============================================
 
-CREATE TYPE audit_action AS ENUM ('create', 'update', 'delete', 'execute', 'assign', 'comment');
-CREATE TYPE audit_entity AS ENUM ('requirement', 'test_case', 'version', 'workspace', 'user', 'mapping', 'execution');
+CREATE TYPE audit_action AS ENUM ('create', 'update', 'delete', 'execute', 'assign', 'comment', 'login');
+CREATE TYPE audit_entity AS ENUM ('requirement', 'test_case', 'test_suite', 'version', 'workspace', 'user', 'mapping', 'execution', 'invitation');
 
 CREATE TABLE audit_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -470,6 +638,7 @@ CREATE INDEX idx_audit_logs_user ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
 CREATE INDEX idx_audit_logs_created ON audit_logs(created_at DESC);
 CREATE INDEX idx_audit_logs_action ON audit_logs(action);
+CREATE INDEX idx_audit_logs_login_ip ON audit_logs(ip_address, created_at) WHERE action = 'login'; -- Per-IP login throttling
 
 -- ============================================
 -- COMMENTS & COLLABORATION
@@ -491,6 +660,8 @@ CREATE TABLE comments (
   resolved_by UUID REFERENCES users(id),
   resolved_at TIMESTAMP,
   
+  edited_at TIMESTAMP, -- Set when the content is changed
+  
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -501,6 +672,28 @@ CREATE INDEX idx_comments_author ON comments(author_id);
 CREATE INDEX idx_comments_parent ON comments(parent_comment_id);
 CREATE INDEX idx_comments_created ON comments(created_at DESC);
 
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Recipient
+  
+  type VARCHAR(50) NOT NULL, -- mention, reply, review
+  entity_type VARCHAR(50),
+  entity_id VARCHAR(255),
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  
+  actor_id UUID REFERENCES users(id),
+  message TEXT NOT NULL,
+  
+  is_read BOOLEAN DEFAULT false,
+  read_at TIMESTAMP,
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user ON notifications(user_id, is_read);
+CREATE INDEX idx_notifications_created ON notifications(created_at DESC);
+
 -- ============================================
 -- QUALITY GATES
 -- ============================================
@@ -576,6 +769,72 @@ CREATE INDEX idx_integrations_workspace ON integrations(workspace_id);
 CREATE INDEX idx_integrations_type ON integrations(type);
 CREATE INDEX idx_integrations_active ON integrations(is_active);
 
+-- ============================================
+-- WEBHOOK SECRETS (HMAC signing keys per workspace)
+-- ============================================
+
+CREATE TABLE webhook_secrets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  
+  name VARCHAR(255) NOT NULL,
+  secret VARCHAR(255) NOT NULL, -- HMAC key; must be readable to verify signatures
+  secret_prefix VARCHAR(20) NOT NULL, -- Shown in listings instead of the secret
+  
+  is_active BOOLEAN DEFAULT true,
+  expires_at TIMESTAMP, -- Set on rotation so the previous secret keeps working for a grace period
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_secrets_workspace ON webhook_secrets(workspace_id);
+CREATE INDEX idx_webhook_secrets_active ON webhook_secrets(is_active);
+
+-- Signatures already accepted (replay protection), shared by every webhook server instance.
+-- Kept until the signed timestamp leaves the tolerance window.
+CREATE TABLE webhook_signature_uses (
+  signature VARCHAR(100) PRIMARY KEY,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_webhook_signature_uses_expires ON webhook_signature_uses(expires_at);
+
+-- ============================================
+-- API TOKENS (personal access tokens and workspace service tokens)
+-- ============================================
+
+-- Personal tokens (qtp_) act as their user; service tokens (qts_) belong to a workspace.
+-- Only the SHA-256 hash is stored.
+CREATE TABLE api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(20) NOT NULL CHECK (type IN ('personal', 'service')),
+  name VARCHAR(255) NOT NULL,
+  
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL, -- Shown in listings instead of the token
+  
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Owner of a personal token
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE, -- Required for service tokens, optional restriction for personal ones
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- read, write, results:write, import
+  
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  
+  CHECK (type = 'service' OR user_id IS NOT NULL),
+  CHECK (type = 'personal' OR workspace_id IS NOT NULL)
+);
+
+CREATE INDEX idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX idx_api_tokens_workspace ON api_tokens(workspace_id);
+
 -- ============================================
 -- TRIGGERS FOR UPDATED_AT TIMESTAMPS
 -- ============================================
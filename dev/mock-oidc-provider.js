@@ -0,0 +1,211 @@
+/**
+ * Local OpenID Connect provider for trying out and testing single sign-on without a real
+ * identity provider. Never run it in production: it signs in whoever you type in.
+ *
+ *   npm run oidc:mock
+ *
+ * Then start the API with:
+ *   OIDC_ISSUER=http://localhost:3199
+ *   OIDC_CLIENT_ID=quality-tracker
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_REDIRECT_URI=http://localhost:3002/api/auth/oidc/callback
+ *
+ * /authorize shows a form asking for the identity to sign in as (email, whether it is
+ * verified, subject). Scripts can skip the form with login_hint=<email>|<subject>|<0 or 1>,
+ * e.g. login_hint=jane@acme.com|jane|1 for a verified jane@acme.com.
+ *
+ * Environment: MOCK_OIDC_PORT (3199), MOCK_OIDC_ISSUER (http://localhost:<port>),
+ * OIDC_CLIENT_ID and OIDC_CLIENT_SECRET (the values above).
+ */
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 3199;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'quality-tracker';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+
+const KEY_ID = 'mock-key';
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Authorization codes waiting to be exchanged, by code
+const codes = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const loginForm = (params) => `<!DOCTYPE html>
+<html>
+<head><title>Mock identity provider</title></head>
+<body>
+  <h1>Mock identity provider</h1>
+  <form method="post" action="/authorize">
+    ${[...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <p><label>Email <input name="email" type="email" required></label></p>
+    <p><label>Name <input name="name"></label></p>
+    <p><label>Subject <input name="sub" placeholder="defaults to the email"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="1" checked> Email verified</label></p>
+    <p><button type="submit">Sign in</button></p>
+  </form>
+</body>
+</html>`;
+
+/**
+ * Issue a code for the identity and send the browser back to the client
+ */
+const completeAuthorization = (res, params, identity) => {
+  if (params.get('client_id') !== CLIENT_ID || !params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client_id or missing redirect_uri' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    ...identity,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    redirectUri: params.get('redirect_uri'),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const location = new URL(params.get('redirect_uri'));
+  location.searchParams.set('code', code);
+  if (params.get('state')) {
+    location.searchParams.set('state', params.get('state'));
+  }
+  res.writeHead(302, { Location: location.toString() });
+  res.end();
+};
+
+const identityFromHint = (hint) => {
+  const [email, sub, verified] = hint.split('|');
+  return { email, sub: sub || email, name: email, emailVerified: verified !== '0' };
+};
+
+/**
+ * Check the client credentials, from HTTP Basic or the form body
+ */
+const isClientAuthenticated = (req, body) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.substring(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return id === CLIENT_ID && secret === CLIENT_SECRET;
+  }
+  return body.get('client_id') === CLIENT_ID && body.get('client_secret') === CLIENT_SECRET;
+};
+
+const exchangeCode = (req, res, body) => {
+  const code = body.get('code');
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (!isClientAuthenticated(req, body)) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (body.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+    || grant.redirectUri !== body.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign({
+    sub: grant.sub,
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    name: grant.name,
+    nonce: grant.nonce || undefined
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: ID_TOKEN_TTL_SECONDS
+  });
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: ID_TOKEN_TTL_SECONDS,
+    id_token: idToken
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, ISSUER);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const hint = url.searchParams.get('login_hint');
+      if (hint) {
+        return completeAuthorization(res, url.searchParams, identityFromHint(hint));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(loginForm(url.searchParams));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      const body = await readBody(req);
+      const email = (body.get('email') || '').trim();
+      if (!email) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'Email is required' });
+      }
+      return completeAuthorization(res, body, {
+        email,
+        sub: (body.get('sub') || '').trim() || email,
+        name: (body.get('name') || '').trim() || email,
+        emailVerified: body.get('email_verified') === '1'
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return exchangeCode(req, res, await readBody(req));
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC provider error:', error);
+    sendJson(res, 500, { error: 'server_error', error_description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider on ${ISSUER} (client_id ${CLIENT_ID}, secret ${CLIENT_SECRET})`);
+});
@@ -0,0 +1,174 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const apiTokensService = require('../api/services/apiTokensService');
+const {
+  authenticateToken,
+  requireUserSession,
+  getRequestWorkspaceRole,
+  canRead,
+  canWrite,
+  canImport,
+  canExecuteTests,
+  isAdminOrOwner
+} = require('../api/middleware/auth');
+const { fakeQueries, mockRequest, runMiddleware } = require('./helpers');
+
+const WORKSPACE_ID = '00000000-0000-0000-0000-000000000002';
+const OTHER_WORKSPACE_ID = '00000000-0000-0000-0000-000000000009';
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+
+const tokenUser = ({ type = 'personal', scopes, workspaceId = WORKSPACE_ID }) => ({
+  id: USER_ID,
+  email: 'user@example.com',
+  name: 'User',
+  apiToken: { id: 'token-1', type, name: 'ci', scopes, workspaceId }
+});
+
+const workspaceRequest = (user, { method = 'GET', workspaceId = WORKSPACE_ID } = {}) => mockRequest({
+  method,
+  query: { workspace_id: workspaceId },
+  user
+});
+
+/**
+ * Database where USER_ID is a member of WORKSPACE_ID with the given role
+ */
+const fakeMembership = (t, role) => {
+  fakeQueries(t, (sql, params) => {
+    if (sql.startsWith('SELECT wm.role')) {
+      return { rows: params[0] === WORKSPACE_ID ? [{ role, two_factor_missing: false, email_domain_blocked: false }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+};
+
+test('hasScope: write implies read and results:write but not import', () => {
+  assert.equal(apiTokensService.hasScope(['write'], ['read']), true);
+  assert.equal(apiTokensService.hasScope(['write'], ['results:write']), true);
+  assert.equal(apiTokensService.hasScope(['write'], ['import']), false);
+  assert.equal(apiTokensService.hasScope(['read'], ['write']), false);
+  assert.equal(apiTokensService.hasScope(['results:write'], ['read']), false);
+  assert.equal(apiTokensService.hasScope(['import'], ['import', 'write']), true);
+  assert.equal(apiTokensService.hasScope(['read'], []), false);
+});
+
+test('read token can read but not write, import or execute', async (t) => {
+  fakeMembership(t, 'owner');
+  const user = tokenUser({ scopes: ['read'] });
+
+  const read = await runMiddleware(canRead, workspaceRequest(user));
+  assert.equal(read.nextCalled, true, JSON.stringify(read.res.body));
+
+  for (const middleware of [canWrite, canImport, canExecuteTests]) {
+    const { nextCalled, res } = await runMiddleware(middleware, workspaceRequest(user, { method: 'POST' }));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.error, /^API token is missing the required scope/);
+  }
+});
+
+test('results:write token can report results but not read or write', async (t) => {
+  fakeMembership(t, 'editor');
+  const user = tokenUser({ scopes: ['results:write'] });
+
+  assert.equal((await runMiddleware(canExecuteTests, workspaceRequest(user, { method: 'POST' }))).nextCalled, true);
+  assert.equal((await runMiddleware(canRead, workspaceRequest(user))).res.statusCode, 403);
+  assert.equal((await runMiddleware(canWrite, workspaceRequest(user, { method: 'POST' }))).res.statusCode, 403);
+});
+
+test('tokens never reach routes without scopes, whatever they were granted', async (t) => {
+  fakeMembership(t, 'owner');
+  const user = tokenUser({ scopes: ['read', 'write', 'results:write', 'import'] });
+
+  const { nextCalled, res } = await runMiddleware(isAdminOrOwner, workspaceRequest(user, { method: 'DELETE' }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'This action requires a user login, not an API token');
+
+  const session = await runMiddleware(requireUserSession, mockRequest({ user }));
+  assert.equal(session.nextCalled, false);
+  assert.equal(session.res.statusCode, 403);
+});
+
+test('tokens bound to a workspace are refused in another one', async (t) => {
+  fakeMembership(t, 'owner');
+  const user = tokenUser({ scopes: ['read'] });
+
+  const { nextCalled, res } = await runMiddleware(canRead, workspaceRequest(user, { workspaceId: OTHER_WORKSPACE_ID }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'This API token is not valid for this workspace');
+
+  assert.equal(await getRequestWorkspaceRole({ user }, OTHER_WORKSPACE_ID), null);
+});
+
+test('personal tokens keep the role of their user; service tokens act as an editor', async (t) => {
+  fakeMembership(t, 'viewer');
+
+  const personal = await runMiddleware(canWrite, workspaceRequest(tokenUser({ scopes: ['write'] }), { method: 'POST' }));
+  assert.equal(personal.nextCalled, false);
+  assert.match(personal.res.body.error, /Your role: viewer/);
+
+  const serviceRequest = workspaceRequest(tokenUser({ type: 'service', scopes: ['write'] }), { method: 'POST' });
+  const service = await runMiddleware(canWrite, serviceRequest);
+  assert.equal(service.nextCalled, true, JSON.stringify(service.res.body));
+  assert.equal(serviceRequest.workspace.userRole, 'editor');
+});
+
+test('authenticateToken refuses changes with a read-only token on any route', async (t) => {
+  const token = 'qtp_readonly';
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  fakeQueries(t, (sql, params) => {
+    if (sql.startsWith('SELECT t.*') && params[0] === tokenHash) {
+      return {
+        rows: [{
+          id: 'token-1',
+          type: 'personal',
+          name: 'laptop',
+          user_id: USER_ID,
+          workspace_id: null,
+          scopes: ['read'],
+          expires_at: new Date(Date.now() + 3600 * 1000),
+          revoked_at: null,
+          email: 'user@example.com',
+          full_name: 'User',
+          is_active: true
+        }]
+      };
+    }
+    if (sql.startsWith('UPDATE api_tokens SET last_used_at')) {
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const get = await runMiddleware(authenticateToken, mockRequest({ method: 'GET', headers }));
+  assert.equal(get.nextCalled, true, JSON.stringify(get.res.body));
+
+  const post = await runMiddleware(authenticateToken, mockRequest({ method: 'POST', headers }));
+  assert.equal(post.nextCalled, false);
+  assert.equal(post.res.statusCode, 403);
+  assert.equal(post.res.body.error, 'This API token is read-only');
+});
+
+test('revoked tokens and service tokens whose creator lost admin rights are refused', async (t) => {
+  const rows = {
+    revoked: { type: 'personal', revoked_at: new Date(), is_active: true },
+    demoted: { type: 'service', revoked_at: null, is_active: true, creator_role: 'editor', created_by: USER_ID }
+  };
+  fakeQueries(t, (sql, params) => {
+    if (sql.startsWith('SELECT t.*')) {
+      const name = Object.keys(rows).find(key => crypto.createHash('sha256').update(`qts_${key}`).digest('hex') === params[0]);
+      return { rows: [{ id: name, scopes: ['write'], expires_at: new Date(Date.now() + 3600 * 1000), ...rows[name] }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  await assert.rejects(apiTokensService.resolveApiToken('qts_revoked'), { status: 401, message: 'Invalid, revoked or expired API token' });
+  await assert.rejects(apiTokensService.resolveApiToken('qts_demoted'), {
+    status: 401,
+    message: 'The user who created this API token no longer administers its workspace'
+  });
+});
@@ -0,0 +1,66 @@
+const db = require('../database/connection');
+
+/**
+ * Answer db.query with handler(sql, params) for the rest of the test. Queries the handler
+ * does not expect should throw, so that no test ever reaches a real database.
+ * @param {Object} t - node:test context
+ * @param {Function} handler - (sql with collapsed whitespace, params) => { rows, rowCount }
+ */
+const fakeQueries = (t, handler) => {
+  t.mock.method(db, 'query', async (sql, params) => handler(sql.replace(/\s+/g, ' ').trim(), params));
+};
+
+/**
+ * Minimal Express request: headers are matched case-insensitively like req.get
+ */
+const mockRequest = ({ method = 'GET', url = '/', headers = {}, body = {}, query = {}, params = {}, rawBody, user } = {}) => {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    originalUrl: url,
+    headers: lowerHeaders,
+    body,
+    query,
+    params,
+    rawBody,
+    user,
+    get: (name) => lowerHeaders[name.toLowerCase()]
+  };
+};
+
+/**
+ * Minimal Express response recording the status and JSON body
+ */
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * Run a middleware and report whether it called next
+ * @returns {Promise<Object>} { nextCalled, res }
+ */
+const runMiddleware = async (middleware, req) => {
+  const res = mockResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { nextCalled, res };
+};
+
+module.exports = {
+  fakeQueries,
+  mockRequest,
+  mockResponse,
+  runMiddleware
+};
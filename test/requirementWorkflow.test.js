@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const workflowService = require('../api/services/requirementWorkflowService');
+
+const WORKSPACE_ID = '00000000-0000-0000-0000-000000000002';
+const USER = { id: '00000000-0000-0000-0000-000000000001', name: 'Reviewer', email: 'reviewer@example.com' };
+
+const approvedSnapshot = {
+  req_uuid: '00000000-0000-0000-0000-0000000000b1',
+  id: 'REQ-001',
+  workspace_id: WORKSPACE_ID,
+  name: 'Login',
+  description: 'Users log in with email and password',
+  priority: 'High',
+  status: 'Approved',
+  tags: ['auth'],
+  versions: ['v1.0']
+};
+
+/**
+ * Transaction client answering the workspace settings and the requirement row lock
+ */
+const fakeClient = ({ settings = {}, status = 'Approved' } = {}) => ({
+  query: async (sql) => {
+    if (sql.startsWith('SELECT settings FROM workspaces')) {
+      return { rows: [{ settings }] };
+    }
+    if (sql.startsWith('SELECT status FROM requirements')) {
+      return { rows: status ? [{ status }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+});
+
+test('approved requirements cannot change status directly', () => {
+  const workflow = { transitions: { 'Draft': ['Active', 'In Review'], 'Approved': ['Draft'] } };
+
+  assert.throws(() => workflowService.assertStatusChange(workflow, 'Approved', 'Draft'), { status: 409 });
+  assert.throws(() => workflowService.assertStatusChange(workflow, 'Approved', 'Archived'), { status: 409 });
+  assert.throws(() => workflowService.assertStatusChange(workflow, 'Draft', 'Approved'), { status: 400 });
+  assert.doesNotThrow(() => workflowService.assertStatusChange(workflow, 'Approved', 'Approved'));
+  assert.doesNotThrow(() => workflowService.assertStatusChange(workflow, 'Draft', 'In Review'));
+});
+
+test('workspace settings cannot open a way into or out of Approved', () => {
+  assert.match(
+    workflowService.validateWorkflowSettings({ transitions: { 'Draft': ['Approved'] } }),
+    /only become Approved through a review/
+  );
+  assert.match(
+    workflowService.validateWorkflowSettings({ transitions: { 'Approved': ['Draft'] } }),
+    /only change status when a reviewer reopens them/
+  );
+  assert.equal(workflowService.validateWorkflowSettings({ transitions: { 'Approved': [] } }), null);
+});
+
+test('stored settings from before validation do not unlock Approved', async () => {
+  const workflow = await workflowService.getWorkspaceWorkflow(
+    fakeClient({ settings: { requirement_workflow: { transitions: { 'Approved': ['Draft', 'Archived'] } } } }),
+    WORKSPACE_ID
+  );
+
+  assert.deepEqual(workflow.transitions['Approved'], []);
+});
+
+test('the content of an approved requirement is locked', () => {
+  assert.throws(
+    () => workflowService.assertUnlocked(approvedSnapshot, { ...approvedSnapshot, name: 'Sign in' }),
+    { status: 409, message: /approved and locked \(name\)/ }
+  );
+  assert.throws(
+    () => workflowService.assertUnlocked(approvedSnapshot, { ...approvedSnapshot, tags: ['auth', 'sso'] }),
+    { status: 409 }
+  );
+});
+
+test('versions of an approved requirement and unapproved requirements stay editable', () => {
+  assert.doesNotThrow(() => workflowService.assertUnlocked(approvedSnapshot, { ...approvedSnapshot, versions: ['v1.0', 'v1.1'] }));
+
+  const draft = { ...approvedSnapshot, status: 'Draft' };
+  assert.doesNotThrow(() => workflowService.assertUnlocked(draft, { ...draft, name: 'Sign in' }));
+});
+
+test('new and imported requirements never start Approved or In Review', () => {
+  assert.throws(() => workflowService.assertInitialStatus('Approved'), { status: 400 });
+  assert.throws(() => workflowService.assertInitialStatus('In Review'), { status: 400 });
+  assert.doesNotThrow(() => workflowService.assertInitialStatus('Draft'));
+  assert.doesNotThrow(() => workflowService.assertInitialStatus(undefined));
+
+  assert.equal(workflowService.getImportedStatus('Approved'), 'Draft');
+  assert.equal(workflowService.getImportedStatus('In Review'), 'Draft');
+  assert.equal(workflowService.getImportedStatus('Active'), 'Active');
+});
+
+test('only reviewers reopen an approved requirement, with a comment', async () => {
+  await assert.rejects(
+    workflowService.reviewRequirement(fakeClient(), {
+      workspaceId: WORKSPACE_ID, id: 'REQ-001', user: USER, role: 'editor', action: 'reopen', comment: 'Scope changed'
+    }),
+    { status: 403 }
+  );
+  await assert.rejects(
+    workflowService.reviewRequirement(fakeClient(), {
+      workspaceId: WORKSPACE_ID, id: 'REQ-001', user: USER, role: 'admin', action: 'reopen', comment: '  '
+    }),
+    { status: 400 }
+  );
+});
+
+test('reviews only apply to requirements in the matching status', async () => {
+  await assert.rejects(
+    workflowService.reviewRequirement(fakeClient({ status: 'Approved' }), {
+      workspaceId: WORKSPACE_ID, id: 'REQ-001', user: USER, role: 'owner', action: 'approve'
+    }),
+    { status: 409 }
+  );
+  await assert.rejects(
+    workflowService.reviewRequirement(fakeClient({ status: 'Draft' }), {
+      workspaceId: WORKSPACE_ID, id: 'REQ-001', user: USER, role: 'owner', action: 'reopen', comment: 'Again'
+    }),
+    { status: 409 }
+  );
+  await assert.rejects(
+    workflowService.reviewRequirement(fakeClient({ status: null }), {
+      workspaceId: WORKSPACE_ID, id: 'REQ-404', user: USER, role: 'owner', action: 'approve'
+    }),
+    { status: 404 }
+  );
+});
@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSignature, verifyWebhookSignature } = require('../api/middleware/webhookSignature');
+const { fakeQueries, mockRequest, runMiddleware } = require('./helpers');
+
+const WORKSPACE_ID = '00000000-0000-0000-0000-000000000002';
+const SECRET = 'whsec_test';
+const SECRET_ID = '00000000-0000-0000-0000-0000000000aa';
+
+/**
+ * Database with one active secret for WORKSPACE_ID and the signature uses table
+ */
+const fakeWebhookDatabase = (t) => {
+  const usedSignatures = new Set();
+  fakeQueries(t, (sql, params) => {
+    if (sql.startsWith('SELECT id, secret FROM webhook_secrets')) {
+      return { rows: params[0] === WORKSPACE_ID ? [{ id: SECRET_ID, secret: SECRET }] : [] };
+    }
+    if (sql.startsWith('DELETE FROM webhook_signature_uses')) {
+      return { rows: [], rowCount: 0 };
+    }
+    if (sql.startsWith('INSERT INTO webhook_signature_uses')) {
+      const inserted = !usedSignatures.has(params[0]);
+      usedSignatures.add(params[0]);
+      return { rows: [], rowCount: inserted ? 1 : 0 };
+    }
+    if (sql.startsWith('UPDATE webhook_secrets SET last_used_at')) {
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+};
+
+const signedRequest = ({
+  method = 'POST',
+  url = '/api/webhook/test-results',
+  body = '{"requestId":"run-1"}',
+  timestamp = Math.floor(Date.now() / 1000),
+  secret = SECRET,
+  signedUrl = url,
+  signedBody = body,
+  workspaceId = WORKSPACE_ID
+} = {}) => mockRequest({
+  method,
+  url,
+  rawBody: Buffer.from(body),
+  headers: {
+    'X-Webhook-Workspace': workspaceId,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': computeSignature(secret, { timestamp, method, url: signedUrl, rawBody: signedBody })
+  }
+});
+
+beforeEach(() => {
+  delete process.env.WEBHOOK_ALLOW_UNSIGNED;
+});
+
+test('computeSignature signs timestamp, method, URL and body', () => {
+  const base = { timestamp: 1760000000, method: 'POST', url: '/api/webhook/runs/run-1/complete', rawBody: '' };
+  const signature = computeSignature(SECRET, base);
+
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(computeSignature(SECRET, base), signature);
+  assert.notEqual(computeSignature(SECRET, { ...base, timestamp: 1760000001 }), signature);
+  assert.notEqual(computeSignature(SECRET, { ...base, method: 'GET' }), signature);
+  assert.notEqual(computeSignature(SECRET, { ...base, url: '/api/webhook/runs/run-2/complete' }), signature);
+  assert.notEqual(computeSignature(SECRET, { ...base, rawBody: '{}' }), signature);
+  assert.notEqual(computeSignature('whsec_other', base), signature);
+});
+
+test('accepts a correctly signed request and binds its workspace', async (t) => {
+  fakeWebhookDatabase(t);
+  const req = signedRequest();
+
+  const { nextCalled, res } = await runMiddleware(verifyWebhookSignature, req);
+
+  assert.equal(nextCalled, true, JSON.stringify(res.body));
+  assert.equal(req.webhookWorkspaceId, WORKSPACE_ID);
+  assert.equal(req.webhookSecretId, SECRET_ID);
+});
+
+test('refuses a replayed signature', async (t) => {
+  fakeWebhookDatabase(t);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const first = await runMiddleware(verifyWebhookSignature, signedRequest({ timestamp }));
+  const replay = await runMiddleware(verifyWebhookSignature, signedRequest({ timestamp }));
+
+  assert.equal(first.nextCalled, true);
+  assert.equal(replay.nextCalled, false);
+  assert.equal(replay.res.statusCode, 409);
+  assert.equal(replay.res.body.error, 'Webhook signature has already been used');
+});
+
+test('refuses a signature made for another endpoint', async (t) => {
+  fakeWebhookDatabase(t);
+  const req = signedRequest({
+    url: '/api/webhook/runs/run-2/cancel',
+    signedUrl: '/api/webhook/runs/run-1/cancel',
+    body: ''
+  });
+
+  const { nextCalled, res } = await runMiddleware(verifyWebhookSignature, req);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Invalid webhook signature');
+});
+
+test('refuses a tampered body or an unknown secret', async (t) => {
+  fakeWebhookDatabase(t);
+
+  const tampered = await runMiddleware(verifyWebhookSignature, signedRequest({
+    body: '{"requestId":"run-1","status":"Passed"}',
+    signedBody: '{"requestId":"run-1","status":"Failed"}'
+  }));
+  const wrongSecret = await runMiddleware(verifyWebhookSignature, signedRequest({ secret: 'whsec_other' }));
+
+  assert.equal(tampered.res.statusCode, 401);
+  assert.equal(wrongSecret.res.statusCode, 401);
+});
+
+test('refuses timestamps outside the tolerance', async (t) => {
+  fakeWebhookDatabase(t);
+  const req = signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 3600 });
+
+  const { nextCalled, res } = await runMiddleware(verifyWebhookSignature, req);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Webhook timestamp is outside the allowed tolerance');
+});
+
+test('refuses unsigned requests and malformed workspace IDs', async (t) => {
+  fakeWebhookDatabase(t);
+
+  const unsigned = await runMiddleware(verifyWebhookSignature, mockRequest({ method: 'POST', url: '/api/webhook/test-results' }));
+  const badWorkspace = await runMiddleware(verifyWebhookSignature, signedRequest({ workspaceId: 'not-a-uuid' }));
+
+  assert.equal(unsigned.res.statusCode, 401);
+  assert.equal(unsigned.res.body.error, 'Missing webhook signature');
+  assert.equal(badWorkspace.res.statusCode, 401);
+  assert.equal(badWorkspace.res.body.error, 'X-Webhook-Workspace must be a workspace ID');
+});
@@ -1,6 +1,13 @@
 require('dotenv').config();
 
 const db = require('./database/connection');
+const executionResults = require('./api/services/executionResultsService');
+const executionRuns = require('./api/services/executionRunsService');
+const qualityGatesService = require('./api/services/qualityGatesService');
+const junitReports = require('./api/services/junitReportService');
+const apiTokensService = require('./api/services/apiTokensService');
+const { captureRawBody, verifyWebhookSignature } = require('./api/middleware/webhookSignature');
+const { resolveUserFromToken, authErrorMessage, getWorkspaceRole, getRequestWorkspaceRole, hasMinimumRole } = require('./api/middleware/auth');
 const express = require('express');
 const cors = require('cors');
 const { createServer } = require('http');
@@ -11,6 +18,7 @@ const server = createServer(app);
 
 // Environment detection
 const isProduction = process.env.NODE_ENV === 'production';
+const isDatabaseEnabled = process.env.ENABLE_DATABASE === 'true';
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '127.0.0.1';
 
@@ -43,10 +51,15 @@ const io = new Server(server, {
 // MODIFIED: Storage for individual test case results
 const testCaseResults = new Map(); // Key: "requestId-testCaseId", Value: test case data
 const processedWebhooks = new Set(); // Track processed webhook IDs to prevent duplicates
-const requestExecutions = new Map(); // Key: requestId, Value: { testCaseIds: Set, timestamp }
+const requestExecutions = new Map(); // Key: requestId, Value: { testCaseIds: Set, workspaceId, timestamp }
+
+// Socket.IO rooms are always workspace-qualified so subscriptions can be authorized
+const workspaceRoom = (workspaceId) => `workspace-${workspaceId}`;
+const requestRoom = (workspaceId, requestId) => `workspace-${workspaceId}-request-${requestId}`;
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+// Raw body is kept for HMAC signature verification
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
@@ -64,7 +77,10 @@ function log(level, message, data = null) {
   console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
 }
 
-// MODIFIED: Validation for single test case per webhook
+// Upper bound on results accepted in one webhook payload
+const MAX_RESULTS_PER_WEBHOOK = parseInt(process.env.WEBHOOK_MAX_RESULTS) || 5000;
+
+// Validation for the webhook envelope (one or many test case results)
 function validateWebhookPayload(payload) {
   const errors = [];
 
@@ -83,50 +99,61 @@ function validateWebhookPayload(payload) {
 
   if (!payload.results || !Array.isArray(payload.results)) {
     errors.push('results must be an array');
-  } else if (payload.results.length !== 1) {
-    errors.push('exactly one test case result expected per webhook');
-  } else if (!payload.results[0].id) {
-    errors.push('test case id is required in results');
+  } else if (payload.results.length === 0) {
+    errors.push('at least one test case result is required');
+  } else if (payload.results.length > MAX_RESULTS_PER_WEBHOOK) {
+    errors.push(`at most ${MAX_RESULTS_PER_WEBHOOK} test case results are accepted per webhook`);
   }
 
   return { valid: errors.length === 0, errors };
 }
 
-// ENHANCED: Process webhook for individual test case with improved duplicate detection
-async function processWebhookData(webhookData) {
-  log('info', '🔔 Processing test case webhook', {
-    requestId: webhookData.requestId,
-    testCaseId: webhookData.results[0]?.id,
-    status: webhookData.results[0]?.status
-  });
+// Validation for a single entry of payload.results
+function validateTestCaseResult(testCase) {
+  const errors = [];
 
-  // Validate webhook payload
-  const validation = validateWebhookPayload(webhookData);
-  if (!validation.valid) {
-    log('error', '❌ Invalid webhook payload', validation.errors);
-    throw new Error(`Invalid webhook payload: ${validation.errors.join(', ')}`);
+  if (!testCase || typeof testCase !== 'object') {
+    errors.push('result must be an object');
+    return errors;
   }
 
-  const testCase = webhookData.results[0];
+  if (!testCase.id) {
+    errors.push('test case id is required in results');
+  }
+
+  if (testCase.status !== undefined && typeof testCase.status !== 'string') {
+    errors.push('status must be a string');
+  }
+
+  return errors;
+}
+
+// Process one test case result in memory with duplicate / enhanced-update detection
+function processTestCaseResult(webhookData, testCase, { verbose }) {
   const testCaseId = testCase.id;
   const compositeKey = `${webhookData.requestId}-${testCaseId}`;
 
-  // Changed log level from 'debug' to 'info' for the failure object
+  // Per-result detail is only logged at info level for single-result webhooks
+  const detailLevel = verbose ? 'info' : 'debug';
   if (testCase.failure) {
-    log('info', `🚨 Failure object received for test case ${testCaseId}:`, JSON.stringify(testCase.failure, null, 2));
+    log(detailLevel, `🚨 Failure object received for test case ${testCaseId}:`, JSON.stringify(testCase.failure, null, 2));
   } else {
-    log('info', `✅ No detailed failure object for test case ${testCaseId}. Status: ${testCase.status}`);
+    log(detailLevel, `✅ No detailed failure object for test case ${testCaseId}. Status: ${testCase.status}`);
   }
 
   // Track request execution
   if (!requestExecutions.has(webhookData.requestId)) {
     requestExecutions.set(webhookData.requestId, {
       testCaseIds: new Set(),
+      workspaceId: webhookData.workspaceId || null,
       timestamp: Date.now()
     });
   }
 
   const execution = requestExecutions.get(webhookData.requestId);
+  if (!execution.workspaceId && webhookData.workspaceId) {
+    execution.workspaceId = webhookData.workspaceId;
+  }
   execution.testCaseIds.add(testCaseId);
 
   // ENHANCED: Improved duplicate detection to allow enhanced updates
@@ -134,26 +161,22 @@ async function processWebhookData(webhookData) {
   const existingResult = testCaseResults.get(compositeKey);
   
   // Check if this is an enhanced update (same status but now with failure object)
-  const isEnhancedUpdate = existingResult && 
+  const isEnhancedUpdate = !!(existingResult && 
     existingResult.testCase.status === testCase.status &&
     !existingResult.testCase.failure && 
-    testCase.failure;
+    testCase.failure);
 
   // Allow enhanced updates, block true duplicates
   const isDuplicate = processedWebhooks.has(statusKey) && !isEnhancedUpdate;
   
   if (isDuplicate) {
-    log('warn', '⚠️ Duplicate test case webhook detected', { compositeKey, status: testCase.status });
-    return {
-      message: 'Test case webhook already processed',
-      compositeKey,
-      duplicate: true
-    };
+    log(verbose ? 'warn' : 'debug', '⚠️ Duplicate test case webhook detected', { compositeKey, status: testCase.status });
+    return { testCaseId, compositeKey, duplicate: true };
   }
 
   // ENHANCED: Log when processing an enhanced update
   if (isEnhancedUpdate) {
-    log('info', '🔄 Processing enhanced update with failure details', { 
+    log(detailLevel, '🔄 Processing enhanced update with failure details', { 
       compositeKey, 
       status: testCase.status,
       hasFailureObject: !!testCase.failure
@@ -177,33 +200,217 @@ async function processWebhookData(webhookData) {
     processedWebhooks.add(statusKey);
   }
 
-  // Broadcast to WebSocket subscribers
-  const broadcastData = {
-    requestId: webhookData.requestId,
-    testCaseId: testCaseId,
-    testCase: testCase,
-    timestamp: testCaseData.receivedAt,
-    enhanced: isEnhancedUpdate
+  return {
+    testCaseId,
+    compositeKey,
+    testCase,
+    enhanced: isEnhancedUpdate,
+    receivedAt: testCaseData.receivedAt,
+    duplicate: false
   };
+}
 
-  // Send to request-specific room
-  io.to(`request-${webhookData.requestId}`).emit('test-case-result', broadcastData);
+// Emit a run lifecycle event to the run's request room and its workspace room
+function emitRunEvent(event, run, progress, qualityGates = undefined) {
+  io.to([requestRoom(run.workspace_id, run.request_id), workspaceRoom(run.workspace_id)]).emit(event, {
+    requestId: run.request_id,
+    workspaceId: run.workspace_id,
+    runId: run.id,
+    status: run.status,
+    progress,
+    ...(qualityGates !== undefined ? { qualityGates } : {}),
+    run,
+    timestamp: new Date().toISOString()
+  });
+}
 
-  log('info', '✅ Test case webhook processed successfully', {
-    compositeKey,
-    status: testCase.status,
-    enhanced: isEnhancedUpdate,
-    hasFailureObject: !!testCase.failure,
-    subscribers: io.sockets.adapter.rooms.get(`request-${webhookData.requestId}`)?.size || 0
+// Progress without the (possibly long) list of missing test cases, for logs
+function summarizeProgress({ missingTestCases, ...counts }) {
+  return counts;
+}
+
+// Process a webhook carrying one or many test case results.
+// options.batch forces the batch contract even for a single result (used by report ingestion)
+async function processWebhookData(webhookData, options = {}) {
+  log('info', '🔔 Processing test case webhook', {
+    requestId: webhookData?.requestId,
+    resultCount: webhookData?.results?.length,
+    testCaseId: webhookData?.results?.length === 1 ? webhookData.results[0]?.id : undefined,
+    status: webhookData?.results?.length === 1 ? webhookData.results[0]?.status : undefined
+  });
+
+  // Validate webhook payload
+  const validation = validateWebhookPayload(webhookData);
+  if (!validation.valid) {
+    log('error', '❌ Invalid webhook payload', validation.errors);
+    throw new Error(`Invalid webhook payload: ${validation.errors.join(', ')}`);
+  }
+
+  const isBatch = options.batch === true || webhookData.results.length > 1;
+
+  // Validate and process every result on its own
+  const outcomes = webhookData.results.map((testCase, index) => {
+    const errors = validateTestCaseResult(testCase);
+    if (errors.length > 0) {
+      return { index, testCaseId: testCase?.id || null, rejected: true, errors };
+    }
+    return { index, ...processTestCaseResult(webhookData, testCase, { verbose: !isBatch }) };
+  });
+
+  const accepted = outcomes.filter(outcome => !outcome.rejected && !outcome.duplicate);
+
+  // Single-result webhooks keep their original error and response contract
+  if (!isBatch) {
+    const outcome = outcomes[0];
+    if (outcome.rejected) {
+      log('error', '❌ Invalid webhook payload', outcome.errors);
+      throw new Error(`Invalid webhook payload: ${outcome.errors.join(', ')}`);
+    }
+    if (outcome.duplicate) {
+      return {
+        message: 'Test case webhook already processed',
+        compositeKey: outcome.compositeKey,
+        duplicate: true
+      };
+    }
+  }
+
+  // Persist into test_execution_runs / test_results so history survives restarts
+  const persistedById = new Map();
+  let persistence = null;
+  if (isDatabaseEnabled && accepted.length > 0) {
+    try {
+      persistence = await executionResults.persistWebhookResults({
+        requestId: webhookData.requestId,
+        workspaceId: webhookData.workspaceId,
+        results: accepted.map(outcome => outcome.testCase)
+      });
+
+      persistence.results.forEach(result => persistedById.set(result.id, result));
+
+      const notPersisted = persistence.results.filter(result => !result.persisted);
+      if (!persistence.persisted || notPersisted.length > 0) {
+        log('warn', '⚠️ Some test case results were not persisted', {
+          requestId: webhookData.requestId,
+          reason: persistence.reason,
+          notPersisted: notPersisted.slice(0, 20).map(result => ({ id: result.id, reason: result.reason }))
+        });
+      }
+    } catch (error) {
+      log('error', '❌ Failed to persist test case results', { requestId: webhookData.requestId, error: error.message });
+    }
+  }
+
+  // Results can only be broadcast once the request is tied to a workspace
+  const execution = requestExecutions.get(webhookData.requestId);
+  const workspaceId = persistence?.workspaceId || webhookData.workspaceId || execution?.workspaceId || null;
+  if (execution && !execution.workspaceId && workspaceId) {
+    execution.workspaceId = workspaceId;
+  }
+
+  // Broadcast to WebSocket subscribers of the request and of the whole workspace
+  const rooms = workspaceId ? [requestRoom(workspaceId, webhookData.requestId), workspaceRoom(workspaceId)] : [];
+  const broadcasts = accepted.map(outcome => ({
+    requestId: webhookData.requestId,
+    testCaseId: outcome.testCaseId,
+    testCase: outcome.testCase,
+    timestamp: outcome.receivedAt,
+    enhanced: outcome.enhanced
+  }));
+
+  if (rooms.length === 0) {
+    log('warn', '⚠️ Results not broadcast: request is not linked to a workspace', { requestId: webhookData.requestId });
+  } else if (!isBatch) {
+    io.to(rooms).emit('test-case-result', { ...broadcasts[0], workspaceId });
+  } else if (broadcasts.length > 0) {
+    // One event per batch instead of one per test case
+    io.to(rooms).emit('test-case-results-batch', {
+      requestId: webhookData.requestId,
+      workspaceId,
+      count: broadcasts.length,
+      results: broadcasts,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Runs opened with a plan report progress and complete once every planned test case reported
+  if (persistence?.runId && persistence.persisted) {
+    try {
+      const runState = await executionRuns.completeRunIfFinished(persistence.runId);
+      if (runState?.completed) {
+        emitRunEvent('run-completed', runState.run, runState.progress, runState.qualityGates);
+        log('info', '🏁 Execution run completed', {
+          requestId: webhookData.requestId,
+          ...summarizeProgress(runState.progress),
+          qualityGates: runState.qualityGates?.ciStatus
+        });
+      } else if (runState) {
+        emitRunEvent('run-progress', runState.run, runState.progress);
+      }
+    } catch (error) {
+      log('error', '❌ Failed to update execution run progress', { requestId: webhookData.requestId, error: error.message });
+    }
+  }
+
+  const subscribers = rooms.reduce((total, name) => total + (io.sockets.adapter.rooms.get(name)?.size || 0), 0);
+
+  if (!isBatch) {
+    const outcome = accepted[0];
+    const persisted = persistedById.get(outcome.testCaseId);
+
+    log('info', '✅ Test case webhook processed successfully', {
+      compositeKey: outcome.compositeKey,
+      status: outcome.testCase.status,
+      enhanced: outcome.enhanced,
+      hasFailureObject: !!outcome.testCase.failure,
+      subscribers
+    });
+
+    return {
+      message: outcome.enhanced ? 'Test case webhook enhanced with failure details' : 'Test case webhook processed successfully',
+      compositeKey: outcome.compositeKey,
+      testCaseId: outcome.testCaseId,
+      status: outcome.testCase.status,
+      enhanced: outcome.enhanced,
+      broadcastSent: rooms.length > 0,
+      persisted: !!persisted?.persisted,
+      executionRunId: persistence?.runId || null
+    };
+  }
+
+  const results = outcomes.map(outcome => {
+    if (outcome.rejected) {
+      return { index: outcome.index, testCaseId: outcome.testCaseId, status: 'rejected', errors: outcome.errors };
+    }
+    if (outcome.duplicate) {
+      return { index: outcome.index, testCaseId: outcome.testCaseId, status: 'duplicate' };
+    }
+    const persisted = persistedById.get(outcome.testCaseId);
+    return {
+      index: outcome.index,
+      testCaseId: outcome.testCaseId,
+      status: outcome.enhanced ? 'enhanced' : 'processed',
+      persisted: !!persisted?.persisted,
+      ...(persisted && !persisted.persisted ? { reason: persisted.reason } : {})
+    };
   });
 
+  const summary = {
+    total: outcomes.length,
+    processed: accepted.length,
+    duplicates: outcomes.filter(outcome => outcome.duplicate).length,
+    rejected: outcomes.filter(outcome => outcome.rejected).length
+  };
+
+  log('info', '✅ Batch webhook processed', { requestId: webhookData.requestId, ...summary, subscribers });
+
   return {
-    message: isEnhancedUpdate ? 'Test case webhook enhanced with failure details' : 'Test case webhook processed successfully',
-    compositeKey,
-    testCaseId,
-    status: testCase.status,
-    enhanced: isEnhancedUpdate,
-    broadcastSent: true
+    message: 'Batch webhook processed',
+    requestId: webhookData.requestId,
+    ...summary,
+    broadcastSent: rooms.length > 0 && broadcasts.length > 0,
+    executionRunId: persistence?.runId || null,
+    results
   };
 }
 
@@ -223,7 +430,7 @@ app.get('/api/webhook/health', async (req, res) => {
   };
 
   // Add database health check
-  if (process.env.ENABLE_DATABASE === 'true') {
+  if (isDatabaseEnabled) {
     try {
       const dbHealthy = await db.healthCheck();
       const poolStats = db.getPoolStats();
@@ -243,26 +450,54 @@ app.get('/api/webhook/health', async (req, res) => {
 });
 
 
+/**
+ * Bind a payload to the workspace proven by its signature.
+ * Returns an error message when the payload claims a different workspace.
+ */
+function bindSignedWorkspace(req, claimedWorkspaceId) {
+  if (!req.webhookWorkspaceId) {
+    return { workspaceId: claimedWorkspaceId };
+  }
+  if (claimedWorkspaceId && claimedWorkspaceId !== req.webhookWorkspaceId) {
+    return { error: 'Payload workspace does not match the signing workspace' };
+  }
+  return { workspaceId: req.webhookWorkspaceId };
+}
+
 // MAIN: Webhook endpoint for test case results
-app.post('/api/webhook/test-results', async (req, res) => {
+app.post('/api/webhook/test-results', verifyWebhookSignature, async (req, res) => {
   try {
     const webhookData = req.body;
 
+    const binding = bindSignedWorkspace(req, webhookData?.workspaceId);
+    if (binding.error) {
+      return res.status(403).json({ success: false, error: binding.error });
+    }
+    if (binding.workspaceId) {
+      webhookData.workspaceId = binding.workspaceId;
+    }
+
+    const isBatch = Array.isArray(webhookData?.results) && webhookData.results.length > 1;
+
     log('info', '📥 Webhook received', {
       requestId: webhookData?.requestId,
-      testCaseId: webhookData?.results?.[0]?.id,
-      status: webhookData?.results?.[0]?.status,
+      resultCount: webhookData?.results?.length,
+      testCaseId: isBatch ? undefined : webhookData?.results?.[0]?.id,
+      status: isBatch ? undefined : webhookData?.results?.[0]?.status,
       userAgent: req.get('User-Agent'),
       source: req.get('X-Request-ID') || 'unknown'
     });
 
-    // MODIFIED: Changed log level from 'debug' to 'info' for the full incoming webhook payload
-    log('info', 'Full incoming webhook payload:', JSON.stringify(webhookData, null, 2));
+    // Full payloads are only logged at info level for single results; batches can hold thousands
+    log(isBatch ? 'debug' : 'info', 'Full incoming webhook payload:', JSON.stringify(webhookData, null, 2));
 
     const result = await processWebhookData(webhookData);
 
-    res.status(200).json({
-      success: true,
+    // A batch in which every result was rejected is a bad request
+    const allRejected = isBatch && result.rejected === result.total;
+
+    res.status(allRejected ? 400 : 200).json({
+      success: !allRejected,
       ...result,
       receivedAt: new Date().toISOString()
     });
@@ -278,8 +513,166 @@ app.post('/api/webhook/test-results', async (req, res) => {
   }
 });
 
+// JUnit XML report ingestion: maps each <testcase> onto a test case and processes them as one batch
+app.post('/api/webhook/junit', express.text({
+  type: ['application/xml', 'text/xml', 'application/junit+xml'],
+  limit: process.env.MAX_PAYLOAD_SIZE || '10mb',
+  verify: captureRawBody
+}), verifyWebhookSignature, async (req, res) => {
+  try {
+    const binding = bindSignedWorkspace(req, req.query.workspace_id);
+    if (binding.error) {
+      return res.status(403).json({ success: false, error: binding.error });
+    }
+
+    const workspaceId = binding.workspaceId;
+    const requestId = req.query.requestId || `junit-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+    if (!isDatabaseEnabled) {
+      return res.status(503).json({
+        success: false,
+        error: 'JUnit ingestion requires the database (ENABLE_DATABASE=true)'
+      });
+    }
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id query parameter is required'
+      });
+    }
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'JUnit XML body is required (Content-Type: application/xml)'
+      });
+    }
+
+    const testcases = junitReports.parseJUnitReport(req.body);
+
+    log('info', '📥 JUnit report received', {
+      requestId,
+      workspaceId,
+      testCaseCount: testcases.length,
+      userAgent: req.get('User-Agent')
+    });
+
+    const { results, unmatched } = await junitReports.matchJUnitTestCases(workspaceId, testcases);
+
+    if (unmatched.length > 0) {
+      log('warn', '⚠️ JUnit test cases without a matching test case', {
+        requestId,
+        count: unmatched.length,
+        sample: unmatched.slice(0, 10)
+      });
+    }
+
+    if (results.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'No <testcase> in the report matched a test case by automation_path or ID',
+        requestId,
+        total: testcases.length,
+        unmatched
+      });
+    }
+
+    const result = await processWebhookData({
+      requestId,
+      workspaceId,
+      timestamp: new Date().toISOString(),
+      results
+    }, { batch: true });
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      requestId,
+      junit: {
+        total: testcases.length,
+        matched: testcases.length - unmatched.length,
+        unmatched
+      },
+      receivedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    log('error', '❌ Error processing JUnit report', error.message);
+
+    res.status(400).json({
+      success: false,
+      error: 'JUnit report processing failed',
+      message: isProduction ? 'JUnit report processing failed' : error.message
+    });
+  }
+});
+
+// User behind the request's bearer token, or null when it has none or an invalid one
+async function resolveRequestUser(req) {
+  const authHeader = req.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  try {
+    return await resolveUserFromToken(authHeader.substring(7));
+  } catch (error) {
+    if (!authErrorMessage(error)) {
+      log('error', '❌ Results request authentication error', error.message);
+    }
+    return null;
+  }
+}
+
+// Results of a request are only served to members of its workspace with at least minimumRole,
+// and to API tokens of that workspace with one of the scopes
+function requireRequestRole(minimumRole, scopes) {
+  return async (req, res, next) => {
+    try {
+      const user = await resolveRequestUser(req);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+      if (user.apiToken && !apiTokensService.hasScope(user.apiToken.scopes, scopes)) {
+        return res.status(403).json({
+          success: false,
+          error: `API token is missing the required scope: ${scopes.join(' or ')}`
+        });
+      }
+
+      const workspaceId = await findRequestWorkspace(req.params.requestId);
+      const role = workspaceId ? await getRequestWorkspaceRole({ user }, workspaceId) : null;
+      if (!role) {
+        return res.status(404).json({
+          error: 'No execution found for request',
+          requestId: req.params.requestId
+        });
+      }
+      if (!hasMinimumRole(role, minimumRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `Access denied. Required role: ${minimumRole} or higher. Your role: ${role}`
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      log('error', '❌ Results request authorization error', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Authorization check failed',
+        message: isProduction ? undefined : error.message
+      });
+    }
+  };
+}
+
 // NEW: Get specific test case result
-app.get('/api/test-results/request/:requestId/testcase/:testCaseId', (req, res) => {
+app.get('/api/test-results/request/:requestId/testcase/:testCaseId', requireRequestRole('viewer', ['read']), (req, res) => {
   const { requestId, testCaseId } = req.params;
   const compositeKey = `${requestId}-${testCaseId}`;
 
@@ -324,13 +717,46 @@ app.get('/api/test-results/request/:requestId/testcase/:testCaseId', (req, res)
 });
 
 // NEW: Get all test case results for a request
-app.get('/api/test-results/request/:requestId', (req, res) => {
+app.get('/api/test-results/request/:requestId', requireRequestRole('viewer', ['read']), async (req, res) => {
   const { requestId } = req.params;
 
   log('debug', `📋 Frontend requesting all test case results for request: ${requestId}`);
 
   const execution = requestExecutions.get(requestId);
   if (!execution) {
+    // Fall back to persisted history (e.g. after a server restart)
+    if (isDatabaseEnabled) {
+      try {
+        const run = await executionResults.getRunByRequestId(requestId);
+        if (run && run.results.length > 0) {
+          return res.status(200).json({
+            requestId,
+            testCaseCount: run.results.length,
+            totalExpected: run.total_tests || run.results.length,
+            executionRunId: run.id,
+            results: run.results.map(result => ({
+              testCaseId: result.test_case_business_id,
+              compositeKey: `${requestId}-${result.test_case_business_id}`,
+              requestId,
+              receivedAt: result.completed_at || result.created_at,
+              testCase: {
+                id: result.test_case_business_id,
+                name: result.test_case_name,
+                status: result.status,
+                duration: result.duration,
+                logs: result.logs,
+                failure: result.failure_details
+              }
+            })),
+            source: 'database',
+            retrievedAt: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        log('error', '❌ Failed to load persisted results', { requestId, error: error.message });
+      }
+    }
+
     return res.status(404).json({
       error: 'No execution found for request',
       requestId
@@ -376,8 +802,176 @@ app.get('/api/test-results/request/:requestId', (req, res) => {
   });
 });
 
+// ===== EXECUTION RUN LIFECYCLE =====
+
+// Respond with the HTTP status carried by service errors (400/404/409), 500 otherwise
+function sendRunError(res, error, fallback) {
+  const status = error.status || 500;
+  if (status === 500) {
+    log('error', `❌ ${fallback}`, error.message);
+  }
+  res.status(status).json({
+    success: false,
+    error: status === 500 ? fallback : error.message,
+    message: isProduction || status !== 500 ? undefined : error.message
+  });
+}
+
+// Run endpoints need persisted runs
+function requireDatabase(req, res, next) {
+  if (!isDatabaseEnabled) {
+    return res.status(503).json({
+      success: false,
+      error: 'Execution runs require the database (ENABLE_DATABASE=true)'
+    });
+  }
+  next();
+}
+
+// Open a run with its planned test cases and build details
+app.post('/api/webhook/runs', requireDatabase, verifyWebhookSignature, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const binding = bindSignedWorkspace(req, body.workspaceId);
+    if (binding.error) {
+      return res.status(403).json({ success: false, error: binding.error });
+    }
+    if (!binding.workspaceId) {
+      return res.status(400).json({ success: false, error: 'workspaceId is required' });
+    }
+    if (body.testCaseIds !== undefined && !Array.isArray(body.testCaseIds)) {
+      return res.status(400).json({ success: false, error: 'testCaseIds must be an array of test case IDs' });
+    }
+
+    const requestId = body.requestId || `run-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+    const run = await executionRuns.startRun({
+      requestId,
+      workspaceId: binding.workspaceId,
+      testCaseIds: body.testCaseIds,
+      suiteId: body.suiteId,
+      suiteName: body.suiteName,
+      suiteVersion: body.suiteVersion,
+      versionId: body.versionId,
+      environment: body.environment,
+      branch: body.branch,
+      commitSha: body.commitSha,
+      buildNumber: body.buildNumber,
+      ciUrl: body.ciUrl,
+      metadata: body.metadata && typeof body.metadata === 'object' ? body.metadata : {}
+    });
+
+    // Make the request known in memory so socket subscriptions resolve its workspace
+    if (!requestExecutions.has(requestId)) {
+      requestExecutions.set(requestId, { testCaseIds: new Set(), workspaceId: run.workspace_id, timestamp: Date.now() });
+    }
+
+    const progress = await executionRuns.getRunProgress(run.id);
+    emitRunEvent('run-started', run, progress);
+
+    log('info', '🏁 Execution run started', { requestId, workspaceId: run.workspace_id, planned: progress.planned });
+
+    res.status(201).json({
+      success: true,
+      data: run,
+      progress
+    });
+  } catch (error) {
+    sendRunError(res, error, 'Failed to start execution run');
+  }
+});
+
+// Progress of a run against its plan
+app.get('/api/webhook/runs/:requestId', requireDatabase, verifyWebhookSignature, async (req, res) => {
+  try {
+    const run = await executionResults.getRunByRequestId(req.params.requestId);
+    const workspaceId = req.webhookWorkspaceId || req.query.workspace_id;
+
+    if (!run || (workspaceId && run.workspace_id !== workspaceId)) {
+      return res.status(404).json({ success: false, error: 'Execution run not found' });
+    }
+
+    const { results, ...runData } = run;
+    res.status(200).json({
+      success: true,
+      data: runData,
+      progress: await executionRuns.getRunProgress(run.id)
+    });
+  } catch (error) {
+    sendRunError(res, error, 'Failed to fetch execution run progress');
+  }
+});
+
+// Evaluate quality gates for a run on demand; CI fails the pipeline when exitCode is 1
+app.post('/api/webhook/runs/:requestId/quality-gates', requireDatabase, verifyWebhookSignature, async (req, res) => {
+  try {
+    const run = await executionResults.getRunByRequestId(req.params.requestId);
+    const workspaceId = req.webhookWorkspaceId || req.body?.workspaceId;
+
+    if (!run || (workspaceId && run.workspace_id !== workspaceId)) {
+      return res.status(404).json({ success: false, error: 'Execution run not found' });
+    }
+
+    const qualityGates = await qualityGatesService.evaluateGates({ workspaceId: run.workspace_id, runId: run.id });
+
+    log('info', '🚦 Quality gates evaluated', { requestId: run.request_id, ciStatus: qualityGates.ciStatus });
+
+    res.status(200).json({
+      success: true,
+      requestId: run.request_id,
+      qualityGates
+    });
+  } catch (error) {
+    sendRunError(res, error, 'Failed to evaluate quality gates');
+  }
+});
+
+// Finish a run: final counts, duration and status are written and run-completed is emitted
+function finishRunHandler(status) {
+  return async (req, res) => {
+    try {
+      const body = req.body || {};
+      const binding = bindSignedWorkspace(req, body.workspaceId);
+      if (binding.error) {
+        return res.status(403).json({ success: false, error: binding.error });
+      }
+
+      const { run, progress, qualityGates } = await executionRuns.finishRun({
+        requestId: req.params.requestId,
+        workspaceId: binding.workspaceId,
+        status,
+        summary: body.summary,
+        reason: body.reason
+      });
+
+      emitRunEvent('run-completed', run, progress, qualityGates);
+      log('info', `🏁 Execution run ${status}`, {
+        requestId: run.request_id,
+        ...summarizeProgress(progress),
+        qualityGates: qualityGates?.ciStatus
+      });
+
+      // CI can fail the pipeline on qualityGates.exitCode
+      res.status(200).json({
+        success: true,
+        data: run,
+        progress,
+        qualityGates
+      });
+    } catch (error) {
+      sendRunError(res, error, `Failed to mark execution run as ${status}`);
+    }
+  };
+}
+
+app.post('/api/webhook/runs/:requestId/complete', requireDatabase, verifyWebhookSignature,
+  finishRunHandler(executionRuns.RUN_STATUS.COMPLETED));
+
+app.post('/api/webhook/runs/:requestId/cancel', requireDatabase, verifyWebhookSignature,
+  finishRunHandler(executionRuns.RUN_STATUS.CANCELLED));
+
 // Manual test webhook trigger
-app.post('/api/test-webhook', async (req, res) => {
+app.post('/api/test-webhook', verifyWebhookSignature, async (req, res) => {
   try {
     log('info', '🧪 Manual test case webhook trigger');
 
@@ -386,6 +980,7 @@ app.post('/api/test-webhook', async (req, res) => {
 
     const testWebhook = {
       requestId: testRequestId,
+      workspaceId: req.webhookWorkspaceId,
       timestamp: new Date().toISOString(),
       results: [
         {
@@ -417,7 +1012,7 @@ app.post('/api/test-webhook', async (req, res) => {
 });
 
 // NEW: Clear results for a specific request
-app.delete('/api/test-results/request/:requestId', (req, res) => {
+app.delete('/api/test-results/request/:requestId', requireRequestRole('editor', ['results:write']), (req, res) => {
   const { requestId } = req.params;
 
   const execution = requestExecutions.get(requestId);
@@ -456,47 +1051,160 @@ app.delete('/api/test-results/request/:requestId', (req, res) => {
 
 // ===== WEBSOCKET HANDLING =====
 
+// Sockets authenticate with the same JWT as the API server, passed as
+// `auth: { token }` or an "Authorization: Bearer <token>" header
+io.use(async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+  if (!token) {
+    return next(new Error('No token provided'));
+  }
+
+  try {
+    socket.data.user = await resolveUserFromToken(token);
+    next();
+  } catch (error) {
+    const message = authErrorMessage(error);
+    if (!message) {
+      log('error', '❌ Socket authentication error', error.message);
+    }
+    next(new Error(message || 'Authentication failed'));
+  }
+});
+
+// Workspace a request's results belong to: in-memory first, then the persisted run
+async function findRequestWorkspace(requestId) {
+  const execution = requestExecutions.get(requestId);
+  if (execution?.workspaceId) {
+    return execution.workspaceId;
+  }
+  if (!isDatabaseEnabled) {
+    return null;
+  }
+  const run = await db.query(
+    'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+    [requestId]
+  );
+  return run.rows[0]?.workspace_id || null;
+}
+
 io.on('connection', (socket) => {
-  log('info', `🔌 Quality Tracker connected: ${socket.id}`);
+  const user = socket.data.user;
+  log('info', `🔌 Quality Tracker connected: ${socket.id}`, { userId: user.id });
 
   socket.emit('connection-info', {
     socketId: socket.id,
+    userId: user.id,
     timestamp: new Date().toISOString(),
     serverVersion: process.env.npm_package_version || '1.0.0'
   });
 
-  // Subscribe to specific request for test case updates
-  socket.on('subscribe-request', (requestId) => {
-    socket.join(`request-${requestId}`);
-    log('debug', `📝 Client ${socket.id} subscribed to request ${requestId}`);
-
-    // Send existing results for this request if available
-    const execution = requestExecutions.get(requestId);
-    if (execution) {
-      for (const testCaseId of execution.testCaseIds) {
-        const compositeKey = `${requestId}-${testCaseId}`;
-        const existingResult = testCaseResults.get(compositeKey);
-
-        if (existingResult && (!existingResult.ttl || existingResult.ttl > Date.now())) {
-          const broadcastData = {
-            requestId: requestId,
-            testCaseId: testCaseId,
-            testCase: existingResult.testCase,
-            timestamp: existingResult.receivedAt
-          };
-
-          socket.emit('test-case-result', broadcastData);
-          log('debug', `📤 Sent existing test case result to ${socket.id}`, { compositeKey });
+  // Answer through the acknowledgement callback when given, and always emit errors
+  const respond = (ack, response) => {
+    if (!response.success) {
+      socket.emit('subscription-error', response);
+    }
+    if (typeof ack === 'function') {
+      ack(response);
+    }
+  };
+
+  // Subscribe to specific request for test case updates.
+  // Accepts a requestId or { requestId, workspaceId }; workspaceId is required
+  // until the first result of the request has been received.
+  socket.on('subscribe-request', async (payload, ack) => {
+    const requestId = payload && typeof payload === 'object' ? payload.requestId : payload;
+    const claimedWorkspaceId = payload && typeof payload === 'object' ? payload.workspaceId : null;
+
+    try {
+      if (!requestId) {
+        return respond(ack, { success: false, error: 'requestId is required' });
+      }
+
+      const knownWorkspaceId = await findRequestWorkspace(requestId);
+      if (knownWorkspaceId && claimedWorkspaceId && knownWorkspaceId !== claimedWorkspaceId) {
+        return respond(ack, { success: false, requestId, error: 'Request does not belong to this workspace' });
+      }
+
+      const workspaceId = knownWorkspaceId || claimedWorkspaceId;
+      if (!workspaceId) {
+        return respond(ack, { success: false, requestId, error: 'workspaceId is required' });
+      }
+
+      if (!await getWorkspaceRole(workspaceId, user.id)) {
+        return respond(ack, { success: false, requestId, error: 'Access denied to this workspace' });
+      }
+
+      socket.join(requestRoom(workspaceId, requestId));
+      log('debug', `📝 Client ${socket.id} subscribed to request ${requestId}`, { workspaceId });
+
+      // Send existing results for this request if available
+      const execution = requestExecutions.get(requestId);
+      if (execution && execution.workspaceId === workspaceId) {
+        for (const testCaseId of execution.testCaseIds) {
+          const compositeKey = `${requestId}-${testCaseId}`;
+          const existingResult = testCaseResults.get(compositeKey);
+
+          if (existingResult && (!existingResult.ttl || existingResult.ttl > Date.now())) {
+            const broadcastData = {
+              requestId: requestId,
+              workspaceId,
+              testCaseId: testCaseId,
+              testCase: existingResult.testCase,
+              timestamp: existingResult.receivedAt
+            };
+
+            socket.emit('test-case-result', broadcastData);
+            log('debug', `📤 Sent existing test case result to ${socket.id}`, { compositeKey });
+          }
         }
       }
+
+      respond(ack, { success: true, requestId, workspaceId });
+    } catch (error) {
+      log('error', '❌ Error subscribing to request', { requestId, error: error.message });
+      respond(ack, { success: false, requestId, error: 'Subscription failed' });
     }
   });
 
-  socket.on('unsubscribe-request', (requestId) => {
-    socket.leave(`request-${requestId}`);
+  socket.on('unsubscribe-request', (payload) => {
+    const requestId = payload && typeof payload === 'object' ? payload.requestId : payload;
+    for (const room of socket.rooms) {
+      if (room.endsWith(`-request-${requestId}`)) {
+        socket.leave(room);
+      }
+    }
     log('debug', `📝 Client ${socket.id} unsubscribed from request ${requestId}`);
   });
 
+  // Subscribe to every result streamed into a workspace (dashboards)
+  socket.on('subscribe-workspace', async (workspaceId, ack) => {
+    try {
+      if (!workspaceId) {
+        return respond(ack, { success: false, error: 'workspaceId is required' });
+      }
+
+      if (!await getWorkspaceRole(workspaceId, user.id)) {
+        return respond(ack, { success: false, workspaceId, error: 'Access denied to this workspace' });
+      }
+
+      socket.join(workspaceRoom(workspaceId));
+      log('debug', `📝 Client ${socket.id} subscribed to workspace ${workspaceId}`);
+
+      respond(ack, { success: true, workspaceId });
+    } catch (error) {
+      log('error', '❌ Error subscribing to workspace', { workspaceId, error: error.message });
+      respond(ack, { success: false, workspaceId, error: 'Subscription failed' });
+    }
+  });
+
+  socket.on('unsubscribe-workspace', (workspaceId) => {
+    socket.leave(workspaceRoom(workspaceId));
+    log('debug', `📝 Client ${socket.id} unsubscribed from workspace ${workspaceId}`);
+  });
+
   socket.on('disconnect', (reason) => {
     log('info', `🔌 Quality Tracker disconnected: ${socket.id}`, { reason });
   });
@@ -523,9 +1231,14 @@ app.use((error, req, res, next) => {
 server.listen(PORT, HOST, () => {
   log('info', `🚀 Quality Tracker Webhook Server running on ${HOST}:${PORT}`);
   log('info', `🔗 Webhook endpoint: http://${HOST}:${PORT}/api/webhook/test-results`);
+  log('info', `🧾 JUnit endpoint: http://${HOST}:${PORT}/api/webhook/junit`);
+  log('info', `🏁 Run lifecycle: http://${HOST}:${PORT}/api/webhook/runs`);
   log('info', `🌐 Health check: http://${HOST}:${PORT}/api/webhook/health`);
   log('info', `📊 Test case results API: http://${HOST}:${PORT}/api/test-results`);
   log('info', `🌐 CORS origins: ${allowedOrigins.join(', ')}`);
+  if (process.env.WEBHOOK_ALLOW_UNSIGNED === 'true') {
+    log('warn', '⚠️ WEBHOOK_ALLOW_UNSIGNED=true: unsigned webhooks are accepted');
+  }
   log('info', `✨ NEW: Per test case result handling with composite keys`);
 });
 